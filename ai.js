@@ -2,16 +2,83 @@
 // API wrapper, prompts application, parsing, recommendation engine, and chat rendering helpers.
 
 import {
-  GEMINI_PROXY_URL,
-  getFinalCertificateCatalog,
+  callGeminiProxy,
+  generateWithActiveProvider,
+  streamWithActiveProvider,
+} from "./llm-providers.js";
+
+import {
+  RETRIEVAL_TOP_N_PER_CV,
+  RETRIEVAL_TOP_N_CHAT,
+  ANALYSIS_CONCURRENCY,
+  ANALYSIS_RETRIES_PER_CV,
+  BASELINE_FALLBACK_ENABLED,
 } from "./constants.js";
 
+import { retrieveCertificatesForQueries } from "./catalog-retrieval.js";
+
+import {
+  recommendForCv,
+  buildBaselineCandidate,
+  compareWithBaseline,
+} from "./baseline-recommender.js";
+
+import {
+  findHeldCertificates,
+  describeProgressionsForPrompt,
+  buildLearningPath,
+  withLearningPath,
+} from "./certificate-progression.js";
+
+import { listRoleProfiles } from "./skill-gap.js";
+
+import { describeFeedbackForPrompt, applyCandidateFeedback } from "./recommendation-feedback.js";
+
+import { normalizeSkills, expandSkillText } from "./skill-taxonomy.js";
+
+import {
+  isOcrAvailable,
+  recognizeImage,
+  isScannedPageText,
+  renderPdfPageToCanvas,
+  assessExtraction,
+} from "./ocr.js";
+
+import { layoutPdfPage, linesFromText, assembleLayoutText } from "./pdf-layout.js";
+
+import {
+  detectCvFormat,
+  extractTextFromDoc,
+  rtfToText,
+  extractTextFromOdt,
+  htmlToText,
+  mhtmlToHtml,
+  readLinkedInExport,
+} from "./cv-formats.js";
+
+import {
+  compileRuleText,
+  normalizeRules,
+  enforceRules,
+} from "./rule-engine.js";
+
+import {
+  generateStructuredOutput,
+  RECOMMENDATIONS_SCHEMA,
+  CV_SECTIONS_SCHEMA,
+  JOB_DESCRIPTION_SCHEMA,
+  RULES_SCHEMA,
+} from "./structured-output.js";
+
 import {
   certificateCatalog,
   getCatalogAsPromptString,
   summarizeRecommendationsForChat,
+  getCertificateById,
+  resolveRecommendationsAgainstCatalog,
   calculateYearsFromPeriod,
   calculateTotalExperience,
+  calculateKnownExperience,
 } from "./storage-catalog.js";
 
 import {
@@ -19,44 +86,47 @@ import {
   ANALYSIS_SYSTEM_PROMPT,
   RULES_SYSTEM_PROMPT,
   CV_PARSER_SYSTEM_PROMPT,
+  JOB_DESCRIPTION_PARSER_SYSTEM_PROMPT,
 } from "./prompts.js";
 
 // ---------------------------------------------------------------------------
-// Proxy + Gemini call - INTEGRATED: Your proxy function
+// LLM call - routed through the active provider (see llm-providers.js)
 // ---------------------------------------------------------------------------
-export async function callGeminiProxy(payload) {
-  const response = await fetch(GEMINI_PROXY_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini proxy error: ${error || response.statusText}`);
-  }
-
-  const data = await response.json();
-  return data.text || "";
-}
-
-export async function callGeminiAPI(userPrompt, history = [], systemPrompt = "") {
-  const formattedHistory = history.map((msg) => ({
-    role: msg.isUser ? "user" : "model",
-    parts: [{ text: msg.text }],
-  }));
+export { callGeminiProxy };
 
+function buildLlmRequest(userPrompt, history, systemPrompt) {
   const combinedPrompt = systemPrompt
     ? `${systemPrompt.trim()}\n\nUser message:\n${userPrompt}`
     : userPrompt;
 
-  const contents = [
-    ...formattedHistory,
-    { role: "user", parts: [{ text: combinedPrompt }] },
-  ];
+  return {
+    prompt: combinedPrompt,
+    userPrompt,
+    systemPrompt: systemPrompt ? systemPrompt.trim() : "",
+    history: history.map((msg) => ({
+      role: msg.isUser ? "user" : "assistant",
+      text: msg.text,
+    })),
+  };
+}
 
-  const proxyPayload = { prompt: combinedPrompt, history: contents };
-  return await callGeminiProxy(proxyPayload);
+export async function callGeminiAPI(userPrompt, history = [], systemPrompt = "") {
+  return await generateWithActiveProvider(buildLlmRequest(userPrompt, history, systemPrompt));
+}
+
+// Same as callGeminiAPI but delivers the reply incrementally through onToken.
+// Pass an AbortSignal to stop the request; the promise then rejects with an AbortError.
+export async function streamGeminiAPI(
+  userPrompt,
+  history = [],
+  systemPrompt = "",
+  { onToken = () => {}, signal } = {}
+) {
+  return await streamWithActiveProvider(
+    buildLlmRequest(userPrompt, history, systemPrompt),
+    onToken,
+    signal
+  );
 }
 
 // ---------------------------------------------------------------------------
@@ -79,6 +149,49 @@ export function addMessage(text, isUser = false) {
   chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+// Creates an empty bot message that re-renders its markdown as text streams in.
+// Rendering is batched to one pass per animation frame.
+export function createStreamingMessage() {
+  const chatMessages = document.getElementById("chat-messages");
+  const messageDiv = document.createElement("div");
+  messageDiv.className = "message bot-message streaming-message";
+  if (chatMessages) chatMessages.appendChild(messageDiv);
+
+  let text = "";
+  let frameRequested = false;
+
+  const render = () => {
+    frameRequested = false;
+    if (typeof marked !== "undefined") {
+      messageDiv.innerHTML = marked.parse(text);
+    } else {
+      messageDiv.innerHTML = text.replace(/\n/g, "<br>");
+    }
+    if (chatMessages) chatMessages.scrollTop = chatMessages.scrollHeight;
+  };
+
+  return {
+    append(chunk) {
+      text += chunk;
+      if (!frameRequested) {
+        frameRequested = true;
+        requestAnimationFrame(render);
+      }
+    },
+    getText() {
+      return text;
+    },
+    finish({ stopped = false } = {}) {
+      render();
+      messageDiv.classList.remove("streaming-message");
+      if (stopped) messageDiv.classList.add("stopped-message");
+    },
+    remove() {
+      messageDiv.remove();
+    },
+  };
+}
+
 export function showTypingIndicator() {
   const chatMessages = document.getElementById("chat-messages");
   if (!chatMessages) return null;
@@ -103,8 +216,24 @@ export function hideTypingIndicator() {
 // ---------------------------------------------------------------------------
 // Chat context builders
 // ---------------------------------------------------------------------------
-export function buildChatSystemPrompt(uploadedCvs) {
-  const catalogString = getCatalogAsPromptString();
+// Short retrieval query for a CV: job titles + skills when parsed, else the head of the raw text
+function buildCvRetrievalQuery(cv) {
+  const structured = cv.structured || {};
+  const titles = (structured.experience || []).map((exp) => exp.jobTitle || "");
+  const skills = normalizeSkills(structured.skills).map((skill) => expandSkillText(skill.title));
+  const query = [...titles, ...skills].filter(Boolean).join(" ");
+  return query || (cv.text || "").slice(0, 2000);
+}
+
+export function buildChatSystemPrompt(uploadedCvs, language = 'en', question = "") {
+  // Only the certificates relevant to the question and the uploaded CVs are sent
+  const relevantCerts = retrieveCertificatesForQueries(
+    [question, ...uploadedCvs.map(buildCvRetrievalQuery)].filter(Boolean),
+    RETRIEVAL_TOP_N_CHAT
+  );
+  const catalogString = getCatalogAsPromptString(
+    relevantCerts.length > 0 ? relevantCerts : null
+  );
   const hasCvContext = uploadedCvs.length > 0;
   const cvContext = hasCvContext
     ? `\n\n**Available CV Context:**\nThe user has uploaded ${uploadedCvs.length} CV(s). You can reference their experience, skills, and background when making recommendations.`
@@ -113,6 +242,7 @@ export function buildChatSystemPrompt(uploadedCvs) {
   return `${CHAT_SYSTEM_PROMPT_BASE.trim()}
 
 **Available Certifications Catalog:**
+(The certificates below were pre-selected from the full catalog as the most relevant to this conversation.)
 ${catalogString}
 ${cvContext}
 
@@ -146,7 +276,7 @@ If you'd like me to give you a more detailed review and personalized recommendat
 export function buildChatContextMessage(userMessage, userRules, lastRecommendations) {
   const rulesText =
     userRules && userRules.length > 0
-      ? userRules.map((r, i) => `${i + 1}. ${r}`).join("\n")
+      ? userRules.map((r, i) => `${i + 1}. ${r.text || r}`).join("\n")
       : "No explicit business rules provided.";
 
   const recSummary = summarizeRecommendationsForChat(lastRecommendations);
@@ -162,7 +292,8 @@ ${recSummary}`;
 }
 
 // ---------------------------------------------------------------------------
-// CV parsing helpers (PDF, DOCX, TXT)
+// CV parsing helpers (PDF, DOCX, TXT, DOC, RTF, ODT, HTML/MHTML, LinkedIn
+// export ZIP, and PNG/JPG or scanned PDFs through OCR)
 // ---------------------------------------------------------------------------
 
 // Configure PDF.js worker
@@ -171,17 +302,52 @@ if (window.pdfjsLib) {
     "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
 }
 
-async function extractTextFromPdf(file) {
+// Text is rebuilt from the item positions (lines, columns, headings; pdf-layout.js).
+// Pages without a text layer (scans) are rendered and read by OCR.
+// onProgress({ page, pages, progress }) reports each OCR page (progress 0-1).
+async function extractTextFromPdf(file, onProgress) {
   const arrayBuffer = await file.arrayBuffer();
   const pdf = await window.pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-  let fullText = "";
+  const pageLines = [];
+  const ocrPages = [];
+  const confidences = [];
+  const unreadPages = [];
   for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
     const page = await pdf.getPage(pageNum);
     const content = await page.getTextContent();
-    const strings = content.items.map((item) => item.str);
-    fullText += strings.join(" ") + "\n\n";
+    let lines = layoutPdfPage(content.items, content.styles);
+    if (isScannedPageText(lines.map((line) => line.text).join(" "))) {
+      try {
+        if (!isOcrAvailable()) throw new Error("Tesseract.js is not loaded");
+        const report = (progress) => onProgress?.({ page: pageNum, pages: pdf.numPages, progress });
+        report(0);
+        const result = await recognizeImage(await renderPdfPageToCanvas(page), { onProgress: report });
+        lines = linesFromText(result.text);
+        ocrPages.push(pageNum);
+        confidences.push(result.confidence);
+      } catch (err) {
+        console.warn(`OCR failed for page ${pageNum} of ${file.name}:`, err);
+        unreadPages.push(pageNum);
+      }
+    }
+    pageLines.push(lines);
+  }
+  const { text, sections } = assembleLayoutText(pageLines);
+  return { text, sections, pageCount: pdf.numPages, ocrPages, confidences, unreadPages };
+}
+
+async function extractTextFromImage(file, onProgress) {
+  const report = (progress) => onProgress?.({ page: 1, pages: 1, progress });
+  try {
+    if (!isOcrAvailable()) throw new Error("Tesseract.js is not loaded");
+    report(0);
+    const result = await recognizeImage(file, { onProgress: report });
+    const { text, sections } = assembleLayoutText([linesFromText(result.text)]);
+    return { text, sections, pageCount: 1, ocrPages: [1], confidences: [result.confidence], unreadPages: [] };
+  } catch (err) {
+    console.warn(`OCR failed for ${file.name}:`, err);
+    return { text: "", pageCount: 1, ocrPages: [], confidences: [], unreadPages: [1] };
   }
-  return fullText;
 }
 
 async function extractTextFromDocx(file) {
@@ -190,34 +356,69 @@ async function extractTextFromDocx(file) {
   return result.value || "";
 }
 
-export async function extractTextFromFile(file) {
-  const name = file.name.toLowerCase();
-  const type = file.type;
+// Text of the formats read without layout information, with section hints from its headings
+async function extractTextFromDocument(file, format) {
+  let text;
+  if (format === "doc") text = extractTextFromDoc(await file.arrayBuffer());
+  else if (format === "odt") text = extractTextFromOdt(await file.arrayBuffer());
+  else if (format === "rtf") text = rtfToText(await file.text());
+  else if (format === "html") text = htmlToText(await file.text());
+  else if (format === "mhtml") text = htmlToText(mhtmlToHtml(await file.text()));
+  else text = await file.text();
+  return assembleLayoutText([linesFromText(text)]);
+}
 
-  if (type === "application/pdf" || name.endsWith(".pdf")) {
-    return await extractTextFromPdf(file);
-  }
-  if (
-    type ===
-      "application/vnd.openxmlformats-officedocument.wordprocessingml.document" ||
-    name.endsWith(".docx")
-  ) {
-    return await extractTextFromDocx(file);
-  }
-  if (type === "text/plain" || name.endsWith(".txt")) {
-    return await file.text();
+/**
+ * Extracts a CV's text and grades the extraction (ocr.js assessExtraction).
+ * Returns { text, extraction, sections, structured }; sections maps the headings
+ * found in the CV to ranges of the text (pdf-layout.js assembleLayoutText), and
+ * structured is the parsed CV for a LinkedIn export ZIP (null otherwise, when
+ * parseCvIntoStructuredSections is still needed). Throws for unsupported files.
+ * @param {File} file
+ * @param {object} [options]
+ * @param {(p: { page: number, pages: number, progress: number }) => void} [options.onProgress]
+ *        Called while a scanned page or image is being read by OCR.
+ */
+export async function extractCvText(file, { onProgress } = {}) {
+  const format = detectCvFormat(file);
+
+  let result;
+  if (format === "pdf") {
+    result = await extractTextFromPdf(file, onProgress);
+  } else if (format === "image") {
+    result = await extractTextFromImage(file, onProgress);
+  } else if (format === "docx") {
+    result = assembleLayoutText([linesFromText(await extractTextFromDocx(file))]);
+  } else if (format === "linkedin") {
+    result = readLinkedInExport(await file.arrayBuffer());
+  } else if (format) {
+    result = await extractTextFromDocument(file, format);
+  } else {
+    throw new Error(`Unsupported file type: ${file.name}`);
   }
+  return {
+    text: result.text,
+    extraction: assessExtraction(result),
+    sections: result.sections || [],
+    structured: result.structured || null,
+  };
+}
 
-  console.warn(
-    `Unknown file type (${type}, ${name}); attempting file.text() anyway.`
-  );
-  return await file.text();
+export async function extractTextFromFile(file, options = {}) {
+  return (await extractCvText(file, options)).text;
 }
 
-export async function parseCvIntoStructuredSections(rawText) {
+// Section hints: [{ section, heading, start, end }] from extractCvText
+export async function parseCvIntoStructuredSections(rawText, { sectionHints = [] } = {}) {
+  const hintLines = sectionHints
+    .map((hint) => `- "${hint.heading}" starts the ${hint.section} section`)
+    .join("\n");
   const prompt = `
 ${CV_PARSER_SYSTEM_PROMPT.trim()}
-
+${hintLines
+      ? `\nSection headings found in the CV layout (entries under a heading belong to that section):\n${hintLines}\n`
+      : ""
+    }
 CV Text to parse:
 ---
 ${rawText}
@@ -226,16 +427,19 @@ ${rawText}
 Return the JSON object only, no other text.
 `;
 
-  const rawResponse = await callGeminiAPI(prompt, [], "");
-  const cleaned = rawResponse.replace(/```json\s*|\s*```/g, "").trim();
-
   try {
-    const parsed = JSON.parse(cleaned);
+    const parsed = await generateStructuredOutput({
+      prompt,
+      schema: CV_SECTIONS_SCHEMA,
+      generate: (p) => callGeminiAPI(p, [], ""),
+      label: "CV parser",
+    });
     return {
-      experience: Array.isArray(parsed.experience) ? parsed.experience : [],
-      education: Array.isArray(parsed.education) ? parsed.education : [],
+      experience: parsed.experience,
+      education: parsed.education,
       certifications: Array.isArray(parsed.certifications) ? parsed.certifications : [],
-      skills: Array.isArray(parsed.skills) ? parsed.skills : [],
+      // "JS", "Javascript" and "جافاسكربت" become one canonical skill
+      skills: normalizeSkills(parsed.skills),
       other: {
         achievements: parsed.other?.achievements || [],
         languages: parsed.other?.languages || [],
@@ -245,7 +449,52 @@ Return the JSON object only, no other text.
     };
   } catch (err) {
     console.error("Failed to parse CV sections:", err);
-    console.error("Raw AI response:", rawResponse);
+    return null;
+  }
+}
+
+// Job description -> { title, requiredSkills: [{ title, skillId? }], minYearsExperience,
+// preferredCertifications: [{ title, certId }] } (certId null when not in the catalog)
+export async function parseJobDescription(rawText) {
+  const prompt = `
+${JOB_DESCRIPTION_PARSER_SYSTEM_PROMPT.trim()}
+
+Job description to parse:
+---
+${rawText}
+---
+
+Return the JSON object only, no other text.
+`;
+
+  try {
+    const parsed = await generateStructuredOutput({
+      prompt,
+      schema: JOB_DESCRIPTION_SCHEMA,
+      generate: (p) => callGeminiAPI(p, [], ""),
+      label: "Job description parser",
+    });
+    // One written name can match several catalog certificates ("PMP or CAPM")
+    const preferredCertifications = [];
+    (parsed.preferredCertifications || []).forEach((title) => {
+      const certIds = findHeldCertificates({ certifications: [title] });
+      if (certIds.length === 0) preferredCertifications.push({ title, certId: null });
+      certIds.forEach((certId) => {
+        if (!preferredCertifications.some((c) => c.certId === certId)) {
+          preferredCertifications.push({ title, certId });
+        }
+      });
+    });
+    const years = Number(parsed.minYearsExperience);
+    return {
+      title: parsed.title || "",
+      requiredSkills: normalizeSkills(parsed.requiredSkills),
+      minYearsExperience:
+        parsed.minYearsExperience === null || !Number.isFinite(years) || years <= 0 ? null : years,
+      preferredCertifications,
+    };
+  } catch (err) {
+    console.error("Failed to parse job description:", err);
     return null;
   }
 }
@@ -253,33 +502,68 @@ Return the JSON object only, no other text.
 // ---------------------------------------------------------------------------
 // Rule parsing
 // ---------------------------------------------------------------------------
+// Compiles rule text into structured rules ({ id, text, type, params }).
+// Phrasings the local compiler recognises never reach the model; the rest
+// are sent to the LLM rules parser in one request.
 export async function parseAndApplyRules(rulesText) {
-  const prompt = `
+  const lines = rulesText
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const compiled = lines.map((line) => compileRuleText(line));
+  const unknownLines = lines.filter((_, i) => !compiled[i]);
+
+  let parsedByModel = [];
+  if (unknownLines.length > 0) {
+    const prompt = `
 ${RULES_SYSTEM_PROMPT.trim()}
 
 User's rules:
-${rulesText}
+${unknownLines.join("\n")}
 
 Remember:
-- Respond with ONLY a JSON array of strings.
+- Respond with ONLY a JSON array of rule objects.
 - No extra commentary or formatting.
 `;
 
-  const rawResponse = await callGeminiAPI(prompt, [], "");
-  const cleaned = rawResponse.replace(/```json\s*|\s*```/g, "").trim();
+    parsedByModel = await generateStructuredOutput({
+      prompt,
+      schema: RULES_SCHEMA,
+      generate: (p) => callGeminiAPI(p, [], ""),
+      label: "Rules parser",
+    });
+  }
 
-  const parsed = JSON.parse(cleaned);
-  if (!Array.isArray(parsed)) {
-    throw new Error("Parsed rules are not an array.");
+  // Keep the user's order when the model answered one rule per line
+  if (parsedByModel.length === unknownLines.length) {
+    let next = 0;
+    return normalizeRules(compiled.map((rule) => rule || parsedByModel[next++]));
   }
-  return parsed;
+  return normalizeRules([...compiled.filter(Boolean), ...parsedByModel]);
 }
 
 // ---------------------------------------------------------------------------
 // Recommendation engine
 // ---------------------------------------------------------------------------
-export function buildAnalysisPromptForCvs(cvArray, rulesArray, language = 'en') {
-  const catalogString = getCatalogAsPromptString();
+export function buildAnalysisPromptForCvs(cvArray, rulesArray, language = 'en', feedback = {}) {
+  // Top-N candidates per CV instead of the whole catalog
+  const relevantCerts = retrieveCertificatesForQueries(
+    cvArray.map((cv) => cv.text || buildCvRetrievalQuery(cv)),
+    RETRIEVAL_TOP_N_PER_CV
+  );
+  const catalogString = getCatalogAsPromptString(
+    relevantCerts.length > 0 ? relevantCerts : null
+  );
+  const progressionString = describeProgressionsForPrompt(relevantCerts);
+  // Reviewer feedback from earlier runs, per CV
+  const feedbackString = cvArray
+    .map((cv) => {
+      const lines = describeFeedbackForPrompt(feedback[cv.id]);
+      return lines ? `For ${cv.name}:\n${lines}` : "";
+    })
+    .filter(Boolean)
+    .join("\n");
   // Add Arabic instruction if needed
   const langInstruction = language === 'ar' 
     ? "Output the 'reason' field strictly in Arabic. Keep 'candidateName' and 'certName' in their original text."
@@ -289,12 +573,20 @@ ${ANALYSIS_SYSTEM_PROMPT.trim()}
 
 **Catalog of Certifications:**
 ${catalogString}
+${progressionString
+      ? `\n**Certification Progressions (take the first before the second):**\n${progressionString}\nList each candidate's recommendations in the order they should be taken, and do not recommend a certification the candidate already holds.\n`
+      : ""
+    }
 ${langInstruction}
 **Business Rules:**
 ${rulesArray && rulesArray.length > 0
-      ? rulesArray.map((r) => `- ${r}`).join("\n")
+      ? rulesArray.map((r) => `- ${r.text || r}`).join("\n")
       : "No specific business rules provided."
     }
+${feedbackString
+      ? `\n**Reviewer Feedback (from earlier recommendations):**\n${feedbackString}\n`
+      : ""
+    }
 
 **CVs to Analyze:**
 ${cvArray
@@ -311,10 +603,12 @@ For each CV, provide recommendations in a structured JSON format. The JSON must
       "candidateName": "Full Name of Candidate",
       "recommendations": [
         {
-          "certId": "pmp",
-          "certName": "Project Management Professional (PMP)",
+          "certId": "cert_pmp_project_management_professional",
+          "certName": "PMP Project Management Professional",
           "reason": "Clear explanation of why this certification is relevant.",
-          "rulesApplied": ["List of rules that influenced this recommendation"]
+          "rulesApplied": ["List of rules that influenced this recommendation"],
+          "confidence": 80,
+          "evidence": ["Exact phrases copied from the CV that support this recommendation"]
         }
       ]
     }
@@ -329,6 +623,10 @@ For each CV, provide recommendations in a structured JSON format. The JSON must
 - Start your response with { and end with }.
 - The entire response must be parseable as JSON without any modifications.
 - If no recommendations can be made for a candidate, provide an empty array [] for their "recommendations" field.
+- Only recommend certifications that appear in the catalog above. Never invent certifications.
+- "certId" MUST be copied exactly from the [id] in square brackets before the certificate in the catalog, and "certName" must be that certificate's exact name.
+- "confidence" is how well the certification matches the CV, from 0 to 100.
+- Each "evidence" item must be copied word for word from the CV text (a skill, job title or short phrase), not paraphrased.
 
 **Example of correct response format:**
 {"candidates":[{"candidateName":"John Doe","recommendations":[]}]}
@@ -337,48 +635,514 @@ Begin your response now with the JSON object only:
 `;
 }
 
-export async function analyzeCvsWithAI(cvArray, rulesArray, language = 'en') {
-  const analysisPrompt = buildAnalysisPromptForCvs(cvArray, rulesArray || [], language);
-  const rawResponse = await callGeminiAPI(analysisPrompt, [], "");
-  
-  // Log raw response for debugging
-  console.log("Raw AI Response:", rawResponse);
-  
-  // Try multiple cleaning strategies
-  let cleaned = rawResponse.trim();
-  
-  // Remove markdown code blocks
-  cleaned = cleaned.replace(/```json\s*/gi, "").replace(/```\s*/g, "").trim();
-  
-  // Try to extract JSON object if there's text before/after
-  // Look for the first { and last } to extract the JSON object
-  const firstBrace = cleaned.indexOf("{");
-  const lastBrace = cleaned.lastIndexOf("}");
-  
-  if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-    cleaned = cleaned.substring(firstBrace, lastBrace + 1);
+// Runs worker(item, index) over items with at most `limit` in flight.
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Analyse one CV in its own request. The result is keyed by cvId, never by position
+// or file name (two uploads can share a name).
+// `feedback` is the reviewer's feedback for this CV (recommendation-feedback.js).
+export async function analyzeSingleCvWithAI(cv, rulesArray, language = 'en', feedback = {}) {
+  const analysisPrompt = buildAnalysisPromptForCvs([cv], rulesArray || [], language, { [cv.id]: feedback });
+  const raw = await generateStructuredOutput({
+    prompt: analysisPrompt,
+    schema: RECOMMENDATIONS_SCHEMA,
+    generate: (p) => callGeminiAPI(p, [], ""),
+    label: `Recommendation analysis (${cv.name})`,
+  });
+  // Ground every recommendation in the catalog; invented certificates are dropped
+  const resolved = resolveRecommendationsAgainstCatalog(raw);
+
+  // One CV was sent, so every returned candidate belongs to it
+  const candidates = resolved.candidates || [];
+
+  // Business rules are enforced here, not trusted to the model
+  const enforced = enforceRules(
+    candidates.flatMap((c) => c.recommendations || []),
+    rulesArray,
+    { yearsOfExperience: calculateKnownExperience(cv.structured?.experience || []) }
+  );
+  // Rejected certificates stay out and pinned ones stay in, whatever the model said
+  const { recommendations, removedByFeedback } = applyCandidateFeedback(enforced.recommendations, feedback, language);
+
+  // Ordered learning path: recommendations plus missing prerequisites, from what the CV already holds
+  return withLearningPath({
+    cvId: cv.id,
+    cvName: cv.name,
+    candidateName: candidates[0]?.candidateName || cv.name,
+    recommendations,
+    rejectedRecommendations: candidates.flatMap((c) => c.rejectedRecommendations || []),
+    removedByRules: enforced.removedByRules,
+    removedByFeedback,
+    heldCertIds: findHeldCertificates(cv),
+    // Sanity check: overlap with what the offline baseline would recommend
+    baselineCheck: compareWithBaseline(recommendations, recommendForCv(cv, { language })),
+  });
+}
+
+/**
+ * Analyse each CV in its own request, `concurrency` at a time. A request that
+ * throws (network error, rate limit, server error) is retried up to `retries`
+ * times with a growing delay. Output that fails to parse or match the schema is
+ * re-prompted inside generateStructuredOutput, so that failure is not retried
+ * again here. A CV that still fails is reported in `failures` instead of
+ * failing the whole batch; with `baselineFallback` it also gets offline
+ * baseline recommendations (source: "baseline") in `candidates`.
+ *
+ * `feedback` maps CV ids to the reviewer's feedback (recommendation-feedback.js):
+ * rejected certificates are excluded and pinned ones kept.
+ *
+ * onProgress({ cvId, cvName, status, completed, total, error }) is called as each CV
+ * starts ("running"), succeeds ("done"), retries ("retrying") or fails ("failed").
+ *
+ * Resolves to { candidates: [{ cvId, cvName, candidateName, recommendations, ... }],
+ * failures: [{ cvId, cvName, error }] }.
+ */
+export async function analyzeCvsWithAI(cvArray, rulesArray, language = 'en', {
+  concurrency = ANALYSIS_CONCURRENCY,
+  retries = ANALYSIS_RETRIES_PER_CV,
+  baselineFallback = BASELINE_FALLBACK_ENABLED,
+  feedback = {},
+  onProgress = () => {},
+} = {}) {
+  const candidates = [];
+  const failures = [];
+  const total = cvArray.length;
+  let completed = 0;
+
+  await runWithConcurrency(cvArray, concurrency, async (cv) => {
+    const progress = { cvId: cv.id, cvName: cv.name };
+    onProgress({ ...progress, status: "running", completed, total });
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const candidate = await analyzeSingleCvWithAI(cv, rulesArray, language, feedback[cv.id]);
+        candidates.push(candidate);
+        completed++;
+        onProgress({ ...progress, status: "done", completed, total });
+        return;
+      } catch (err) {
+        console.error(`Analysis failed for ${cv.name} (attempt ${attempt + 1}):`, err);
+        // Schema failures were already re-prompted; only a request that threw is tried again
+        if (attempt < retries && !err.validationErrors) {
+          onProgress({ ...progress, status: "retrying", completed, total, error: err });
+          await new Promise((resolve) => setTimeout(resolve, 1000 * (attempt + 1)));
+          continue;
+        }
+        failures.push({ ...progress, error: err.message, fallback: baselineFallback });
+        if (baselineFallback) {
+          const baseline = buildBaselineCandidate(cv, rulesArray || [], language);
+          candidates.push(withLearningPath({
+            ...baseline,
+            ...applyCandidateFeedback(baseline.recommendations, feedback[cv.id], language),
+            analysisError: err.message,
+          }));
+        }
+        completed++;
+        onProgress({ ...progress, status: "failed", completed, total, error: err });
+        return;
+      }
+    }
+  });
+
+  // Keep the input order for display
+  const order = new Map(cvArray.map((cv, i) => [cv.id, i]));
+  candidates.sort((a, b) => order.get(a.cvId) - order.get(b.cvId));
+
+  return { candidates, failures };
+}
+
+// ---------------------------------------------------------------------------
+// Recommendation rendering
+// ---------------------------------------------------------------------------
+
+// Evidence shown on a card; the rest are counted
+const MATCH_EVIDENCE_SHOWN = 6;
+
+const EVIDENCE_KIND_LABELS = {
+  skill: { en: "Skill", ar: "مهارة" },
+  jobTitle: { en: "Job title", ar: "المسمى الوظيفي" },
+  experience: { en: "Experience", ar: "الخبرة" },
+  quote: { en: "CV text", ar: "نص السيرة الذاتية" },
+};
+
+const MATCH_ATTRIBUTE_LABELS = {
+  skill: { en: "skills", ar: "المهارات" },
+  field: { en: "field", ar: "المجال" },
+  level: { en: "level", ar: "المستوى" },
+};
+
+// Match score, the catalog attributes that matched and the CV evidence behind a
+// recommendation. Evidence buttons carry the item and text offsets they point to;
+// ui.js opens them in the CV review modal.
+function createMatchElement(match, language) {
+  const isAr = language === 'ar';
+  const pick = (labels) => (isAr ? labels.ar : labels.en);
+  const wrapper = document.createElement("div");
+  wrapper.className = "recommendation-match";
+
+  const header = document.createElement("div");
+  header.className = "recommendation-match-header";
+  const score = document.createElement("span");
+  const band = match.score >= 70 ? "high" : match.score >= 40 ? "medium" : "low";
+  score.className = `match-score match-score-${band}`;
+  score.textContent = `${isAr ? "التطابق" : "Match"} ${match.score}%`;
+  if (match.modelConfidence !== null) {
+    score.title = isAr
+      ? `ثقة النموذج ${match.modelConfidence}%، ممزوجة بالأدلة من السيرة الذاتية`
+      : `Model confidence ${match.modelConfidence}%, blended with the CV evidence`;
   }
-  
-  // Remove any leading/trailing non-JSON text
-  cleaned = cleaned.trim();
+  header.appendChild(score);
 
-  let recommendations;
-  try {
-    recommendations = JSON.parse(cleaned);
-  } catch (err) {
-    console.error("JSON Parsing Error:", err);
-    console.error("Cleaned response that failed to parse:", cleaned);
-    console.error("First 500 chars of cleaned response:", cleaned.substring(0, 500));
-    throw new Error(
-      "The AI returned an invalid JSON format. Check the console for the raw response."
-    );
+  const groups = {};
+  match.attributes.forEach((attr) => {
+    (groups[attr.attribute] ||= []).push(isAr ? attr.ar || attr.en : attr.en || attr.ar);
+  });
+  const attributeText = Object.entries(groups)
+    .map(([attribute, values]) => `${pick(MATCH_ATTRIBUTE_LABELS[attribute])}: ${values.join(isAr ? "، " : ", ")}`)
+    .join(" · ");
+  if (attributeText) {
+    const attributes = document.createElement("span");
+    attributes.className = "match-attributes";
+    attributes.textContent = `${isAr ? "يطابق" : "Matches"} ${attributeText}`;
+    header.appendChild(attributes);
+  }
+  wrapper.appendChild(header);
+
+  if (match.evidence.length > 0) {
+    const list = document.createElement("div");
+    list.className = "match-evidence";
+    match.evidence.slice(0, MATCH_EVIDENCE_SHOWN).forEach((item) => {
+      const canOpen = item.section !== null || item.start !== null;
+      const link = document.createElement(canOpen ? "button" : "span");
+      link.className = "match-evidence-item";
+      if (canOpen) {
+        link.type = "button";
+        link.classList.add("evidence-link");
+        link.dataset.section = item.section ?? "";
+        link.dataset.index = item.index ?? "";
+        link.dataset.start = item.start ?? "";
+        link.dataset.end = item.end ?? "";
+        link.title = isAr ? "عرض في مراجعة السيرة الذاتية" : "Show in the CV review";
+      }
+      link.appendChild(document.createTextNode(`${pick(EVIDENCE_KIND_LABELS[item.kind])}: `));
+      const mark = document.createElement("mark");
+      mark.textContent = item.label;
+      link.appendChild(mark);
+      if (item.context) link.appendChild(document.createTextNode(` (${item.context})`));
+      list.appendChild(link);
+    });
+    const hidden = match.evidence.length - MATCH_EVIDENCE_SHOWN;
+    if (hidden > 0) {
+      const more = document.createElement("span");
+      more.className = "muted match-evidence-more";
+      more.textContent = isAr ? `+${hidden} أخرى` : `+${hidden} more`;
+      list.appendChild(more);
+    }
+    wrapper.appendChild(list);
+  }
+  return wrapper;
+}
+
+// Accept / reject / pin buttons with the current feedback. Clicking the active
+// button clears it; reject opens a reason form first. ui.js handles the clicks.
+function createFeedbackElement(rec, language) {
+  const isAr = language === 'ar';
+  const status = rec.feedback?.status || (rec.pinned ? "pinned" : null);
+  const wrapper = document.createElement("div");
+  wrapper.className = "recommendation-feedback";
+
+  const actions = document.createElement("div");
+  actions.className = "feedback-actions";
+  [
+    ["accepted", "fa-check", isAr ? "قبول" : "Accept"],
+    ["rejected", "fa-times", isAr ? "رفض" : "Reject"],
+    ["pinned", "fa-thumbtack", isAr ? "تثبيت" : "Pin"],
+  ].forEach(([action, icon, label]) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `feedback-btn feedback-btn-${action}`;
+    btn.dataset.feedback = action;
+    btn.setAttribute("aria-pressed", String(status === action));
+    btn.innerHTML = `<i class="fas ${icon}"></i> ${label}`;
+    actions.appendChild(btn);
+  });
+  wrapper.appendChild(actions);
+
+  if (status === "rejected") {
+    const note = document.createElement("div");
+    note.className = "feedback-note";
+    note.textContent = `${isAr ? "مرفوضة، لن تُقترح في التحليل القادم" : "Rejected, left out of the next analysis"}${
+      rec.feedback.reason ? `: ${rec.feedback.reason}` : ""
+    }`;
+    wrapper.appendChild(note);
+  }
+
+  const form = document.createElement("div");
+  form.className = "feedback-reject-form";
+  form.hidden = true;
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "feedback-reject-reason";
+  input.placeholder = isAr ? "سبب الرفض (اختياري)" : "Reason for rejecting (optional)";
+  input.setAttribute("aria-label", isAr ? "سبب الرفض" : "Reason for rejecting");
+  form.appendChild(input);
+  const confirm = document.createElement("button");
+  confirm.type = "button";
+  confirm.className = "catalog-action-btn feedback-reject-confirm";
+  confirm.textContent = isAr ? "رفض" : "Reject";
+  form.appendChild(confirm);
+  const cancel = document.createElement("button");
+  cancel.type = "button";
+  cancel.className = "catalog-action-btn feedback-reject-cancel";
+  cancel.textContent = isAr ? "إلغاء" : "Cancel";
+  form.appendChild(cancel);
+  wrapper.appendChild(form);
+  return wrapper;
+}
+
+// `feedbackActions` adds the accept / reject / pin buttons (recommended certificates only)
+function createRecommendationCard(rec, language, { feedbackActions = false } = {}) {
+  // Older saved results have no attached catalog entry; look it up by id
+  const entry = rec.catalog || getCertificateById(rec.certId);
+  let displayName = rec.certName;
+  if (language === 'ar' && entry && entry.nameAr) displayName = entry.nameAr;
+  const metaParts = entry
+    ? language === 'ar'
+      ? [
+          entry.levelAr || entry.level,
+          entry.entityAr || entry.entity,
+          entry.fieldAr || entry.fieldEn,
+        ].filter(Boolean)
+      : [entry.level, entry.entity, entry.fieldEn].filter(Boolean)
+    : [];
+  const card = document.createElement("div");
+  card.className = "recommendation-card";
+  card.dataset.certId = rec.certId || "";
+  if (rec.feedback?.status) card.classList.add(`feedback-${rec.feedback.status}`);
+  card.innerHTML = `
+    <div class="recommendation-title">${displayName}</div>
+    ${
+      metaParts.length > 0
+        ? `<div class="recommendation-meta">${metaParts.join(" · ")}</div>`
+        : ""
+    }
+    ${
+      rec.reason
+        ? `<div class="recommendation-reason">
+             <i class="fas fa-lightbulb"></i> ${rec.reason}
+           </div>`
+        : ""
+    }
+    ${
+      rec.pinned
+        ? `<div class="recommendation-pinned">
+             <i class="fas fa-thumbtack"></i> ${
+               language === 'ar' ? "مثبتة، تبقى في كل تحليل" : "Pinned, kept in every analysis"
+             }
+           </div>`
+        : ""
+    }
+    ${
+      rec.source === "baseline"
+        ? `<div class="recommendation-baseline">
+             <i class="fas fa-calculator"></i> ${
+               language === 'ar' ? "توصية أساسية محلية" : "Offline baseline"
+             } · ${language === 'ar' ? "الدرجة" : "score"} ${rec.score}
+           </div>`
+        : ""
+    }
+    ${
+      rec.rulesApplied && rec.rulesApplied.length > 0
+        ? `<div class="recommendation-rule">
+             <i class="fas fa-gavel"></i> Rules Applied: ${rec.rulesApplied.join(
+               ", "
+             )}
+           </div>`
+        : ""
+    }
+  `;
+  if (rec.match) card.appendChild(createMatchElement(rec.match, language));
+  if (feedbackActions) card.appendChild(createFeedbackElement(rec, language));
+  return card;
+}
+
+// The learning path as numbered steps; held steps are ticked and the first
+// step still to take is marked as the candidate's current position.
+function createLearningPathElement(path, recommendations, language) {
+  const recsById = new Map((recommendations || []).map((rec) => [rec.certId, rec]));
+  const nameOf = (certId) => {
+    const entry = getCertificateById(certId);
+    if (!entry) return certId;
+    return language === 'ar' && entry.nameAr ? entry.nameAr : entry.name;
+  };
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "learning-path";
+
+  const title = document.createElement("div");
+  title.className = "learning-path-title";
+  title.innerHTML = `<i class="fas fa-route"></i> ${
+    language === 'ar' ? "المسار التعليمي" : "Learning path"
+  }`;
+  wrapper.appendChild(title);
+
+  const list = document.createElement("ol");
+  list.className = "learning-path-steps";
+
+  path.steps.forEach((step, index) => {
+    const status =
+      step.held ? "completed" : index === path.currentIndex ? "current" : "upcoming";
+    const item = document.createElement("li");
+    item.className = `learning-path-step ${status}`;
+
+    const marker = document.createElement("div");
+    marker.className = "learning-path-marker";
+    marker.innerHTML = step.held ? '<i class="fas fa-check"></i>' : String(index + 1);
+    item.appendChild(marker);
+
+    const body = document.createElement("div");
+    body.className = "learning-path-body";
+
+    if (status === "current") {
+      const position = document.createElement("div");
+      position.className = "learning-path-position";
+      position.innerHTML = `<i class="fas fa-map-marker-alt"></i> ${
+        language === 'ar' ? "الخطوة التالية للمرشح" : "Candidate's next step"
+      }`;
+      body.appendChild(position);
+    }
+
+    const rec = recsById.get(step.certId) || { certId: step.certId, certName: step.certName };
+    const card = createRecommendationCard(rec, language, { feedbackActions: recsById.has(step.certId) });
+    if (!step.recommended) card.classList.add("learning-path-extra");
+
+    const notes = [];
+    if (step.held) {
+      notes.push(language === 'ar' ? "حاصل عليها بحسب السيرة الذاتية" : "Already held (listed in the CV)");
+    }
+    if (step.prerequisiteFor.length > 0) {
+      const targets = step.prerequisiteFor.map(nameOf).join(", ");
+      notes.push(language === 'ar' ? `متطلب سابق لـ ${targets}` : `Prerequisite for ${targets}`);
+    }
+    notes.forEach((noteText) => {
+      const note = document.createElement("div");
+      note.className = "learning-path-note";
+      note.textContent = noteText;
+      card.appendChild(note);
+    });
+
+    body.appendChild(card);
+    item.appendChild(body);
+    list.appendChild(item);
+  });
+
+  wrapper.appendChild(list);
+  return wrapper;
+}
+
+// Skill gaps against the candidate's target role. The role picker carries the
+// CV name; ui.js listens for its change events on the results container.
+function createSkillGapElement(candidate, language) {
+  const gap = candidate.skillGap;
+  const isAr = language === 'ar';
+  const labelOf = (item) => (isAr ? item.ar || item.en : item.en);
+
+  const wrapper = document.createElement("div");
+  wrapper.className = "skill-gap";
+
+  const header = document.createElement("div");
+  header.className = "skill-gap-header";
+  const title = document.createElement("div");
+  title.className = "learning-path-title";
+  title.innerHTML = `<i class="fas fa-chart-pie"></i> ${isAr ? "الفجوات في المهارات" : "Skill gaps"}`;
+  header.appendChild(title);
+
+  const select = document.createElement("select");
+  select.className = "skill-gap-role-select";
+  select.dataset.cvId = candidate.cvId || "";
+  select.setAttribute("aria-label", isAr ? "الدور المستهدف" : "Target role");
+  const automatic = document.createElement("option");
+  automatic.value = "";
+  automatic.textContent = isAr ? "الدور من المسمى الوظيفي" : "Role from job title";
+  select.appendChild(automatic);
+  listRoleProfiles().forEach((role) => {
+    const option = document.createElement("option");
+    option.value = role.id;
+    option.textContent = labelOf(role);
+    if (gap.role && !gap.inferred && gap.role.id === role.id) option.selected = true;
+    select.appendChild(option);
+  });
+  header.appendChild(select);
+  wrapper.appendChild(header);
+
+  const summary = document.createElement("div");
+  summary.className = "skill-gap-summary";
+  if (!gap.role) {
+    summary.textContent = isAr
+      ? "لم يتم التعرف على دور من المسمى الوظيفي. اختر دوراً مستهدفاً."
+      : "No role was recognised from the job title. Choose a target role.";
+    wrapper.appendChild(summary);
+    return wrapper;
   }
-  return recommendations;
+  const total = gap.covered.length + gap.missing.length;
+  summary.textContent = isAr
+    ? `يغطي ${gap.covered.length} من ${total} مهارات لدور ${labelOf(gap.role)}${
+        gap.inferred && gap.inferredFrom ? ` (من المسمى "${gap.inferredFrom}")` : ""
+      }`
+    : `Covers ${gap.covered.length} of ${total} skills for ${labelOf(gap.role)}${
+        gap.inferred && gap.inferredFrom ? ` (from "${gap.inferredFrom}")` : ""
+      }`;
+  wrapper.appendChild(summary);
+
+  if (gap.covered.length > 0) {
+    const covered = document.createElement("div");
+    covered.className = "skill-gap-covered";
+    gap.covered.forEach((skill) => {
+      const chip = document.createElement("span");
+      chip.className = "skill-gap-chip";
+      chip.innerHTML = `<i class="fas fa-check"></i> `;
+      chip.appendChild(document.createTextNode(labelOf(skill)));
+      chip.title = skill.evidence.label;
+      covered.appendChild(chip);
+    });
+    wrapper.appendChild(covered);
+  }
+
+  if (gap.missing.length > 0) {
+    const list = document.createElement("ul");
+    list.className = "skill-gap-missing";
+    gap.missing.forEach((skill) => {
+      const item = document.createElement("li");
+      const name = document.createElement("div");
+      name.className = "skill-gap-missing-name";
+      name.textContent = labelOf(skill);
+      item.appendChild(name);
+      if (skill.certificates.length > 0) {
+        const certs = document.createElement("div");
+        certs.className = "skill-gap-certs";
+        certs.textContent = `${isAr ? "شهادات تسد الفجوة" : "Closed by"}: ${skill.certificates
+          .map((c) => (isAr && c.nameAr ? c.nameAr : c.name))
+          .join(" · ")}`;
+        item.appendChild(certs);
+      }
+      list.appendChild(item);
+    });
+    wrapper.appendChild(list);
+  }
+  return wrapper;
 }
 
 export function displayRecommendations(recommendations, containerEl, resultsSectionEl, language = 'en') {
   if (!containerEl || !resultsSectionEl) return;
-  const catalog = getFinalCertificateCatalog(); // Load catalog
   containerEl.innerHTML = "";
 
   if (
@@ -392,6 +1156,7 @@ export function displayRecommendations(recommendations, containerEl, resultsSect
     recommendations.candidates.forEach((candidate) => {
       const candidateDiv = document.createElement("div");
       candidateDiv.className = "candidate-result";
+      candidateDiv.dataset.cvId = candidate.cvId || "";
 
       // CV name (if available)
       if (candidate.cvName) {
@@ -415,33 +1180,104 @@ export function displayRecommendations(recommendations, containerEl, resultsSect
       }
       candidateDiv.appendChild(nameDiv);
 
+      if (candidate.cvName) {
+        const exportBtn = document.createElement("button");
+        exportBtn.type = "button";
+        exportBtn.className = "catalog-action-btn candidate-export-pdf";
+        exportBtn.dataset.cvId = candidate.cvId || "";
+        exportBtn.innerHTML = `<i class="fas fa-file-pdf"></i> ${
+          language === 'ar' ? "تقرير PDF" : "PDF report"
+        }`;
+        candidateDiv.appendChild(exportBtn);
+      }
+
+      if (candidate.analysisError) {
+        const errorDiv = document.createElement("div");
+        errorDiv.className = "recommendation-error";
+        errorDiv.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${
+          language === 'ar' ? "تعذر تحليل هذه السيرة الذاتية" : "This CV could not be analyzed"
+        }${
+          candidate.source === "baseline"
+            ? language === 'ar'
+              ? " (تظهر توصيات أساسية محلية بدون ذكاء اصطناعي)"
+              : " (showing offline baseline recommendations)"
+            : candidate.recommendations && candidate.recommendations.length > 0
+              ? language === 'ar' ? " (تظهر التوصيات السابقة)" : " (showing previous recommendations)"
+              : ""
+        }.`;
+        errorDiv.title = candidate.analysisError;
+        candidateDiv.appendChild(errorDiv);
+      }
+
       if (candidate.recommendations && candidate.recommendations.length > 0) {
-        candidate.recommendations.forEach((rec) => {
-          let displayName = rec.certName;
-          if (language === 'ar') {
-            const found = catalog.find(c => c.name === rec.certName || c.Certificate_Name_EN === rec.certName);
-            if (found && found.nameAr) displayName = found.nameAr;
-          }
-          const card = document.createElement("div");
-          card.className = "recommendation-card";
-          card.innerHTML = `
-            <div class="recommendation-title">${displayName}</div>
-            <div class="recommendation-reason">
-              <i class="fas fa-lightbulb"></i> ${rec.reason}
-            </div>
-            ${
-              rec.rulesApplied && rec.rulesApplied.length > 0
-                ? `<div class="recommendation-rule">
-                     <i class="fas fa-gavel"></i> Rules Applied: ${rec.rulesApplied.join(
-                       ", "
-                     )}
-                   </div>`
-                : ""
-            }
-          `;
-          candidateDiv.appendChild(card);
-        });
-      } else {
+        // Older saved results have no learning path; build it from the recommendations
+        const path =
+          candidate.learningPath ||
+          buildLearningPath(candidate.recommendations, candidate.heldCertIds);
+        candidateDiv.appendChild(
+          createLearningPathElement(path, candidate.recommendations, language)
+        );
+      }
+
+      if (candidate.skillGap) {
+        candidateDiv.appendChild(createSkillGapElement(candidate, language));
+      }
+
+      const check = candidate.baselineCheck;
+      if (check && check.total > 0) {
+        const checkDiv = document.createElement("div");
+        checkDiv.className = `recommendation-baseline-check${
+          check.agreed.length === 0 ? " low-agreement" : ""
+        }`;
+        checkDiv.innerHTML = `<i class="fas fa-balance-scale"></i> ${
+          language === 'ar'
+            ? `يتفق المحرك الأساسي المحلي مع ${check.agreed.length} من ${check.total} توصيات`
+            : `Offline baseline agrees with ${check.agreed.length} of ${check.total} recommendations`
+        }`;
+        checkDiv.title = check.baselineTop.join(", ");
+        candidateDiv.appendChild(checkDiv);
+      }
+
+      if (candidate.rejectedRecommendations && candidate.rejectedRecommendations.length > 0) {
+        const rejectedDiv = document.createElement("div");
+        rejectedDiv.className = "recommendation-rejected";
+        rejectedDiv.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${
+          language === 'ar'
+            ? `تم استبعاد ${candidate.rejectedRecommendations.length} اقتراح(ات) غير موجودة في الكتالوج`
+            : `${candidate.rejectedRecommendations.length} suggestion(s) removed because they are not in the catalog`
+        }: ${candidate.rejectedRecommendations.map((r) => r.certName).join(", ")}`;
+        candidateDiv.appendChild(rejectedDiv);
+      }
+
+      if (candidate.removedByRules && candidate.removedByRules.length > 0) {
+        const removedDiv = document.createElement("div");
+        removedDiv.className = "recommendation-removed";
+        removedDiv.innerHTML = `<i class="fas fa-gavel"></i> ${
+          language === 'ar' ? "استبعدتها قواعد العمل" : "Removed by business rules"
+        }: ${candidate.removedByRules
+          .map((r) => `${r.certName} <span class="muted">(${r.removalReason})</span>`)
+          .join(", ")}`;
+        candidateDiv.appendChild(removedDiv);
+      }
+
+      if (candidate.removedByFeedback && candidate.removedByFeedback.length > 0) {
+        const removedDiv = document.createElement("div");
+        removedDiv.className = "recommendation-removed";
+        removedDiv.innerHTML = `<i class="fas fa-times-circle"></i> ${
+          language === 'ar' ? "استبعدت لأن المراجع رفضها" : "Left out because the reviewer rejected them"
+        }: `;
+        removedDiv.appendChild(document.createTextNode(
+          candidate.removedByFeedback
+            .map((r) => (r.feedbackReason ? `${r.certName} (${r.feedbackReason})` : r.certName))
+            .join(", ")
+        ));
+        candidateDiv.appendChild(removedDiv);
+      }
+
+      if (
+        !candidate.analysisError &&
+        (!candidate.recommendations || candidate.recommendations.length === 0)
+      ) {
         const noRecP = document.createElement("p");
         noRecP.textContent =
           "No specific recommendations found for this candidate based on the current rules and catalog.";
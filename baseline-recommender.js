@@ -0,0 +1,196 @@
+// baseline-recommender.js
+// Deterministic, offline recommender. Scores catalog certificates against a structured CV
+// (skills, job titles, experience) without any LLM call. Used as a fallback when the AI
+// is unavailable and as a sanity check on AI output.
+
+import { BASELINE_TOP_N } from "./constants.js";
+import {
+  calculateTotalExperience,
+  calculateKnownExperience,
+  getActiveCatalog,
+  toCatalogRef,
+} from "./storage-catalog.js";
+import { rankCertificates, tokenizeForRetrieval, isCertificateHeld } from "./catalog-retrieval.js";
+import { getLevelRank, enforceRules } from "./rule-engine.js";
+import { findHeldCertificates, withLearningPath } from "./certificate-progression.js";
+import { normalizeSkills, expandSkillText } from "./skill-taxonomy.js";
+
+// Relative weight of each CV signal in the final score
+const SIGNAL_WEIGHTS = { skills: 0.5, titles: 0.3, descriptions: 0.2 };
+
+// Level ranks (see rule-engine getLevelRank) that suit a given amount of experience
+function targetLevelRange(years) {
+  if (years < 2) return [1, 2];
+  if (years < 5) return [2, 3];
+  if (years < 10) return [3, 4];
+  return [3, 5];
+}
+
+// Score multiplier: 1 inside the suited range, less the further the level is outside it
+function levelFitFactor(level, years) {
+  const rank = getLevelRank(level);
+  const [min, max] = targetLevelRange(years);
+  if (rank >= min && rank <= max) return 1;
+  const distance = rank < min ? min - rank : rank - max;
+  return Math.max(0.3, 1 - 0.35 * distance);
+}
+
+function asText(item) {
+  return typeof item === "string" ? item : item?.title || "";
+}
+
+// Accepts either the parser shape or the review-modal shape of a CV
+function extractSignals(cv) {
+  const structured = cv.structured || cv;
+  const experience = structured.experience || [];
+  return {
+    skills: normalizeSkills(structured.skills),
+    titles: experience.map((exp) => exp.jobTitle || exp.title || "").filter(Boolean),
+    descriptions: experience.map((exp) => exp.description || "").filter(Boolean),
+    heldCertifications: (structured.certifications || []).map(asText).filter(Boolean),
+    years: calculateTotalExperience(experience),
+  };
+}
+
+// Normalised BM25 scores for one signal: Map(cert -> 0..1)
+function scoreSignal(terms) {
+  const query = terms.join(" ");
+  if (!query.trim()) return new Map();
+  const ranked = rankCertificates(query, Infinity);
+  const top = ranked[0]?.score || 1;
+  return new Map(ranked.map(({ cert, score }) => [cert, score / top]));
+}
+
+// Skill query with canonical labels added, so "JS" also retrieves "JavaScript" certificates
+function skillTerms(skills) {
+  return skills.map((skill) => expandSkillText(skill.title));
+}
+
+// Which of the candidate's own phrases share a token with the certificate
+function matchedPhrases(phrases, cert) {
+  const certTokens = new Set(
+    tokenizeForRetrieval(`${cert.name} ${cert.nameAr} ${cert.fieldEn} ${cert.description}`)
+  );
+  return phrases.filter((phrase) =>
+    tokenizeForRetrieval(phrase).some((token) => certTokens.has(token))
+  );
+}
+
+// Candidate skills the certificate covers: same canonical skill, or a shared token
+function matchedSkills(skills, cert) {
+  const certSkillIds = new Set(cert.skillIds || []);
+  const byToken = new Set(matchedPhrases(skills.map((skill) => skill.title), cert));
+  return skills
+    .filter((skill) => certSkillIds.has(skill.skillId) || byToken.has(skill.title))
+    .map((skill) => skill.title);
+}
+
+// Describes how the certificate level compares with the range suited to the candidate's experience
+export function levelFitDirection(level, years) {
+  const rank = getLevelRank(level);
+  const [min, max] = targetLevelRange(years);
+  if (rank < min) return "below";
+  if (rank > max) return "above";
+  return "fits";
+}
+
+function buildReason(cert, { skills, titles, years }, language) {
+  const fit = levelFitDirection(cert.level, years);
+  const parts = [];
+  if (language === "ar") {
+    const levelLabel = cert.level || "غير محدد";
+    const fitText = { fits: "مناسب لخبرة", above: "أعلى من المعتاد لخبرة", below: "أقل من المعتاد لخبرة" }[fit];
+    if (skills.length) parts.push(`تتوافق مع المهارات: ${skills.slice(0, 4).join("، ")}`);
+    if (titles.length) parts.push(`مرتبطة بالدور: ${titles[0]}`);
+    parts.push(`المستوى (${levelLabel}) ${fitText} ${years} سنة`);
+    return `${parts.join("؛ ")}.`;
+  }
+  const levelLabel = cert.level || "Unspecified";
+  const yearsText = `${years} year${years === 1 ? "" : "s"} of experience`;
+  const fitText = { fits: "suits", above: "is above the usual level for", below: "is below the usual level for" }[fit];
+  if (skills.length) parts.push(`matches skills: ${skills.slice(0, 4).join(", ")}`);
+  if (titles.length) parts.push(`relevant to the role "${titles[0]}"`);
+  parts.push(`${levelLabel} level ${fitText} ${yearsText}`);
+  const text = parts.join("; ");
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+/**
+ * Ranks catalog certificates for one CV.
+ * Returns recommendations in the same shape the AI path produces
+ * ({ certId, certName, reason, rulesApplied, catalog }) plus `score` and `source: "baseline"`.
+ */
+export function recommendForCv(cv, { topN = BASELINE_TOP_N, language = "en" } = {}) {
+  const signals = extractSignals(cv);
+  const perSignal = {
+    skills: scoreSignal(skillTerms(signals.skills)),
+    titles: scoreSignal(signals.titles),
+    descriptions: scoreSignal(signals.descriptions),
+  };
+
+  return getActiveCatalog()
+    .filter((cert) => !isCertificateHeld(cert, signals.heldCertifications))
+    .map((cert) => {
+      const relevance = Object.entries(SIGNAL_WEIGHTS).reduce(
+        (sum, [signal, weight]) => sum + weight * (perSignal[signal].get(cert) || 0),
+        0
+      );
+      return { cert, score: relevance * levelFitFactor(cert.level, signals.years) };
+    })
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topN)
+    .map(({ cert, score }) => ({
+      certId: cert.id,
+      certName: cert.name,
+      reason: buildReason(
+        cert,
+        {
+          skills: matchedSkills(signals.skills, cert),
+          titles: matchedPhrases(signals.titles, cert),
+          years: signals.years,
+        },
+        language
+      ),
+      rulesApplied: [],
+      score: Math.round(score * 100) / 100,
+      source: "baseline",
+      catalog: toCatalogRef(cert),
+    }));
+}
+
+// Baseline recommendations for one CV with business rules enforced,
+// as a candidate in the { candidates: [...] } shape displayRecommendations consumes.
+export function buildBaselineCandidate(cv, rules = [], language = "en") {
+  const signals = extractSignals(cv);
+  const { recommendations, removedByRules } = enforceRules(
+    recommendForCv(cv, { language }),
+    rules,
+    { yearsOfExperience: calculateKnownExperience((cv.structured || cv).experience || []) }
+  );
+  return withLearningPath({
+    cvId: cv.id,
+    cvName: cv.name,
+    candidateName: signals.titles[0] || cv.name,
+    recommendations,
+    rejectedRecommendations: [],
+    removedByRules,
+    heldCertIds: findHeldCertificates(cv),
+    source: "baseline",
+  });
+}
+
+export function recommendWithBaseline(cvArray, rules = [], language = "en") {
+  return { candidates: cvArray.map((cv) => buildBaselineCandidate(cv, rules, language)) };
+}
+
+// Sanity check: how many AI recommendations the baseline also ranks highly
+export function compareWithBaseline(aiRecommendations, baselineRecommendations) {
+  const baselineIds = new Set(baselineRecommendations.map((r) => r.certId));
+  const agreed = aiRecommendations.filter((r) => baselineIds.has(r.certId)).map((r) => r.certId);
+  return {
+    agreed,
+    total: aiRecommendations.length,
+    baselineTop: baselineRecommendations.map((r) => r.certId),
+  };
+}
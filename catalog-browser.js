@@ -0,0 +1,387 @@
+// catalog-browser.js
+// Side-panel catalog browser: full-text search, field/level/entity/skill facets,
+// bilingual display and a detail drawer (ask the chat, pin to a candidate).
+
+import {
+  getActiveCatalog,
+  getCertificateById,
+  searchCertificates,
+  searchByField,
+} from "./storage-catalog.js";
+import { getCatalogVocabulary } from "./catalog-vocabulary.js";
+import { getPrerequisites, getNextSteps } from "./certificate-progression.js";
+import { getSkillById, skillLabel } from "./skill-taxonomy.js";
+
+// Results rendered at once; the count line shows the total
+const MAX_VISIBLE_RESULTS = 100;
+
+const BROWSER_TEXT = {
+  en: {
+    allFields: "All fields",
+    allLevels: "All levels",
+    allEntities: "All entities",
+    allSkills: "All skills",
+    showing: "Showing",
+    of: "of",
+    certificates: "certificates",
+    noResults: "No certificates match your search.",
+    entity: "Entity",
+    field: "Field",
+    level: "Level",
+    skills: "Skills",
+    description: "Description",
+    prerequisites: "Take first",
+    nextSteps: "Leads to",
+    id: "ID",
+    askChat: "Ask the chat about this",
+    pinTo: "Pin to candidate",
+    pin: "Pin",
+    pinned: "Pinned to",
+    alreadyPinned: "Already recommended for",
+    noCandidates: "Upload and submit a CV to pin certificates to a candidate.",
+    askQuestion: (cert) =>
+      `Tell me about the "${cert.name}" certification: who it is for, what it covers, and how it compares with similar certifications in the catalog.`,
+  },
+  ar: {
+    allFields: "كل المجالات",
+    allLevels: "كل المستويات",
+    allEntities: "كل الجهات",
+    allSkills: "كل المهارات",
+    showing: "عرض",
+    of: "من",
+    certificates: "شهادة",
+    noResults: "لا توجد شهادات مطابقة للبحث.",
+    entity: "الجهة",
+    field: "المجال",
+    level: "المستوى",
+    skills: "المهارات",
+    description: "الوصف",
+    prerequisites: "تسبقها",
+    nextSteps: "تؤدي إلى",
+    id: "المعرف",
+    askChat: "اسأل المساعد عن هذه الشهادة",
+    pinTo: "تثبيت لمرشح",
+    pin: "تثبيت",
+    pinned: "تم التثبيت لـ",
+    alreadyPinned: "موصى بها مسبقاً لـ",
+    noCandidates: "ارفع سيرة ذاتية وأرسلها لتثبيت الشهادات لمرشح.",
+    askQuestion: (cert) =>
+      `حدثني عن شهادة "${cert.nameAr || cert.name}": لمن هي موجهة، وماذا تغطي، وكيف تقارن بالشهادات المشابهة في الكتالوج؟`,
+  },
+};
+
+function isArabic() {
+  return document.documentElement.lang === "ar";
+}
+
+function text(key) {
+  const lang = isArabic() ? "ar" : "en";
+  return BROWSER_TEXT[lang][key] ?? BROWSER_TEXT.en[key];
+}
+
+function label(record) {
+  return isArabic() ? record.ar || record.en : record.en || record.ar;
+}
+
+function displayName(cert) {
+  return isArabic() ? cert.nameAr || cert.name : cert.name || cert.nameAr;
+}
+
+// ---------------------------------------------------------------------------
+// Filtering
+// ---------------------------------------------------------------------------
+const state = { query: "", fieldId: "", levelId: "", entityId: "", skillId: "" };
+let callbacks = { onAskChat: null, onPin: null, getCandidates: () => [] };
+
+// Every whitespace-separated term must appear somewhere in the certificate
+function matchQuery(query) {
+  const terms = query.trim().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return getActiveCatalog();
+  return terms.reduce((matches, term) => {
+    const found = new Set(searchCertificates(term));
+    return matches.filter((cert) => found.has(cert));
+  }, getActiveCatalog());
+}
+
+function applyFacets(certs, { fieldId, levelId, entityId, skillId }) {
+  let result = certs;
+  if (fieldId) {
+    const fieldCert = getActiveCatalog().find((c) => c.fieldId === fieldId);
+    const inField = new Set(fieldCert ? searchByField(fieldCert.fieldEn) : []);
+    result = result.filter((c) => inField.has(c));
+  }
+  if (levelId) result = result.filter((c) => c.levelId === levelId);
+  if (entityId) result = result.filter((c) => c.entityId === entityId);
+  if (skillId) result = result.filter((c) => (c.skillIds || []).includes(skillId));
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function renderFacet(select, allLabel, options, selectedId) {
+  select.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = allLabel;
+  select.appendChild(all);
+  options.forEach((option) => {
+    const el = document.createElement("option");
+    el.value = option.id;
+    el.textContent = `${label(option)} (${option.count})`;
+    if (option.id === selectedId) el.selected = true;
+    select.appendChild(el);
+  });
+}
+
+// Facet options count the certificates that match the search and the other facets
+function renderFacets(matches) {
+  const facets = [
+    ["catalog-facet-field", "fieldId", "fields", "allFields"],
+    ["catalog-facet-level", "levelId", "levels", "allLevels"],
+    ["catalog-facet-entity", "entityId", "entities", "allEntities"],
+    ["catalog-facet-skill", "skillId", "skills", "allSkills"],
+  ];
+  facets.forEach(([elementId, stateKey, vocabularyKey, allKey]) => {
+    const select = document.getElementById(elementId);
+    if (!select) return;
+    const others = applyFacets(matches, { ...state, [stateKey]: "" });
+    const options = getCatalogVocabulary(others)[vocabularyKey];
+    // Drop a selection the current search no longer matches
+    if (state[stateKey] && !options.some((o) => o.id === state[stateKey])) {
+      state[stateKey] = "";
+    }
+    renderFacet(select, text(allKey), options, state[stateKey]);
+  });
+}
+
+function renderResults(results) {
+  const list = document.getElementById("catalog-results");
+  const countEl = document.getElementById("catalog-results-count");
+  if (!list) return;
+  list.innerHTML = "";
+
+  if (countEl) {
+    countEl.textContent =
+      results.length === 0
+        ? text("noResults")
+        : `${text("showing")} ${Math.min(results.length, MAX_VISIBLE_RESULTS)} ${text("of")} ${
+            results.length
+          } ${text("certificates")}`;
+  }
+
+  results.slice(0, MAX_VISIBLE_RESULTS).forEach((cert) => {
+    const item = document.createElement("li");
+    item.className = "catalog-result";
+    item.tabIndex = 0;
+    item.dataset.certId = cert.id;
+
+    const title = document.createElement("div");
+    title.className = "catalog-result-name";
+    title.textContent = displayName(cert);
+
+    const meta = document.createElement("div");
+    meta.className = "catalog-result-meta";
+    meta.textContent = [
+      isArabic() ? cert.levelAr || cert.level : cert.level,
+      isArabic() ? cert.entityAr || cert.entity : cert.entity,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    item.appendChild(title);
+    item.appendChild(meta);
+    item.addEventListener("click", () => openCertificateDrawer(cert));
+    item.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") openCertificateDrawer(cert);
+    });
+    list.appendChild(item);
+  });
+}
+
+export function refreshCatalogBrowser() {
+  const matches = matchQuery(state.query);
+  renderFacets(matches);
+  renderResults(applyFacets(matches, state));
+}
+
+// ---------------------------------------------------------------------------
+// Detail drawer
+// ---------------------------------------------------------------------------
+function closeCertificateDrawer() {
+  const drawer = document.getElementById("catalog-drawer");
+  if (drawer) drawer.hidden = true;
+}
+
+// Names of linked certificates in the progression graph, or "" when there are none
+function linkedNames(certIds) {
+  return certIds
+    .map(getCertificateById)
+    .filter(Boolean)
+    .map(displayName)
+    .join(", ");
+}
+
+function detailRow(labelText, value) {
+  if (!value) return null;
+  const row = document.createElement("div");
+  row.className = "catalog-detail-row";
+  const dt = document.createElement("dt");
+  dt.textContent = labelText;
+  const dd = document.createElement("dd");
+  dd.textContent = value;
+  row.appendChild(dt);
+  row.appendChild(dd);
+  return row;
+}
+
+function renderPinControls(cert, container) {
+  const candidates = callbacks.getCandidates();
+  const wrapper = document.createElement("div");
+  wrapper.className = "catalog-pin";
+
+  if (candidates.length === 0) {
+    wrapper.innerHTML = `<p class="muted">${text("noCandidates")}</p>`;
+    container.appendChild(wrapper);
+    return;
+  }
+
+  const select = document.createElement("select");
+  select.className = "catalog-pin-select";
+  select.setAttribute("aria-label", text("pinTo"));
+  candidates.forEach(({ id, name }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+
+  const pinBtn = document.createElement("button");
+  pinBtn.type = "button";
+  pinBtn.className = "catalog-action-btn";
+  pinBtn.innerHTML = `<i class="fas fa-thumbtack"></i> ${text("pin")}`;
+
+  const status = document.createElement("div");
+  status.className = "catalog-pin-status muted";
+
+  pinBtn.addEventListener("click", () => {
+    const option = select.selectedOptions[0];
+    const added = callbacks.onPin ? callbacks.onPin(cert, select.value) : false;
+    status.textContent = `${added ? text("pinned") : text("alreadyPinned")} ${option?.textContent || ""}`;
+  });
+
+  const heading = document.createElement("div");
+  heading.className = "catalog-pin-label";
+  heading.textContent = text("pinTo");
+
+  wrapper.appendChild(heading);
+  wrapper.appendChild(select);
+  wrapper.appendChild(pinBtn);
+  wrapper.appendChild(status);
+  container.appendChild(wrapper);
+}
+
+export function openCertificateDrawer(cert) {
+  const drawer = document.getElementById("catalog-drawer");
+  const content = document.getElementById("catalog-drawer-content");
+  if (!drawer || !content || !cert) return;
+  content.innerHTML = "";
+
+  const title = document.createElement("h3");
+  title.id = "catalog-drawer-title";
+  title.textContent = displayName(cert);
+  content.appendChild(title);
+
+  const otherName = isArabic() ? cert.name : cert.nameAr;
+  if (otherName && otherName !== title.textContent) {
+    const subtitle = document.createElement("div");
+    subtitle.className = "catalog-drawer-subtitle";
+    subtitle.textContent = otherName;
+    content.appendChild(subtitle);
+  }
+
+  const details = document.createElement("dl");
+  details.className = "catalog-details";
+  [
+    detailRow(text("entity"), isArabic() ? cert.entityAr || cert.entity : cert.entity),
+    detailRow(text("field"), isArabic() ? cert.fieldAr || cert.fieldEn : cert.fieldEn),
+    detailRow(text("level"), isArabic() ? cert.levelAr || cert.level : cert.level),
+    detailRow(
+      text("skills"),
+      (cert.skillIds || [])
+        .map(getSkillById)
+        .filter(Boolean)
+        .map((skill) => skillLabel(skill, isArabic() ? "ar" : "en"))
+        .join(", ")
+    ),
+    detailRow(text("description"), cert.description),
+    detailRow(text("prerequisites"), linkedNames(getPrerequisites(cert.id))),
+    detailRow(text("nextSteps"), linkedNames(getNextSteps(cert.id))),
+    detailRow(text("id"), cert.id),
+  ]
+    .filter(Boolean)
+    .forEach((row) => details.appendChild(row));
+  content.appendChild(details);
+
+  const askBtn = document.createElement("button");
+  askBtn.type = "button";
+  askBtn.className = "primary action-full";
+  askBtn.innerHTML = `<i class="fas fa-comments"></i> ${text("askChat")}`;
+  askBtn.addEventListener("click", () => {
+    closeCertificateDrawer();
+    if (callbacks.onAskChat) callbacks.onAskChat(cert, text("askQuestion")(cert));
+  });
+  content.appendChild(askBtn);
+
+  renderPinControls(cert, content);
+
+  drawer.hidden = false;
+}
+
+/**
+ * Wires the browser panel and drawer.
+ * @param {object} options
+ * @param {(cert, question: string) => void} options.onAskChat  Sends a question to the chat.
+ * @param {(cert, cvId: string) => boolean} options.onPin       Pins to a candidate; false if already there.
+ * @param {() => { id: string, name: string }[]} options.getCandidates  CVs that can receive a pin.
+ */
+export function initializeCatalogBrowser(options = {}) {
+  callbacks = { ...callbacks, ...options };
+  const searchInput = document.getElementById("catalog-search");
+  if (!searchInput) return;
+
+  let debounce = null;
+  searchInput.addEventListener("input", () => {
+    clearTimeout(debounce);
+    debounce = setTimeout(() => {
+      state.query = searchInput.value;
+      refreshCatalogBrowser();
+    }, 150);
+  });
+
+  [
+    ["catalog-facet-field", "fieldId"],
+    ["catalog-facet-level", "levelId"],
+    ["catalog-facet-entity", "entityId"],
+    ["catalog-facet-skill", "skillId"],
+  ].forEach(([elementId, stateKey]) => {
+    const select = document.getElementById(elementId);
+    if (!select) return;
+    select.addEventListener("change", () => {
+      state[stateKey] = select.value;
+      refreshCatalogBrowser();
+    });
+  });
+
+  const drawer = document.getElementById("catalog-drawer");
+  if (drawer) {
+    const closeBtn = drawer.querySelector(".catalog-drawer-close");
+    if (closeBtn) closeBtn.addEventListener("click", closeCertificateDrawer);
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && !drawer.hidden) closeCertificateDrawer();
+    });
+  }
+
+  refreshCatalogBrowser();
+}
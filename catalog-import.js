@@ -0,0 +1,263 @@
+// catalog-import.js
+// Imports the certificate catalog from XLSX / CSV / JSON, validates every row and
+// reports problems before the catalog is swapped in.
+
+import { CATALOG_COLUMNS, mapCatalogRow } from "./certificates-data.js";
+import { replaceCertificateCatalog, clearImportedCatalog } from "./storage-catalog.js";
+import { resetRetrievalIndex } from "./catalog-retrieval.js";
+import { normalizeCatalogEntry } from "./catalog-vocabulary.js";
+
+const REQUIRED_COLUMNS = ["name"];
+const ARABIC_COLUMNS = ["nameAr", "fieldAr"];
+const ARABIC_LETTERS = /[ء-ي]/;
+// Words that make a field value look like an issuing body instead of a field
+const ENTITY_HINTS = /\b(?:institute|association|council|society|board|academy|foundation|inc|ltd)\b/i;
+
+// ---------------------------------------------------------------------------
+// Reading files
+// ---------------------------------------------------------------------------
+
+// RFC 4180 CSV: quoted fields, doubled quotes, newlines inside quotes, BOM.
+// Semicolon-separated files (common in Arabic/European Excel locales) are detected from the header.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const source = (text || "").replace(/^\uFEFF/, "");
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter =
+    (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ";" : ",";
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+  const [header = [], ...body] = nonEmpty;
+  return body.map((cells) =>
+    Object.fromEntries(header.map((column, i) => [column.trim(), cells[i] ?? ""]))
+  );
+}
+
+// Reads the first sheet with SheetJS (loaded from the CDN as window.XLSX)
+function parseXlsx(arrayBuffer) {
+  if (typeof XLSX === "undefined") {
+    throw new Error("The spreadsheet library (SheetJS) is not loaded.");
+  }
+  const workbook = XLSX.read(arrayBuffer, { type: "array" });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { defval: "", raw: false });
+}
+
+/**
+ * Reads a catalog file into raw rows keyed by column header.
+ * Supports .xlsx/.xls (SheetJS), .csv and .json (the Certificates.json format).
+ */
+export async function readCatalogFile(file) {
+  const extension = (file.name.split(".").pop() || "").toLowerCase();
+  if (extension === "xlsx" || extension === "xls") {
+    return parseXlsx(await file.arrayBuffer());
+  }
+  if (extension === "csv") {
+    return parseCsv(await file.text());
+  }
+  if (extension === "json") {
+    const parsed = JSON.parse(await file.text());
+    if (!Array.isArray(parsed)) throw new Error("JSON catalog must be an array of rows.");
+    return parsed;
+  }
+  throw new Error(`Unsupported catalog file type: .${extension}`);
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+// Header matching tolerates case, spaces and underscores ("certificate name en")
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+// Renames the file's headers to the canonical CATALOG_COLUMNS names
+function canonicalizeRow(row, headerMap) {
+  const out = {};
+  Object.entries(row).forEach(([header, value]) => {
+    const column = headerMap.get(headerKey(header));
+    if (column) out[column] = value;
+  });
+  return out;
+}
+
+// Strips an unbalanced quote left at either end by a bad export; runs of spaces are collapsed silently
+function stripStrayQuotes(value) {
+  let text = value.trim();
+  if ((text.match(/"/g) || []).length % 2 === 1) {
+    text = text.replace(/^"\s*|\s*"$/, "");
+  }
+  return text.trim();
+}
+
+/**
+ * Validates raw rows and builds catalog entries.
+ *
+ * Each issue is { row, column, severity, message, value }; `row` is the
+ * spreadsheet row number (header = row 1). Errors drop the row, warnings keep it
+ * (with stray quotes and repeated spaces cleaned).
+ *
+ * Returns { entries, report: { totalRows, validRows, missingColumns, issues, errorCount, warningCount } }.
+ */
+export function validateCatalogRows(rows) {
+  const headerMap = new Map(
+    Object.values(CATALOG_COLUMNS).map((column) => [headerKey(column), column])
+  );
+  const presentColumns = new Set();
+  (rows || []).forEach((row) =>
+    Object.keys(row).forEach((header) => {
+      const column = headerMap.get(headerKey(header));
+      if (column) presentColumns.add(column);
+    })
+  );
+  const missingColumns = Object.entries(CATALOG_COLUMNS)
+    .filter(([, column]) => !presentColumns.has(column))
+    .map(([attr, column]) => ({ column, required: REQUIRED_COLUMNS.includes(attr) }));
+
+  const issues = [];
+  const entries = [];
+  const canonical = (rows || []).map((row) => canonicalizeRow(row, headerMap));
+
+  // Entity values of all rows, used to spot fields that are really entities
+  const entityValues = new Set(
+    canonical.map((row) => stripStrayQuotes(String(row[CATALOG_COLUMNS.entity] ?? "")).toLowerCase()).filter(Boolean)
+  );
+  const seenNames = new Map();
+
+  canonical.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const raw = mapCatalogRow(row);
+    const add = (attr, severity, message) =>
+      issues.push({ row: rowNumber, column: CATALOG_COLUMNS[attr], severity, message, value: raw[attr] });
+
+    if (Object.values(raw).every((value) => value === "")) return; // blank spreadsheet row
+
+    if (!raw.name) {
+      add("name", "error", "Missing English certificate name; row skipped");
+      return;
+    }
+
+    const entry = { ...raw };
+    Object.keys(entry).forEach((attr) => {
+      const cleaned = stripStrayQuotes(entry[attr]);
+      if (cleaned !== entry[attr] && attr !== "description") {
+        add(attr, "warning", "Stray quotes removed");
+      }
+      entry[attr] = cleaned.replace(/\s{2,}/g, " ");
+    });
+
+    const nameKey = entry.name.toLowerCase();
+    if (seenNames.has(nameKey)) {
+      add("name", "warning", `Duplicate of row ${seenNames.get(nameKey)}`);
+    } else {
+      seenNames.set(nameKey, rowNumber);
+    }
+
+    if (entry.fieldEn && (entityValues.has(entry.fieldEn.toLowerCase()) || ENTITY_HINTS.test(entry.fieldEn))) {
+      add("fieldEn", "warning", "Field looks like an issuing body, not a field");
+    }
+
+    // Level/field/entity against the controlled vocabularies (see catalog-vocabulary.js);
+    // the remaining checks look at the normalised entry, after any repair.
+    const notes = [];
+    const normalized = normalizeCatalogEntry(entry, notes);
+    notes.forEach((n) => add(n.attr, "warning", n.message));
+
+    if (!normalized.level) add("level", "warning", "Missing level");
+    if (!normalized.fieldEn) add("fieldEn", "warning", "Missing English field");
+    if (!normalized.entity) add("entity", "warning", "Missing issuing entity");
+    if (!normalized.description) add("description", "warning", "Missing description");
+
+    ARABIC_COLUMNS.forEach((attr) => {
+      if (!normalized[attr]) {
+        add(attr, "warning", "Missing Arabic text");
+      } else if (!ARABIC_LETTERS.test(normalized[attr])) {
+        add(attr, "warning", "Arabic column contains no Arabic text");
+      }
+    });
+
+    entries.push(entry);
+  });
+
+  missingColumns
+    .filter((c) => c.required)
+    .forEach((c) =>
+      issues.unshift({ row: 1, column: c.column, severity: "error", message: "Required column is missing", value: "" })
+    );
+
+  return {
+    entries: missingColumns.some((c) => c.required) ? [] : entries,
+    report: {
+      totalRows: canonical.length,
+      validRows: missingColumns.some((c) => c.required) ? 0 : entries.length,
+      missingColumns: missingColumns.map((c) => c.column),
+      issues,
+      errorCount: issues.filter((i) => i.severity === "error").length,
+      warningCount: issues.filter((i) => i.severity === "warning").length,
+    },
+  };
+}
+
+// Reads and validates a file without touching the active catalog
+export async function previewCatalogImport(file) {
+  const rows = await readCatalogFile(file);
+  return { fileName: file.name, ...validateCatalogRows(rows) };
+}
+
+// Validates the bundled Certificates.json (the catalog currently shipped with the app)
+export async function validateBundledCatalog() {
+  const response = await fetch(new URL("./Certificates.json", import.meta.url));
+  if (!response.ok) throw new Error(`Failed to load certificates: ${response.statusText}`);
+  return { fileName: "Certificates.json", ...validateCatalogRows(await response.json()) };
+}
+
+// Swaps the validated entries in and drops every cache built on the old catalog
+export function applyCatalogImport(preview) {
+  if (!preview || preview.entries.length === 0) {
+    throw new Error("The imported catalog has no valid rows.");
+  }
+  const catalog = replaceCertificateCatalog(preview.entries, preview.fileName);
+  resetRetrievalIndex();
+  return catalog;
+}
+
+export function restoreBundledCatalog() {
+  const catalog = clearImportedCatalog();
+  resetRetrievalIndex();
+  return catalog;
+}
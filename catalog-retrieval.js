@@ -0,0 +1,180 @@
+// catalog-retrieval.js
+// Local BM25 retrieval over the certificate catalog (English + Arabic), used to
+// pre-select the certificates that are worth sending to the model.
+
+import {
+  getActiveCatalog,
+  buildFieldIndex,
+  searchCertificates,
+} from "./storage-catalog.js";
+
+// BM25 parameters and per-attribute weights (a weight repeats the attribute's tokens)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const ATTRIBUTE_WEIGHTS = {
+  name: 3,
+  nameAr: 3,
+  fieldEn: 2,
+  fieldAr: 2,
+  entity: 2,
+  description: 1,
+};
+// Bonus added when the whole query (short queries only) appears in a certificate
+const PHRASE_MATCH_BONUS = 2;
+// Bonus added to every certificate in a field whose name the query mentions
+const FIELD_MATCH_BONUS = 1.5;
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "from", "that", "this", "are", "was", "were", "you",
+  "your", "have", "has", "had", "can", "will", "not", "but", "all", "any", "our",
+  "their", "they", "what", "which", "who", "how", "about", "into", "over", "also",
+  "certification", "certificate", "certified", "professional",
+  "في", "من", "على", "الى", "إلى", "عن", "مع", "هذا", "هذه", "التي", "الذي", "او", "أو",
+  "شهادة", "شهادات",
+]);
+
+// ---------------------------------------------------------------------------
+// Tokenisation (shared by index and queries)
+// ---------------------------------------------------------------------------
+function normalizeArabic(text) {
+  return text
+    .replace(/[ً-ٰٟـ]/g, "") // diacritics + tatweel
+    .replace(/[آأإ]/g, "ا") // alef variants -> bare alef
+    .replace(/ى/g, "ي") // alef maksura -> yeh
+    .replace(/ة/g, "ه") // teh marbuta -> heh
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660));
+}
+
+export function tokenizeForRetrieval(text) {
+  return normalizeArabic((text || "").toLowerCase())
+    .split(/[^a-z0-9+#\u0621-\u064A]+/)
+    .map((token) => {
+      // Strip the Arabic definite article and simple English plurals
+      // (with an optional attached conjunction/preposition: و ب ف ل)
+      const arabicStem = token.replace(/^[\u0648\u0628\u0641\u0644]?\u0627\u0644(?=[\u0621-\u064A]{3,}$)/, "");
+      if (arabicStem !== token) return arabicStem;
+      if (/^[a-z]{4,}s$/.test(token) && !token.endsWith("ss")) return token.slice(0, -1);
+      return token;
+    })
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+// ---------------------------------------------------------------------------
+// Index
+// ---------------------------------------------------------------------------
+let cachedIndex = null;
+let cachedFor = null;
+
+export function buildRetrievalIndex(catalog = getActiveCatalog()) {
+  if (cachedIndex && cachedFor === catalog) return cachedIndex;
+
+  const docs = catalog.map((cert) => {
+    const termFreq = new Map();
+    let length = 0;
+    Object.entries(ATTRIBUTE_WEIGHTS).forEach(([attr, weight]) => {
+      tokenizeForRetrieval(cert[attr]).forEach((token) => {
+        termFreq.set(token, (termFreq.get(token) || 0) + weight);
+        length += weight;
+      });
+    });
+    return { cert, termFreq, length };
+  });
+
+  const docFreq = new Map();
+  docs.forEach((doc) => {
+    doc.termFreq.forEach((_, token) => docFreq.set(token, (docFreq.get(token) || 0) + 1));
+  });
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+
+  cachedIndex = { docs, docFreq, avgLength };
+  cachedFor = catalog;
+  return cachedIndex;
+}
+
+// Drop the cached index (call after the catalog is replaced)
+export function resetRetrievalIndex() {
+  cachedIndex = null;
+  cachedFor = null;
+}
+
+// ---------------------------------------------------------------------------
+// Querying
+// ---------------------------------------------------------------------------
+
+/**
+ * Ranks catalog certificates against free text (a chat question or a CV).
+ * Returns [{ cert, score }] sorted by score, only certificates with score > 0.
+ */
+export function rankCertificates(queryText, topN = 30) {
+  const index = buildRetrievalIndex();
+  const queryTerms = new Map();
+  tokenizeForRetrieval(queryText).forEach((token) => {
+    queryTerms.set(token, (queryTerms.get(token) || 0) + 1);
+  });
+  if (queryTerms.size === 0) return [];
+
+  const totalDocs = index.docs.length;
+  const scores = new Map();
+
+  index.docs.forEach((doc) => {
+    let score = 0;
+    queryTerms.forEach((queryFreq, token) => {
+      const tf = doc.termFreq.get(token);
+      if (!tf) return;
+      const df = index.docFreq.get(token) || 0;
+      const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / index.avgLength));
+      // Repeated query terms count, but with diminishing returns
+      score += idf * ((tf * (BM25_K1 + 1)) / norm) * (1 + Math.log(queryFreq));
+    });
+    if (score > 0) scores.set(doc.cert, score);
+  });
+
+  // Short queries ("PMP", "سيسكو") also get an exact substring boost
+  const trimmed = (queryText || "").trim();
+  if (trimmed && trimmed.length <= 60) {
+    searchCertificates(trimmed).forEach((cert) => {
+      scores.set(cert, (scores.get(cert) || 0) + PHRASE_MATCH_BONUS);
+    });
+  }
+
+  // Mentioning a field by name ("cyber security and cloud computing") pulls in its certificates
+  const queryTokenSet = new Set(queryTerms.keys());
+  buildFieldIndex().forEach((certs, fieldName) => {
+    const fieldTokens = tokenizeForRetrieval(fieldName);
+    if (fieldTokens.length === 0) return;
+    const covered = fieldTokens.filter((t) => queryTokenSet.has(t)).length / fieldTokens.length;
+    if (covered < 0.6) return;
+    certs.forEach((cert) => {
+      scores.set(cert, (scores.get(cert) || 0) + FIELD_MATCH_BONUS * covered);
+    });
+  });
+
+  return [...scores.entries()]
+    .map(([cert, score]) => ({ cert, score }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topN);
+}
+
+export function retrieveCertificates(queryText, topN = 30) {
+  return rankCertificates(queryText, topN).map((r) => r.cert);
+}
+
+// Union of the top-N certificates for each query, keeping catalog order stable.
+export function retrieveCertificatesForQueries(queries, topNPerQuery = 30) {
+  const selected = new Set();
+  queries.forEach((q) => retrieveCertificates(q, topNPerQuery).forEach((c) => selected.add(c)));
+  return getActiveCatalog().filter((c) => selected.has(c));
+}
+
+// Whether a certificate is one of the names a CV lists (most of the name's tokens shared)
+export function isCertificateHeld(cert, heldCertifications) {
+  const certTokens = new Set(tokenizeForRetrieval(cert.name));
+  return heldCertifications.some((held) => {
+    const heldTokens = tokenizeForRetrieval(held);
+    if (heldTokens.length === 0) return false;
+    const shared = heldTokens.filter((t) => certTokens.has(t)).length;
+    return shared / Math.min(heldTokens.length, certTokens.size || 1) >= 0.8;
+  });
+}
@@ -0,0 +1,290 @@
+// catalog-vocabulary.js
+// Controlled vocabularies for the certificate catalog: an ordered level ladder,
+// canonical fields (EN/AR labels) and canonical issuing entities with aliases.
+// loadCertificates runs every catalog row through normalizeCatalogEntry.
+
+import { getSkillById } from "./skill-taxonomy.js";
+
+// ---------------------------------------------------------------------------
+// Levels (rank: lower = more foundational; "varies" has no rank)
+// ---------------------------------------------------------------------------
+export const LEVELS = Object.freeze([
+  { id: "foundation", rank: 1, en: "Foundation", ar: "تأسيسي", aliases: ["foundational", "entry", "entry level", "beginner", "basic", "fundamentals", "مبتدئ"] },
+  { id: "associate", rank: 2, en: "Associate", ar: "مشارك", aliases: [] },
+  { id: "intermediate", rank: 2, en: "Intermediate", ar: "متوسط", aliases: [] },
+  { id: "technician", rank: 2, en: "Technician", ar: "فني", aliases: [] },
+  { id: "specialist", rank: 3, en: "Specialist", ar: "أخصائي", aliases: [] },
+  { id: "professional", rank: 3, en: "Professional", ar: "محترف", aliases: ["احترافي"] },
+  { id: "advanced", rank: 4, en: "Advanced", ar: "متقدم", aliases: [] },
+  { id: "expert", rank: 5, en: "Expert", ar: "خبير", aliases: [] },
+  { id: "executive", rank: 5, en: "Executive", ar: "تنفيذي", aliases: [] },
+  { id: "instructor", rank: 5, en: "Instructor", ar: "مدرب", aliases: ["trainer"] },
+  { id: "varies", rank: null, en: "Varies", ar: "متغير", aliases: ["various", "multiple", "mixed", "متعدد"] },
+]);
+
+// Rank used for ordering when a level is unknown or has no rank ("Varies")
+export const DEFAULT_LEVEL_RANK = 3;
+
+// ---------------------------------------------------------------------------
+// Fields
+// ---------------------------------------------------------------------------
+export const FIELDS = Object.freeze([
+  { id: "accounting", en: "Accounting", ar: "المحاسبة", aliases: [] },
+  { id: "arts", en: "Arts", ar: "الفنون", aliases: [] },
+  { id: "business_project_administration", en: "Business and Project Administration", ar: "إدارة الأعمال والمشاريع", aliases: ["project management", "business administration", "إدارة المشاريع"] },
+  { id: "networks_it", en: "Computer Networks and Information Technology", ar: "شبكات الحاسب وتقنية المعلومات", aliases: ["IT", "information technology", "computer networks", "تقنية المعلومات"] },
+  { id: "cyber_security_cloud", en: "Cyber Security and Cloud Computing", ar: "الأمن السيبراني والحوسبة السحابية", aliases: ["cyber security", "cybersecurity", "cloud computing", "الأمن السيبراني", "الحوسبة السحابية"] },
+  { id: "engineering", en: "Engineering", ar: "الهندسة", aliases: [] },
+  { id: "evaluation_quality_control", en: "Evaluation and Quality Control", ar: "التقييم وإدارة الجودة", aliases: ["quality", "quality control", "الجودة"] },
+  { id: "finance_auditing", en: "Finance and Auditing", ar: "المالية والمراجعة المالية", aliases: ["finance", "auditing", "المالية"] },
+  { id: "health_safety", en: "Health and Safety", ar: "الصحة والسلامة", aliases: ["safety", "occupational safety", "السلامة"] },
+  { id: "human_resources_development", en: "Human Resources and Development", ar: "الموارد البشرية والتطوير", aliases: ["HR", "human resources", "الموارد البشرية"] },
+  { id: "insurance", en: "Insurance", ar: "التأمين", aliases: [] },
+  { id: "logistics_supply_chain", en: "Logistics and Supply Chain", ar: "اللوجستيات وسلاسل الإمداد", aliases: ["logistics", "supply chain", "سلاسل الإمداد"] },
+  { id: "marketing", en: "Marketing", ar: "التسويق", aliases: [] },
+  { id: "power_verification_assessment", en: "Power and Verification Assessment", ar: "الطاقة والقياس والتحقق", aliases: [] },
+  { id: "tourism_hospitality", en: "Tourism and Hospitality", ar: "السياحة والضيافة", aliases: ["tourism", "hospitality", "السياحة"] },
+]);
+
+// ---------------------------------------------------------------------------
+// Entities: bodies that appear under several spellings or in both languages.
+// `acronyms` also match when they appear as a whole word inside a longer value
+// ("ICAEW معهد المحاسبين القانونيين"). Entities not listed here keep their name.
+// ---------------------------------------------------------------------------
+export const ENTITIES = Object.freeze([
+  { id: "acca", en: "Association of Chartered Certified Accountants (ACCA)", ar: "", aliases: ["Association of Chartered Certified Accountants"], acronyms: ["ACCA"] },
+  { id: "aee", en: "Association of Energy Engineers (AEE)", ar: "جمعية مهندسي الطاقة", aliases: ["Association of Energy Engineers"], acronyms: ["AEE"] },
+  { id: "aha", en: "American Heart Association (AHA)", ar: "جمعية القلب الأمريكية", aliases: [], acronyms: ["AHA"] },
+  { id: "agrc", en: "International Association of Governance, Risk and Compliance (AGRC)", ar: "الاتحاد الدولي للحوكمة والمخاطر والالتزام", aliases: [], acronyms: ["AGRC"] },
+  { id: "asq", en: "American Society for Quality (ASQ)", ar: "الجمعية الأمريكية لمراقبة الجودة", aliases: [], acronyms: ["ASQ"] },
+  { id: "autodesk", en: "Autodesk", ar: "", aliases: [], acronyms: [] },
+  { id: "cache", en: "NCFE CACHE", ar: "", aliases: ["CACHE"], acronyms: [] },
+  { id: "certiport", en: "Certiport", ar: "شركة سيرتي بورت العالمية", aliases: [], acronyms: ["Certiport"] },
+  { id: "cima", en: "Chartered Institute of Management Accountants (CIMA)", ar: "", aliases: ["The Chartered Institute of Management"], acronyms: ["CIMA"] },
+  { id: "financial_academy", en: "Financial Academy", ar: "الأكاديمية المالية", aliases: [], acronyms: [] },
+  { id: "gci", en: "Global Compliance Institute (GCI)", ar: "معهد الامتثال العالمي", aliases: ["معهد الامتثال العالم"], acronyms: ["GCI"] },
+  { id: "gini", en: "Global Innovation Institute (GInI)", ar: "", aliases: ["Global Innovation Institute"], acronyms: ["GInI"] },
+  { id: "hrci", en: "HR Certification Institute (HRCI)", ar: "", aliases: ["HR Certification Institute"], acronyms: ["HRCI"] },
+  { id: "ibdl", en: "IBDL Learning Group", ar: "", aliases: [], acronyms: ["IBDL"] },
+  { id: "icaew", en: "Institute of Chartered Accountants in England and Wales (ICAEW)", ar: "معهد المحاسبين القانونيين", aliases: [], acronyms: ["ICAEW"] },
+  { id: "ima", en: "Institute of Management Accountants (IMA)", ar: "", aliases: ["Institute of Management Accountants"], acronyms: ["IMA"] },
+  { id: "informs", en: "Institute for Operations Research and the Management Sciences (INFORMS)", ar: "", aliases: ["Institute for Operations Research and the Manageme"], acronyms: ["INFORMS"] },
+  { id: "isc2", en: "ISC2", ar: "", aliases: ["ISC ²", "ISC²", "(ISC)²"], acronyms: ["ISC2"] },
+  { id: "loreal", en: "L’Oréal", ar: "", aliases: ["L’Oreal", "L'Oreal", "L’Oreal Saudi Arabia"], acronyms: [] },
+  { id: "oracle", en: "Oracle", ar: "", aliases: [], acronyms: [] },
+  { id: "scfhs", en: "Saudi Commission for Health Specialties", ar: "الهيئة السعودية للتخصصات الصحية", aliases: ["هيئة التخصصات الصحية"], acronyms: ["SCFHS"] },
+  { id: "taqeem", en: "Saudi Authority for Accredited Valuers (Taqeem)", ar: "الهيئة السعودية للمقيمين المعتمدين", aliases: ["Taqeem"], acronyms: [] },
+  { id: "w3schools", en: "W3Schools", ar: "", aliases: ["W3Scool"], acronyms: [] },
+]);
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+// Case/punctuation/Arabic-spelling insensitive key ("Health And Safety" == "health and safety")
+export function vocabularyKey(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[ً-ٰـ]/g, "")
+    .replace(/[آأإ]/g, "ا")
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه")
+    .replace(/(^|\s)و\s+/g, "$1و") // "الصحة و السلامة" -> "الصحة والسلامة"
+    .replace(/(^|\s)(و?)ال(?=\S)/g, "$1$2")
+    .replace(/[^a-z0-9²ء-ي]+/g, " ")
+    .trim();
+}
+
+function containsPhrase(haystackKey, phraseKey) {
+  return (
+    phraseKey.length > 0 &&
+    ` ${haystackKey} `.includes(` ${phraseKey} `)
+  );
+}
+
+function buildLookup(records, labelsOf) {
+  const lookup = new Map();
+  records.forEach((record) => {
+    labelsOf(record).forEach((label) => {
+      const key = vocabularyKey(label);
+      if (key && !lookup.has(key)) lookup.set(key, record);
+    });
+  });
+  return lookup;
+}
+
+const levelLookup = buildLookup(LEVELS, (l) => [l.id, l.en, l.ar, ...l.aliases]);
+const fieldLookup = buildLookup(FIELDS, (f) => [f.id, f.en, f.ar, ...f.aliases]);
+const entityLookup = buildLookup(ENTITIES, (e) => [e.id, e.en, e.ar, ...e.aliases, ...e.acronyms]);
+
+/**
+ * Resolves free text to a level record: exact label/alias first, then the
+ * earliest level word in the text ("Professional Level", "Entry-level
+ * certification for ..."). Returns null when nothing matches.
+ */
+export function resolveLevel(text) {
+  const key = vocabularyKey(text);
+  if (!key) return null;
+  if (levelLookup.has(key)) return levelLookup.get(key);
+
+  let best = null;
+  levelLookup.forEach((level, aliasKey) => {
+    const index = ` ${key} `.indexOf(` ${aliasKey} `);
+    if (index === -1) return;
+    if (!best || index < best.index || (index === best.index && aliasKey.length > best.length)) {
+      best = { level, index, length: aliasKey.length };
+    }
+  });
+  return best ? best.level : null;
+}
+
+export function resolveField(text) {
+  return fieldLookup.get(vocabularyKey(text)) || null;
+}
+
+export function resolveEntity(text) {
+  const key = vocabularyKey(text);
+  if (!key) return null;
+  if (entityLookup.has(key)) return entityLookup.get(key);
+  return (
+    ENTITIES.find(
+      (entity) =>
+        entity.acronyms.some((acronym) => containsPhrase(key, vocabularyKey(acronym))) ||
+        entity.aliases.some((alias) => key.startsWith(vocabularyKey(alias)))
+    ) || null
+  );
+}
+
+function slugify(text) {
+  return vocabularyKey(text).replace(/\s+/g, "_").slice(0, 60);
+}
+
+// ---------------------------------------------------------------------------
+// Entry normalisation
+// ---------------------------------------------------------------------------
+
+// A row shifted one column to the right: the entity sits in the English field column,
+// the English field in the Arabic one, the Arabic field in the description, and the
+// description in the level (row 13 of the shipped catalog).
+function isShiftedRow(entry) {
+  return (
+    !entry.entity &&
+    !resolveField(entry.fieldEn) &&
+    resolveField(entry.fieldAr) !== null &&
+    resolveField(entry.fieldAr) === resolveField(entry.description)
+  );
+}
+
+/**
+ * Maps a catalog entry ({ name, nameAr, entity, fieldEn, fieldAr, description, level })
+ * onto the controlled vocabularies. Adds levelId/levelRank/levelAr, fieldId and
+ * entityId/entityAr, replaces labels with their canonical form, and keeps values it
+ * cannot resolve. Pass `notes` to collect { attr, message } for every repair or
+ * value outside the vocabularies.
+ */
+export function normalizeCatalogEntry(entry, notes = null) {
+  const note = (attr, message) => notes && notes.push({ attr, message });
+  let source = { ...entry };
+
+  if (isShiftedRow(source)) {
+    note("entity", "Columns are shifted by one (entity in the field column); realigned");
+    source = {
+      ...source,
+      entity: source.fieldEn.replace(/["']/g, "").trim(),
+      fieldEn: source.fieldAr,
+      fieldAr: source.description,
+      description: source.level,
+    };
+  }
+
+  const result = { ...source };
+
+  const level = resolveLevel(source.level);
+  if (level) {
+    if (!levelLookup.has(vocabularyKey(source.level))) {
+      note("level", `Level is free text; read as ${level.en}`);
+    }
+    result.level = level.en;
+    result.levelAr = level.ar;
+    result.levelId = level.id;
+    result.levelRank = level.rank;
+  } else {
+    if (source.level) note("level", "Level is not on the level ladder");
+    result.levelAr = source.level;
+    result.levelId = "";
+    result.levelRank = null;
+  }
+
+  const field = resolveField(source.fieldEn) || resolveField(source.fieldAr);
+  if (field) {
+    result.fieldId = field.id;
+    result.fieldEn = field.en;
+    result.fieldAr = field.ar;
+  } else {
+    if (source.fieldEn || source.fieldAr) note("fieldEn", "Field is not in the field vocabulary");
+    result.fieldId = source.fieldEn || source.fieldAr ? `field_${slugify(source.fieldEn || source.fieldAr)}` : "";
+  }
+
+  const entityText = (source.entity || "").replace(/\s{2,}/g, " ").trim();
+  const entity = resolveEntity(entityText);
+  if (entity) {
+    result.entityId = entity.id;
+    result.entity = entity.en || entity.ar;
+    result.entityAr = entity.ar || entity.en;
+  } else if (entityText && !/^[\d\s.,]+$/.test(entityText)) {
+    result.entityId = `entity_${slugify(entityText)}`;
+    result.entity = entityText;
+    result.entityAr = entityText;
+  } else {
+    if (entityText) note("entity", "Entity is a number, not a name; cleared");
+    result.entityId = "";
+    result.entity = "";
+    result.entityAr = "";
+  }
+
+  return result;
+}
+
+/**
+ * Levels, fields, entities and taxonomy skills used by a catalog, with certificate counts —
+ * the vocabulary values in effect, including entities that have no canonical record.
+ */
+export function getCatalogVocabulary(catalog) {
+  const count = (idOf, build) => {
+    const map = new Map();
+    catalog.forEach((cert) => {
+      const id = idOf(cert);
+      if (!id) return;
+      if (!map.has(id)) map.set(id, { ...build(cert), count: 0 });
+      map.get(id).count++;
+    });
+    return [...map.values()];
+  };
+
+  return {
+    levels: count(
+      (c) => c.levelId,
+      (c) => ({ id: c.levelId, en: c.level, ar: c.levelAr, rank: c.levelRank })
+    ).sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity)), // "Varies" last
+    fields: count(
+      (c) => c.fieldId,
+      (c) => ({ id: c.fieldId, en: c.fieldEn, ar: c.fieldAr })
+    ).sort((a, b) => a.en.localeCompare(b.en)),
+    entities: count(
+      (c) => c.entityId,
+      (c) => ({ id: c.entityId, en: c.entity, ar: c.entityAr })
+    ).sort((a, b) => b.count - a.count),
+    // A certificate can mention several skills, so it is counted under each
+    skills: [
+      ...catalog
+        .flatMap((c) => c.skillIds || [])
+        .reduce((map, id) => map.set(id, (map.get(id) || 0) + 1), new Map()),
+    ]
+      .filter(([id]) => getSkillById(id))
+      .map(([id, count]) => {
+        const { en, ar } = getSkillById(id);
+        return { id, en, ar, count };
+      })
+      .sort((a, b) => b.count - a.count || a.en.localeCompare(b.en)),
+  };
+}
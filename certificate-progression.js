@@ -0,0 +1,299 @@
+// certificate-progression.js
+// Prerequisite / progression graph layered on the catalog, and the ordered
+// learning path built from it for each candidate.
+
+import { PROGRESSION_GRAPH_KEY } from "./constants.js";
+import { getActiveCatalog, getCertificateById } from "./storage-catalog.js";
+import { isCertificateHeld } from "./catalog-retrieval.js";
+import { getLevelRank } from "./rule-engine.js";
+
+// ---------------------------------------------------------------------------
+// Graph model
+// An edge { from, to } (catalog ids) means `from` is taken before `to`.
+// The defaults are written as tracks; consecutive steps become edges.
+// ---------------------------------------------------------------------------
+export const DEFAULT_PROGRESSION_TRACKS = [
+  {
+    name: "CompTIA infrastructure and security",
+    steps: [
+      "cert_comptia_itf_certification",
+      "cert_comptia_network_certification",
+      "cert_comptia_security_certification",
+      "cert_cysa_comptia_cybersecurity_analyst",
+      "cert_comptia_advanced_security_practitioner_casp",
+    ],
+  },
+  {
+    name: "Cisco networking",
+    steps: [
+      "cert_ccna_cisco_certified_network_associate",
+      "cert_cisco_certified_network_professional_ccnp",
+      "cert_cisco_certified_internetwork_expert_ccie",
+    ],
+  },
+  {
+    name: "PMI project management",
+    steps: [
+      "cert_certified_associate_in_project_management_capm",
+      "cert_pmp_project_management_professional",
+      "cert_program_management_professional_pgmp",
+      "cert_pfmp_portfolio_management_professional",
+    ],
+  },
+  {
+    name: "AHLEI rooms division",
+    steps: [
+      "cert_certified_front_desk_representative",
+      "cert_certified_hospitality_supervisor_chs",
+      "cert_certified_rooms_division_executive_crde",
+    ],
+  },
+  {
+    name: "AHLEI lodging security",
+    steps: [
+      "cert_certified_lodging_security_officer_clso",
+      "cert_certified_lodging_security_supervisor_clss",
+      "cert_certified_lodging_security_director_clsd",
+    ],
+  },
+  {
+    name: "AHLEI hospitality training",
+    steps: [
+      "cert_certified_hospitality_department_trainer_chdt",
+      "cert_certified_hospitality_trainer_cht",
+      "cert_certified_hospitality_educator_che",
+    ],
+  },
+  {
+    name: "AHLEI hospitality instructor",
+    steps: [
+      "cert_certified_hospitality_instructor_level_1",
+      "cert_certified_hospitality_instructor_level_2",
+    ],
+  },
+  {
+    name: "HRCI human resources",
+    steps: [
+      "cert_associate_professional_in_human_resources_intern",
+      "cert_professional_in_human_resources_international_ph",
+    ],
+  },
+  {
+    name: "ABPMP business process",
+    steps: [
+      "cert_certified_business_process_associate_cbpa",
+      "cert_certified_business_process_professional_cbpp",
+    ],
+  },
+  {
+    name: "SOCPA accounting",
+    steps: [
+      "cert_certified_accounting_technician_socpa",
+      "cert_professional_readiness_of_accountant",
+      "cert_the_saudi_organization_for_certified_public_accoun",
+    ],
+  },
+  {
+    name: "Agile Scrum",
+    steps: ["cert_agile_scrum_foundation", "cert_certified_scrum_master_csm"],
+  },
+];
+
+function tracksToEdges(tracks) {
+  return tracks.flatMap((track) =>
+    track.steps.slice(1).map((to, i) => ({ from: track.steps[i], to }))
+  );
+}
+
+export function getDefaultProgressionEdges() {
+  return tracksToEdges(DEFAULT_PROGRESSION_TRACKS);
+}
+
+// ---------------------------------------------------------------------------
+// Persistence (edited graph in localStorage, defaults otherwise)
+// ---------------------------------------------------------------------------
+export function loadProgressionEdges() {
+  const saved = localStorage.getItem(PROGRESSION_GRAPH_KEY);
+  if (!saved) return getDefaultProgressionEdges();
+  try {
+    const parsed = JSON.parse(saved);
+    if (Array.isArray(parsed)) {
+      return parsed.filter((e) => e && typeof e.from === "string" && typeof e.to === "string");
+    }
+  } catch (err) {
+    console.error("Failed to parse progression graph:", err);
+  }
+  return getDefaultProgressionEdges();
+}
+
+export function saveProgressionEdges(edges) {
+  try {
+    localStorage.setItem(PROGRESSION_GRAPH_KEY, JSON.stringify(edges));
+  } catch (err) {
+    console.error("Failed to save progression graph:", err);
+  }
+}
+
+export function resetProgressionEdges() {
+  localStorage.removeItem(PROGRESSION_GRAPH_KEY);
+  return getDefaultProgressionEdges();
+}
+
+// Whether `target` can be reached from `start` along the edges
+function reaches(edges, start, target) {
+  const stack = [start];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === target) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    edges.filter((e) => e.from === id).forEach((e) => stack.push(e.to));
+  }
+  return false;
+}
+
+// Adds "from before to"; throws when the link is invalid or would create a cycle
+export function addProgressionEdge(from, to) {
+  const edges = loadProgressionEdges();
+  if (!getCertificateById(from) || !getCertificateById(to)) {
+    throw new Error("Both certificates must be in the catalog.");
+  }
+  if (from === to) throw new Error("A certificate cannot be its own prerequisite.");
+  if (edges.some((e) => e.from === from && e.to === to)) return edges;
+  if (reaches(edges, to, from)) {
+    throw new Error("This link would create a cycle in the progression graph.");
+  }
+  const updated = [...edges, { from, to }];
+  saveProgressionEdges(updated);
+  return updated;
+}
+
+export function removeProgressionEdge(from, to) {
+  const updated = loadProgressionEdges().filter((e) => !(e.from === from && e.to === to));
+  saveProgressionEdges(updated);
+  return updated;
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+export function getPrerequisites(certId, edges = loadProgressionEdges()) {
+  return edges.filter((e) => e.to === certId).map((e) => e.from);
+}
+
+export function getNextSteps(certId, edges = loadProgressionEdges()) {
+  return edges.filter((e) => e.from === certId).map((e) => e.to);
+}
+
+// Catalog ids of the certifications a CV already lists (parser or review-modal shape)
+export function findHeldCertificates(cv) {
+  const structured = cv?.structured || cv || {};
+  const held = (structured.certifications || [])
+    .map((item) => (typeof item === "string" ? item : item?.title || ""))
+    .filter(Boolean);
+  if (held.length === 0) return [];
+  return getActiveCatalog()
+    .filter((cert) => isCertificateHeld(cert, held))
+    .map((cert) => cert.id);
+}
+
+// Progression links among the given certificates, for the analysis prompt
+export function describeProgressionsForPrompt(certs, edges = loadProgressionEdges()) {
+  const byId = new Map(certs.map((c) => [c.id, c]));
+  return edges
+    .filter((e) => byId.has(e.from) && byId.has(e.to))
+    .map((e) => `- [${e.from}] ${byId.get(e.from).name} → [${e.to}] ${byId.get(e.to).name}`)
+    .join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Learning paths
+// ---------------------------------------------------------------------------
+
+/**
+ * Orders a candidate's recommendations into a learning path.
+ *
+ * Missing prerequisites of a recommended certificate are added as steps; the
+ * walk back stops at a certificate the candidate already holds, which is kept
+ * as a completed step so the path shows where the candidate stands.
+ * Steps follow the graph, then held first, then level, then the original order.
+ *
+ * Returns { steps: [{ certId, certName, held, recommended, prerequisiteFor }], currentIndex };
+ * `currentIndex` is the first step not yet held (-1 when all are held).
+ */
+export function buildLearningPath(recommendations, heldCertIds = [], edges = loadProgressionEdges()) {
+  const held = new Set(heldCertIds);
+  const steps = new Map();
+
+  const addStep = (certId, certName, recommended) => {
+    if (!steps.has(certId)) {
+      steps.set(certId, {
+        certId,
+        certName,
+        held: held.has(certId),
+        recommended,
+        prerequisiteFor: [],
+        order: steps.size,
+      });
+    }
+    return steps.get(certId);
+  };
+
+  (recommendations || []).forEach((rec) => {
+    if (rec.certId) addStep(rec.certId, rec.certName, true).recommended = true;
+  });
+
+  // Walk back from each recommendation to the nearest held certificate
+  const visit = (certId) => {
+    if (held.has(certId)) return;
+    getPrerequisites(certId, edges).forEach((prereqId) => {
+      const cert = getCertificateById(prereqId);
+      if (!cert) return;
+      const isNew = !steps.has(prereqId);
+      const step = addStep(prereqId, cert.name, false);
+      if (!step.prerequisiteFor.includes(certId)) step.prerequisiteFor.push(certId);
+      if (isNew) visit(prereqId);
+    });
+  };
+  [...steps.keys()].forEach(visit);
+
+  // Topological order with a priority among the steps that are ready
+  const nodes = [...steps.values()];
+  const priority = (s) => [s.held ? 0 : 1, getLevelRank(getCertificateById(s.certId)?.level), s.order];
+  const compare = (a, b) => {
+    const pa = priority(a);
+    const pb = priority(b);
+    return pa[0] - pb[0] || pa[1] - pb[1] || pa[2] - pb[2];
+  };
+  const inner = edges.filter((e) => steps.has(e.from) && steps.has(e.to));
+  const pending = new Map(nodes.map((s) => [s.certId, 0]));
+  inner.forEach((e) => pending.set(e.to, pending.get(e.to) + 1));
+
+  const ordered = [];
+  let ready = nodes.filter((s) => pending.get(s.certId) === 0);
+  while (ready.length > 0) {
+    ready.sort(compare);
+    const step = ready.shift();
+    ordered.push(step);
+    inner
+      .filter((e) => e.from === step.certId)
+      .forEach((e) => {
+        pending.set(e.to, pending.get(e.to) - 1);
+        if (pending.get(e.to) === 0) ready.push(steps.get(e.to));
+      });
+  }
+  // A hand-edited cycle leaves steps behind; append them rather than lose them
+  nodes.filter((s) => !ordered.includes(s)).sort(compare).forEach((s) => ordered.push(s));
+
+  const result = ordered.map(({ order, ...step }) => step);
+  return { steps: result, currentIndex: result.findIndex((s) => !s.held) };
+}
+
+// The candidate with its learning path (re)built from its recommendations
+export function withLearningPath(candidate) {
+  return {
+    ...candidate,
+    learningPath: buildLearningPath(candidate.recommendations, candidate.heldCertIds),
+  };
+}
@@ -1,9 +1,64 @@
 // certificates-data.js
 // Loads certificates from JSON file using fetch (browser-compatible)
 
+import { normalizeCatalogEntry } from "./catalog-vocabulary.js";
+import { findSkillsInText } from "./skill-taxonomy.js";
+
 let CERTIFICATES_DATABASE = null;
 let loadPromise = null;
 
+// Stable, content-derived ids (cert_<slug of English name>). They survive catalog
+// reordering, so the model and saved recommendations can reference them safely.
+// Duplicate names get a numeric suffix in order of appearance (cert_x, cert_x_2, ...).
+export function assignCertificateIds(certificates) {
+  const seen = new Map();
+  return certificates.map((cert) => {
+    const slug =
+      (cert.name || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "_")
+        .replace(/^_+|_+$/g, "")
+        .slice(0, 60) || "unnamed";
+    const count = (seen.get(slug) || 0) + 1;
+    seen.set(slug, count);
+    return { ...cert, id: count === 1 ? `cert_${slug}` : `cert_${slug}_${count}` };
+  });
+}
+
+// Spreadsheet / JSON column for each catalog attribute (Certificates.xlsx and Certificates.json share them)
+export const CATALOG_COLUMNS = {
+  name: "Certificate_Name_EN",
+  nameAr: "Certificate_Name_AR",
+  entity: "Certificate_Entity",
+  fieldEn: "Certificate_Field_EN",
+  fieldAr: "Certificate_Field_AR",
+  description: "Description",
+  level: "Level",
+};
+
+// Raw catalog row -> catalog entry (without id)
+export function mapCatalogRow(row) {
+  const entry = {};
+  Object.entries(CATALOG_COLUMNS).forEach(([attr, column]) => {
+    entry[attr] = String(row[column] ?? "").trim();
+  });
+  return entry;
+}
+
+// Catalog entries -> normalised (controlled vocabularies) entries with stable ids,
+// tagged with the taxonomy skills their name and description mention (`skillIds`)
+export function prepareCatalogEntries(entries) {
+  return assignCertificateIds(
+    entries.map((entry) => {
+      const normalized = normalizeCatalogEntry(entry);
+      const skillIds = findSkillsInText(
+        `${normalized.name} ${normalized.nameAr} ${normalized.description}`
+      );
+      return { ...normalized, skillIds };
+    })
+  );
+}
+
 export async function loadCertificates() {
   // Return cached data if already loaded
   if (CERTIFICATES_DATABASE) {
@@ -25,19 +80,7 @@ export async function loadCertificates() {
       return response.json();
     })
     .then((certificatesJson) => {
-      CERTIFICATES_DATABASE = certificatesJson.map((cert, index) => ({
-        id: `cert_${index + 1}_${(cert.Certificate_Name_EN || "")
-          .replace(/\s+/g, "_")
-          .toLowerCase()
-          .slice(0, 30)}`,
-        name: (cert.Certificate_Name_EN || "").trim(),
-        nameAr: (cert.Certificate_Name_AR || "").trim(),
-        entity: (cert.Certificate_Entity || "").trim(),
-        fieldEn: (cert.Certificate_Field_EN || "").trim(),
-        fieldAr: (cert.Certificate_Field_AR || "").trim(),
-        description: (cert.Description || "").trim(),
-        level: (cert.Level || "").trim()
-      }));
+      CERTIFICATES_DATABASE = prepareCatalogEntries(certificatesJson.map(mapCatalogRow));
       return CERTIFICATES_DATABASE;
     })
     .catch((err) => {
@@ -0,0 +1,527 @@
+// cohort-dashboard.js
+// Cohort view across all analysed CVs: most-recommended certificates, counts per
+// field and level, recommendations shared by several candidates (group training),
+// estimated training load, and a sortable / filterable candidate table.
+
+import { TRAINING_HOURS_BY_LEVEL_RANK, COHORT_TOP_CERTIFICATES } from "./constants.js";
+import { calculateTotalExperience, getRecommendationCatalogRef } from "./storage-catalog.js";
+import { getLevelRank } from "./rule-engine.js";
+
+const COHORT_TEXT = {
+  en: {
+    title: "Cohort overview",
+    candidates: "Candidates",
+    recommendations: "Recommendations",
+    distinct: "Distinct certificates",
+    trainingLoad: "Estimated training load",
+    perCandidate: "per candidate",
+    hours: (n) => `${n} h`,
+    mostRecommended: "Most recommended",
+    byField: "By field",
+    byLevel: "By level",
+    groupTraining: "Group training",
+    noGroupTraining: "No certificate is recommended to more than one candidate.",
+    learners: (n) => `${n} candidates`,
+    sortBy: "Sort by",
+    sortName: "Name",
+    sortYearsDesc: "Most experienced",
+    sortYearsAsc: "Least experienced",
+    sortRecs: "Most recommendations",
+    sortHours: "Highest training load",
+    allExperience: "Any experience",
+    allFields: "All fields",
+    allCertificates: "All recommendations",
+    candidate: "Candidate",
+    experience: "Experience",
+    years: (n) => `${n} yrs`,
+    unknown: "—",
+    noMatch: "No candidate matches these filters.",
+    estimateNote: "Hours are estimated from certificate levels.",
+  },
+  ar: {
+    title: "نظرة عامة على المجموعة",
+    candidates: "المرشحون",
+    recommendations: "التوصيات",
+    distinct: "شهادات مختلفة",
+    trainingLoad: "عبء التدريب التقديري",
+    perCandidate: "لكل مرشح",
+    hours: (n) => `${n} ساعة`,
+    mostRecommended: "الأكثر توصية",
+    byField: "حسب المجال",
+    byLevel: "حسب المستوى",
+    groupTraining: "تدريب جماعي",
+    noGroupTraining: "لا توجد شهادة موصى بها لأكثر من مرشح.",
+    learners: (n) => `${n} مرشحين`,
+    sortBy: "ترتيب حسب",
+    sortName: "الاسم",
+    sortYearsDesc: "الأكثر خبرة",
+    sortYearsAsc: "الأقل خبرة",
+    sortRecs: "الأكثر توصيات",
+    sortHours: "الأعلى عبئاً تدريبياً",
+    allExperience: "أي خبرة",
+    allFields: "كل المجالات",
+    allCertificates: "كل التوصيات",
+    candidate: "المرشح",
+    experience: "الخبرة",
+    years: (n) => `${n} سنة`,
+    unknown: "—",
+    noMatch: "لا يوجد مرشح يطابق عوامل التصفية.",
+    estimateNote: "الساعات تقديرية بحسب مستوى الشهادة.",
+  },
+};
+
+// Experience filter bands (years, upper bound exclusive)
+export const EXPERIENCE_BANDS = [
+  { id: "0-2", min: 0, max: 2, en: "Under 2 years", ar: "أقل من سنتين" },
+  { id: "2-5", min: 2, max: 5, en: "2–5 years", ar: "2–5 سنوات" },
+  { id: "5-10", min: 5, max: 10, en: "5–10 years", ar: "5–10 سنوات" },
+  { id: "10+", min: 10, max: Infinity, en: "10+ years", ar: "10 سنوات فأكثر" },
+];
+
+function isArabic() {
+  return document.documentElement.lang === "ar";
+}
+
+function text(key) {
+  const lang = isArabic() ? "ar" : "en";
+  return COHORT_TEXT[lang][key] ?? COHORT_TEXT.en[key];
+}
+
+function label(record) {
+  return isArabic() ? record.ar || record.en : record.en || record.ar;
+}
+
+// ---------------------------------------------------------------------------
+// Aggregation
+// ---------------------------------------------------------------------------
+
+// Estimated study hours for one recommendation, from its level
+export function estimateTrainingHours(rec) {
+  return TRAINING_HOURS_BY_LEVEL_RANK[getLevelRank(getRecommendationCatalogRef(rec).level)] || 0;
+}
+
+// Candidate name, or the CV file name when the model returned nothing better
+export function candidateDisplayName(candidate) {
+  const name = (candidate.candidateName || "").trim();
+  return name && name.toLowerCase() !== (candidate.cvName || "").toLowerCase().trim()
+    ? name
+    : candidate.cvName || name || "Candidate";
+}
+
+/**
+ * One row per candidate: { cvId, cvName, name, years, recommendations: [{ certId, certName, entry, hours }], hours }.
+ * `years` is null when the reviewed CV is not available.
+ */
+export function buildCohortRows(candidates, cvs = []) {
+  return (candidates || []).map((candidate) => {
+    const cv = cvs.find((c) => c.id === candidate.cvId);
+    const recommendations = (candidate.recommendations || [])
+      .filter((rec) => rec.certId)
+      .map((rec) => ({
+        certId: rec.certId,
+        certName: rec.certName,
+        entry: getRecommendationCatalogRef(rec),
+        hours: estimateTrainingHours(rec),
+      }));
+    return {
+      cvId: candidate.cvId || "",
+      cvName: candidate.cvName || "",
+      name: candidateDisplayName(candidate),
+      years: cv ? calculateTotalExperience(cv.experience) : null,
+      recommendations,
+      hours: recommendations.reduce((sum, rec) => sum + rec.hours, 0),
+    };
+  });
+}
+
+/**
+ * Totals over a set of rows (see buildCohortRows).
+ * Returns { candidateCount, recommendationCount, certificates, fields, levels, shared,
+ *           totalHours, averageHours }; `certificates` is sorted by how many candidates
+ * it is recommended to and `shared` keeps those recommended to two or more.
+ */
+export function summarizeCohort(rows) {
+  const certificates = new Map();
+  const fields = new Map();
+  const levels = new Map();
+  const bump = (map, id, build) => {
+    if (!id) return;
+    if (!map.has(id)) map.set(id, { ...build(), count: 0 });
+    map.get(id).count++;
+  };
+
+  rows.forEach((row) => {
+    row.recommendations.forEach((rec) => {
+      const { entry } = rec;
+      if (!certificates.has(rec.certId)) {
+        certificates.set(rec.certId, {
+          certId: rec.certId,
+          en: entry.name || rec.certName,
+          ar: entry.nameAr || "",
+          hours: rec.hours,
+          candidates: [],
+          count: 0,
+        });
+      }
+      const cert = certificates.get(rec.certId);
+      cert.count++;
+      cert.candidates.push(row.name);
+      bump(fields, entry.fieldId, () => ({ id: entry.fieldId, en: entry.fieldEn, ar: entry.fieldAr }));
+      bump(levels, entry.levelId, () => ({
+        id: entry.levelId,
+        en: entry.level,
+        ar: entry.levelAr,
+        rank: getLevelRank(entry.level),
+      }));
+    });
+  });
+
+  const certList = [...certificates.values()].sort(
+    (a, b) => b.count - a.count || a.en.localeCompare(b.en)
+  );
+  const totalHours = rows.reduce((sum, row) => sum + row.hours, 0);
+  return {
+    candidateCount: rows.length,
+    recommendationCount: rows.reduce((sum, row) => sum + row.recommendations.length, 0),
+    certificates: certList,
+    fields: [...fields.values()].sort((a, b) => b.count - a.count),
+    levels: [...levels.values()].sort((a, b) => a.rank - b.rank),
+    shared: certList.filter((cert) => cert.count >= 2),
+    totalHours,
+    averageHours: rows.length > 0 ? Math.round(totalHours / rows.length) : 0,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Filtering and sorting
+// ---------------------------------------------------------------------------
+const state = { sort: "name", bandId: "", fieldId: "", certId: "" };
+let latest = { candidates: [], cvs: [], cardsContainer: null };
+
+function filterRows(rows, { bandId, fieldId, certId }) {
+  const band = EXPERIENCE_BANDS.find((b) => b.id === bandId);
+  return rows.filter(
+    (row) =>
+      (!band || (row.years !== null && row.years >= band.min && row.years < band.max)) &&
+      (!fieldId || row.recommendations.some((rec) => rec.entry.fieldId === fieldId)) &&
+      (!certId || row.recommendations.some((rec) => rec.certId === certId))
+  );
+}
+
+const SORTERS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  yearsDesc: (a, b) => (b.years ?? -1) - (a.years ?? -1),
+  yearsAsc: (a, b) => (a.years ?? Infinity) - (b.years ?? Infinity),
+  recs: (a, b) => b.recommendations.length - a.recommendations.length,
+  hours: (a, b) => b.hours - a.hours,
+};
+
+function sortRows(rows, sort) {
+  const compare = SORTERS[sort] || SORTERS.name;
+  return [...rows].sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+function createSelect(className, ariaLabel, options, selected, onChange) {
+  const select = document.createElement("select");
+  select.className = className;
+  select.setAttribute("aria-label", ariaLabel);
+  options.forEach(({ value, text: optionText }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = optionText;
+    if (value === selected) option.selected = true;
+    select.appendChild(option);
+  });
+  select.addEventListener("change", () => onChange(select.value));
+  return select;
+}
+
+function createControls(allRows, allSummary) {
+  const controls = document.createElement("div");
+  controls.className = "cohort-controls";
+  const update = (key) => (value) => {
+    state[key] = value;
+    refreshCohortDashboard();
+  };
+
+  controls.appendChild(
+    createSelect(
+      "cohort-sort",
+      text("sortBy"),
+      [
+        ["name", "sortName"],
+        ["yearsDesc", "sortYearsDesc"],
+        ["yearsAsc", "sortYearsAsc"],
+        ["recs", "sortRecs"],
+        ["hours", "sortHours"],
+      ].map(([value, key]) => ({ value, text: `${text("sortBy")}: ${text(key)}` })),
+      state.sort,
+      update("sort")
+    )
+  );
+  controls.appendChild(
+    createSelect(
+      "cohort-filter-experience",
+      text("experience"),
+      [
+        { value: "", text: text("allExperience") },
+        ...EXPERIENCE_BANDS.map((band) => ({ value: band.id, text: label(band) })),
+      ],
+      state.bandId,
+      update("bandId")
+    )
+  );
+  controls.appendChild(
+    createSelect(
+      "cohort-filter-field",
+      text("byField"),
+      [
+        { value: "", text: text("allFields") },
+        ...allSummary.fields.map((field) => ({ value: field.id, text: label(field) })),
+      ],
+      state.fieldId,
+      update("fieldId")
+    )
+  );
+  controls.appendChild(
+    createSelect(
+      "cohort-filter-certificate",
+      text("recommendations"),
+      [
+        { value: "", text: text("allCertificates") },
+        ...allSummary.certificates.map((cert) => ({ value: cert.certId, text: label(cert) })),
+      ],
+      state.certId,
+      update("certId")
+    )
+  );
+  return controls;
+}
+
+function createStat(value, caption, detail = "") {
+  const stat = document.createElement("div");
+  stat.className = "cohort-stat";
+  const valueEl = document.createElement("div");
+  valueEl.className = "cohort-stat-value";
+  valueEl.textContent = value;
+  const captionEl = document.createElement("div");
+  captionEl.className = "cohort-stat-caption";
+  captionEl.textContent = detail ? `${caption} (${detail})` : caption;
+  stat.appendChild(valueEl);
+  stat.appendChild(captionEl);
+  return stat;
+}
+
+// A titled list of labelled counts with proportional bars
+function createBarPanel(title, items, { tooltip = null } = {}) {
+  const panel = document.createElement("div");
+  panel.className = "cohort-panel";
+  const heading = document.createElement("div");
+  heading.className = "cohort-panel-title";
+  heading.textContent = title;
+  panel.appendChild(heading);
+
+  const max = Math.max(1, ...items.map((item) => item.count));
+  const list = document.createElement("ul");
+  list.className = "cohort-bars";
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    li.className = "cohort-bar-row";
+    if (tooltip) li.title = tooltip(item);
+    const name = document.createElement("span");
+    name.className = "cohort-bar-label";
+    name.textContent = label(item);
+    const track = document.createElement("span");
+    track.className = "cohort-bar-track";
+    const bar = document.createElement("span");
+    bar.className = "cohort-bar";
+    bar.style.width = `${Math.round((item.count / max) * 100)}%`;
+    track.appendChild(bar);
+    const count = document.createElement("span");
+    count.className = "cohort-bar-count";
+    count.textContent = String(item.count);
+    li.appendChild(name);
+    li.appendChild(track);
+    li.appendChild(count);
+    list.appendChild(li);
+  });
+  panel.appendChild(list);
+  return panel;
+}
+
+function createGroupTrainingPanel(shared) {
+  const panel = document.createElement("div");
+  panel.className = "cohort-panel";
+  const heading = document.createElement("div");
+  heading.className = "cohort-panel-title";
+  heading.textContent = text("groupTraining");
+  panel.appendChild(heading);
+
+  if (shared.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "muted cohort-empty";
+    empty.textContent = text("noGroupTraining");
+    panel.appendChild(empty);
+    return panel;
+  }
+  const list = document.createElement("ul");
+  list.className = "cohort-groups";
+  shared.forEach((cert) => {
+    const li = document.createElement("li");
+    const name = document.createElement("div");
+    name.className = "cohort-group-name";
+    name.textContent = `${label(cert)} · ${text("learners")(cert.count)} · ${text("hours")(cert.hours)}`;
+    const members = document.createElement("div");
+    members.className = "cohort-group-members";
+    members.textContent = cert.candidates.join(", ");
+    li.appendChild(name);
+    li.appendChild(members);
+    list.appendChild(li);
+  });
+  panel.appendChild(list);
+  return panel;
+}
+
+function createCandidateTable(rows) {
+  const table = document.createElement("table");
+  table.className = "cohort-table";
+  const head = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  [text("candidate"), text("experience"), text("recommendations"), text("trainingLoad")].forEach(
+    (heading) => {
+      const th = document.createElement("th");
+      th.textContent = heading;
+      headRow.appendChild(th);
+    }
+  );
+  head.appendChild(headRow);
+  table.appendChild(head);
+
+  const body = document.createElement("tbody");
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    tr.dataset.cvId = row.cvId;
+    tr.tabIndex = 0;
+    const cells = [
+      row.name === row.cvName ? row.name : `${row.name} (${row.cvName})`,
+      row.years === null ? text("unknown") : text("years")(row.years),
+      row.recommendations.map((rec) => rec.certName).join(", ") || text("unknown"),
+      text("hours")(row.hours),
+    ];
+    cells.forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    const reveal = () => {
+      const card = findCard(row.cvId);
+      if (card) card.scrollIntoView({ behavior: "smooth", block: "start" });
+    };
+    tr.addEventListener("click", reveal);
+    tr.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") reveal();
+    });
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+  return table;
+}
+
+function findCard(cvId) {
+  const cards = latest.cardsContainer?.querySelectorAll(".candidate-result") || [];
+  return [...cards].find((card) => card.dataset.cvId === cvId) || null;
+}
+
+// The candidate cards below follow the dashboard's filter and order
+function applyToCards(rows) {
+  if (!latest.cardsContainer) return;
+  const visible = new Set(rows.map((row) => row.cvId));
+  const cards = [...latest.cardsContainer.querySelectorAll(".candidate-result")];
+  cards.forEach((card) => {
+    card.hidden = !visible.has(card.dataset.cvId);
+  });
+  rows.forEach((row) => {
+    const card = cards.find((c) => c.dataset.cvId === row.cvId);
+    if (card) latest.cardsContainer.appendChild(card);
+  });
+}
+
+function refreshCohortDashboard() {
+  const container = document.getElementById("cohort-dashboard");
+  if (!container) return;
+  container.innerHTML = "";
+
+  const allRows = buildCohortRows(latest.candidates, latest.cvs);
+  // A cohort view needs at least two candidates
+  container.hidden = allRows.length < 2;
+  if (container.hidden) {
+    applyToCards(allRows);
+    return;
+  }
+
+  const allSummary = summarizeCohort(allRows);
+  // Drop selections that no longer exist (e.g. after a CV was removed)
+  if (state.fieldId && !allSummary.fields.some((f) => f.id === state.fieldId)) state.fieldId = "";
+  if (state.certId && !allSummary.certificates.some((c) => c.certId === state.certId)) state.certId = "";
+
+  const rows = sortRows(filterRows(allRows, state), state.sort);
+  const summary = summarizeCohort(rows);
+
+  const title = document.createElement("div");
+  title.className = "learning-path-title";
+  title.innerHTML = `<i class="fas fa-users"></i> ${text("title")}`;
+  container.appendChild(title);
+  container.appendChild(createControls(allRows, allSummary));
+
+  const stats = document.createElement("div");
+  stats.className = "cohort-stats";
+  stats.appendChild(createStat(String(summary.candidateCount), text("candidates")));
+  stats.appendChild(createStat(String(summary.recommendationCount), text("recommendations")));
+  stats.appendChild(createStat(String(summary.certificates.length), text("distinct")));
+  const load = createStat(
+    text("hours")(summary.totalHours),
+    text("trainingLoad"),
+    `${text("hours")(summary.averageHours)} ${text("perCandidate")}`
+  );
+  load.title = text("estimateNote");
+  stats.appendChild(load);
+  container.appendChild(stats);
+
+  if (rows.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "muted cohort-empty";
+    empty.textContent = text("noMatch");
+    container.appendChild(empty);
+    applyToCards(rows);
+    return;
+  }
+
+  const grid = document.createElement("div");
+  grid.className = "cohort-grid";
+  grid.appendChild(
+    createBarPanel(text("mostRecommended"), summary.certificates.slice(0, COHORT_TOP_CERTIFICATES), {
+      tooltip: (cert) => cert.candidates.join(", "),
+    })
+  );
+  grid.appendChild(createGroupTrainingPanel(summary.shared));
+  grid.appendChild(createBarPanel(text("byField"), summary.fields));
+  grid.appendChild(createBarPanel(text("byLevel"), summary.levels));
+  container.appendChild(grid);
+
+  container.appendChild(createCandidateTable(rows));
+  applyToCards(rows);
+}
+
+/**
+ * Renders the dashboard into #cohort-dashboard (hidden for fewer than two candidates).
+ * @param {object[]} candidates      Candidate results, as passed to displayRecommendations.
+ * @param {object[]} cvs             Reviewed CVs (for years of experience), matched by cvId.
+ * @param {HTMLElement} cardsContainer Container of the candidate cards, which follow the filters.
+ */
+export function renderCohortDashboard(candidates, cvs, cardsContainer) {
+  latest = { candidates: candidates || [], cvs: cvs || [], cardsContainer };
+  refreshCohortDashboard();
+}
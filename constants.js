@@ -3,11 +3,27 @@ export const CHAT_HISTORY_KEY = "skillMatchChatHistory";
 export const CERT_CATALOG_KEY = "skillMatchCertCatalog";
 export const USER_RULES_KEY = "skillMatchUserRules";
 export const LAST_RECOMMENDATIONS_KEY = "skillMatchLastRecommendations";
+export const LLM_PROVIDER_KEY = "skillMatchLlmProvider";
+export const LLM_REPLAY_KEY = "skillMatchLlmReplay";
+export const PROGRESSION_GRAPH_KEY = "skillMatchProgressionGraph";
+export const ACTIVE_WORKSPACE_KEY = "skillMatchActiveWorkspace";
 
 // Proxy URL
 export const GEMINI_PROXY_URL = 
   "https://backend-vercel-repo-git-main-jouds-projects-8f56041e.vercel.app/api/gemini-proxy";
 
+// === LLM PROVIDERS ===
+// Default settings per provider. Any of these can be overridden from config.js
+// (window.SKILLMATCH_LLM_CONFIG) or the provider picker, which persists to LLM_PROVIDER_KEY.
+export const DEFAULT_LLM_PROVIDER = "gemini";
+
+export const LLM_PROVIDER_DEFAULTS = {
+  gemini: { label: "Gemini (proxy)", baseUrl: GEMINI_PROXY_URL },
+  openai: { label: "OpenAI-compatible", baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini", apiKey: "" },
+  ollama: { label: "Local (Ollama)", baseUrl: "http://localhost:11434", model: "llama3.1" },
+  mock: { label: "Offline mock", replay: true },
+};
+
 import { loadCertificates, getCertificatesDatabase } from "./certificates-data.js";
 
 export let FINAL_CERTIFICATE_CATALOG = [];
@@ -21,6 +37,63 @@ export function getFinalCertificateCatalog() {
   return getCertificatesDatabase();
 }
 
+// Local retrieval: how many catalog certificates are sent to the model
+export const RETRIEVAL_TOP_N_PER_CV = 40;
+export const RETRIEVAL_TOP_N_CHAT = 25;
+
+// Per-CV analysis: parallel requests, and retries for a CV whose request throws
+// (malformed output is re-prompted by STRUCTURED_OUTPUT_MAX_RETRIES instead)
+export const ANALYSIS_CONCURRENCY = 3;
+export const ANALYSIS_RETRIES_PER_CV = 1;
+
+// Offline baseline recommender: list length, and whether it stands in for a CV the AI could not analyse
+export const BASELINE_TOP_N = 5;
+export const BASELINE_FALLBACK_ENABLED = true;
+
+// Skill-gap analysis: catalog certificates suggested for each missing skill
+export const SKILL_GAP_CERTS_PER_SKILL = 3;
+
+// Cohort dashboard: estimated study hours per certificate, by level rank (rule-engine getLevelRank)
+export const TRAINING_HOURS_BY_LEVEL_RANK = { 1: 20, 2: 40, 3: 80, 4: 120, 5: 160 };
+// Certificates listed in the cohort dashboard's "most recommended" chart
+export const COHORT_TOP_CERTIFICATES = 10;
+
+// Match scores (match-evidence.js): weight of each part of the 0-100 score, matched
+// skills that count as full skill coverage, and context shown around CV evidence
+export const MATCH_SCORE_WEIGHTS = { skills: 0.5, role: 0.3, level: 0.2 };
+export const MATCH_SKILLS_FOR_FULL_SCORE = 3;
+export const MATCH_EXCERPT_CHARS = 120;
+
+// Recommendation feedback: certificates listed in the aggregated feedback panel
+export const FEEDBACK_SUMMARY_TOP = 15;
+
+// Job-description matching: weight of each part of a candidate's fit (parts the job does not state are left out)
+export const JOB_MATCH_WEIGHTS = { skills: 0.6, experience: 0.25, certifications: 0.15 };
+
+// OCR fallback (ocr.js): Tesseract languages, PDF pages with fewer text characters than
+// OCR_MIN_PAGE_CHARS are treated as scans, rendering scale for those pages, and the
+// confidence / text length below which the review modal warns about the extraction
+export const OCR_LANGUAGES = "eng+ara";
+export const OCR_MIN_PAGE_CHARS = 30;
+export const OCR_RENDER_SCALE = 2;
+export const OCR_LOW_CONFIDENCE = 60;
+export const OCR_MIN_TEXT_CHARS = 200;
+
+// Layout-aware PDF text (pdf-layout.js), in multiples of the body font size: extra vertical
+// space that starts a new block, horizontal gap that separates columns, and the size from
+// which a short line counts as a heading
+export const LAYOUT_BLOCK_GAP = 0.8;
+export const LAYOUT_COLUMN_GAP = 1.5;
+export const LAYOUT_HEADING_SCALE = 1.15;
+
+// Workspaces (IndexedDB): database name, recommendation runs kept per workspace, save debounce
+export const WORKSPACE_DB_NAME = "skillMatchWorkspaces";
+export const WORKSPACE_MAX_RUNS = 20;
+export const WORKSPACE_SAVE_DELAY_MS = 500;
+
+// Extra attempts (with the validation errors fed back) when AI output fails its schema
+export const STRUCTURED_OUTPUT_MAX_RETRIES = 2;
+
 // === RULES CONFIG ===
 
 // Export these arrays directly so UI can compare them
@@ -0,0 +1,446 @@
+// cv-formats.js
+// CV file formats besides PDF, DOCX and plain text: legacy Word (.doc), RTF,
+// OpenDocument (.odt), HTML / MHTML pages, and the LinkedIn data-export ZIP,
+// whose CSV files map straight onto the structured CV shape (no AI parse).
+// ZIP and OLE containers are read with the CFB reader bundled in SheetJS.
+
+import { parseCsv } from "./catalog-import.js";
+import { normalizeSkills } from "./skill-taxonomy.js";
+
+// Extension -> format; a file is accepted when its extension or MIME type is listed
+const FORMAT_BY_EXTENSION = {
+  pdf: "pdf",
+  docx: "docx",
+  doc: "doc",
+  rtf: "rtf",
+  odt: "odt",
+  txt: "txt",
+  html: "html",
+  htm: "html",
+  mhtml: "mhtml",
+  mht: "mhtml",
+  png: "image",
+  jpg: "image",
+  jpeg: "image",
+  zip: "linkedin",
+};
+
+const FORMAT_BY_MIME = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "application/msword": "doc",
+  "application/rtf": "rtf",
+  "text/rtf": "rtf",
+  "application/vnd.oasis.opendocument.text": "odt",
+  "text/plain": "txt",
+  "text/html": "html",
+  "multipart/related": "mhtml",
+  "message/rfc822": "mhtml",
+  "image/png": "image",
+  "image/jpeg": "image",
+  "application/zip": "linkedin",
+  "application/x-zip-compressed": "linkedin",
+};
+
+// Extensions listed in messages about unsupported files
+export const SUPPORTED_CV_EXTENSIONS = Object.keys(FORMAT_BY_EXTENSION).map((ext) => `.${ext}`);
+
+/**
+ * Format of a CV file ("pdf", "docx", "doc", "rtf", "odt", "txt", "html",
+ * "mhtml", "image" or "linkedin"), or null when it is not supported.
+ */
+export function detectCvFormat(file) {
+  const extension = (file.name.split(".").pop() || "").toLowerCase();
+  return FORMAT_BY_EXTENSION[extension] || FORMAT_BY_MIME[file.type] || null;
+}
+
+function getCfb() {
+  if (typeof XLSX === "undefined" || !XLSX.CFB) {
+    throw new Error("The spreadsheet library (SheetJS) is not loaded.");
+  }
+  return XLSX.CFB;
+}
+
+// A file inside a ZIP or OLE container by name (any folder, case-insensitive), or null
+function findEntry(container, name) {
+  const wanted = name.toLowerCase();
+  const index = container.FullPaths.findIndex((path) => path.toLowerCase().split("/").pop() === wanted);
+  return index === -1 ? null : container.FileIndex[index];
+}
+
+function entryBytes(entry) {
+  return entry.content instanceof Uint8Array ? entry.content : Uint8Array.from(entry.content || []);
+}
+
+function decode(bytes, charset = "utf-8") {
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+// Control characters other than tab and newline, and runs of blank lines
+function tidyText(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, "")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ---------------------------------------------------------------------------
+// Legacy Word (.doc, Word 97-2003)
+// ---------------------------------------------------------------------------
+
+/**
+ * Main-document text of a Word 97-2003 file, read from its piece table.
+ * @param {ArrayBuffer} arrayBuffer
+ */
+export function extractTextFromDoc(arrayBuffer) {
+  const container = getCfb().read(new Uint8Array(arrayBuffer), { type: "array" });
+  const wordEntry = findEntry(container, "WordDocument");
+  if (!wordEntry) throw new Error("Not a Word 97-2003 document.");
+  const word = entryBytes(wordEntry);
+  const fib = new DataView(word.buffer, word.byteOffset, word.byteLength);
+  if (fib.getUint16(0, true) !== 0xa5ec) throw new Error("Not a Word 97-2003 document.");
+  if (fib.getUint16(2, true) < 101) throw new Error("Word 6/95 documents are not supported; save the file as .docx.");
+  const flags = fib.getUint16(10, true);
+  if (flags & 0x0100) throw new Error("The document is password-protected.");
+
+  // FibRgW, FibRgLw and FibRgFcLcb follow the 32-byte FibBase, each prefixed by its length
+  const csw = fib.getUint16(32, true);
+  const rgLw = 34 + csw * 2 + 2;
+  const cslw = fib.getUint16(rgLw - 2, true);
+  const ccpText = fib.getUint32(rgLw + 3 * 4, true);
+  const rgFcLcb = rgLw + cslw * 4 + 2;
+  const fcClx = fib.getUint32(rgFcLcb + 33 * 8, true);
+  const lcbClx = fib.getUint32(rgFcLcb + 33 * 8 + 4, true);
+
+  const tableEntry = findEntry(container, flags & 0x0200 ? "1Table" : "0Table");
+  if (!tableEntry || lcbClx === 0) throw new Error("The document has no text table.");
+  const tableBytes = entryBytes(tableEntry);
+  const table = new DataView(tableBytes.buffer, tableBytes.byteOffset, tableBytes.byteLength);
+
+  // The Clx is a run of property blocks (0x01) followed by the piece table (0x02)
+  let at = fcClx;
+  while (table.getUint8(at) === 0x01) at += 3 + table.getInt16(at + 1, true);
+  if (table.getUint8(at) !== 0x02) throw new Error("The document's piece table could not be read.");
+  const plcLength = table.getUint32(at + 1, true);
+  const plc = at + 5;
+  const pieces = (plcLength - 4) / 12;
+
+  let text = "";
+  for (let i = 0; i < pieces && text.length < ccpText; i++) {
+    const cpStart = table.getUint32(plc + i * 4, true);
+    const cpEnd = table.getUint32(plc + (i + 1) * 4, true);
+    const fcValue = table.getUint32(plc + (pieces + 1) * 4 + i * 8 + 2, true);
+    const count = cpEnd - cpStart;
+    if (fcValue & 0x40000000) {
+      // 8-bit text, stored at half the offset
+      const offset = (fcValue & 0x3fffffff) / 2;
+      text += decode(word.subarray(offset, offset + count), "windows-1252");
+    } else {
+      text += decode(word.subarray(fcValue, fcValue + count * 2), "utf-16le");
+    }
+  }
+
+  return tidyText(
+    text
+      .slice(0, ccpText)
+      // Fields: keep the displayed result, drop the field code
+      .replace(/\u0013[^\u0013\u0014\u0015]*\u0014([^\u0013\u0015]*)\u0015/g, "$1")
+      .replace(/\u0013[^\u0013\u0015]*\u0015/g, "")
+      .replace(/[\r\u000b\u000c]/g, "\n")
+      .replace(/\u0007/g, "\t")
+      .replace(/\u001e/g, "-")
+  );
+}
+
+// ---------------------------------------------------------------------------
+// RTF
+// ---------------------------------------------------------------------------
+
+// Groups whose content is not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  "fonttbl", "colortbl", "stylesheet", "info", "pict", "object", "header", "headerl", "headerr", "headerf",
+  "footer", "footerl", "footerr", "footerf", "listtable", "listoverridetable", "rsidtbl", "generator",
+  "xmlnstbl", "themedata", "colorschememapping", "datastore", "latentstyles", "fldinst", "filetbl",
+  "revtbl", "pgdsctbl", "mmathpr", "wgrffmtfilter",
+]);
+
+const RTF_SYMBOLS = {
+  par: "\n", line: "\n", sect: "\n\n", page: "\n", row: "\n", cell: "\t", tab: "\t",
+  emdash: "—", endash: "–", bullet: "•", lquote: "‘", rquote: "’", ldblquote: "“", rdblquote: "”",
+};
+
+/**
+ * Plain text of an RTF document. \'hh bytes are decoded with the document's
+ * code page (\ansicpg, e.g. 1256 for Arabic); \uN characters are used as is.
+ */
+export function rtfToText(rtf) {
+  const pattern = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let codepage = 1252;
+  let bytes = [];
+  let out = "";
+
+  const flush = () => {
+    if (bytes.length === 0) return;
+    out += decode(new Uint8Array(bytes), `windows-${codepage}`);
+    bytes = [];
+  };
+
+  for (const match of String(rtf || "").matchAll(pattern)) {
+    const [, word, param, hex, symbol, brace, textRun] = match;
+    if (hex === undefined) flush();
+
+    if (brace === "{") {
+      stack.push({ skip, unicodeSkip });
+    } else if (brace === "}") {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+    } else if (symbol !== undefined) {
+      if (symbol === "*") skip = true;
+      else if (!skip && pendingSkip > 0) pendingSkip--;
+      else if (!skip && symbol === "~") out += " ";
+      else if (!skip && symbol === "_") out += "-";
+      else if (!skip && "\\{}".includes(symbol)) out += symbol;
+    } else if (word !== undefined) {
+      const name = word.toLowerCase();
+      if (name === "ansicpg") codepage = Number(param) || 1252;
+      else if (RTF_SKIPPED_DESTINATIONS.has(name)) skip = true;
+      else if (name === "uc") unicodeSkip = Number(param) || 0;
+      else if (skip) continue;
+      else if (name === "u") {
+        const code = Number(param);
+        out += String.fromCharCode(code < 0 ? code + 65536 : code);
+        pendingSkip = unicodeSkip;
+      } else if (RTF_SYMBOLS[name]) out += RTF_SYMBOLS[name];
+    } else if (hex !== undefined) {
+      if (skip) continue;
+      if (pendingSkip > 0) pendingSkip--;
+      else bytes.push(parseInt(hex, 16));
+    } else if (textRun !== undefined && !skip) {
+      // Characters standing in for the last \uN are dropped
+      const dropped = Math.min(pendingSkip, textRun.length);
+      pendingSkip -= dropped;
+      out += textRun.slice(dropped);
+    }
+  }
+  flush();
+  return tidyText(out);
+}
+
+// ---------------------------------------------------------------------------
+// OpenDocument text (.odt)
+// ---------------------------------------------------------------------------
+
+// Text of an ODF body: paragraphs and headings on their own lines, list items as "- "
+function odfNodeText(node) {
+  if (node.nodeType === 3) return node.nodeValue;
+  if (node.nodeType !== 1) return "";
+  const children = () => Array.from(node.childNodes).map(odfNodeText).join("");
+  // The name without its namespace prefix ("text:p" -> "p")
+  switch (node.nodeName.replace(/^.*:/, "")) {
+    case "tab":
+      return "\t";
+    case "line-break":
+      return "\n";
+    case "s":
+      return " ".repeat(Number(node.getAttribute("text:c")) || 1);
+    case "note":
+    case "annotation":
+      return "";
+    case "p":
+    case "h":
+      return `${children()}\n`;
+    case "list-item":
+      return `- ${children().trim()}\n`;
+    case "table-cell":
+      return `${children().trim()}\t`;
+    case "table-row":
+      return `${children()}\n`;
+    default:
+      return children();
+  }
+}
+
+/**
+ * Text of an OpenDocument text file (content.xml of the ZIP).
+ * @param {ArrayBuffer} arrayBuffer
+ */
+export function extractTextFromOdt(arrayBuffer) {
+  const container = getCfb().read(new Uint8Array(arrayBuffer), { type: "array" });
+  const content = findEntry(container, "content.xml");
+  if (!content) throw new Error("Not an OpenDocument text file.");
+  const xml = new DOMParser().parseFromString(decode(entryBytes(content)), "application/xml");
+  const body = xml.getElementsByTagName("office:text")[0] || xml.documentElement;
+  return tidyText(odfNodeText(body));
+}
+
+// ---------------------------------------------------------------------------
+// HTML and MHTML
+// ---------------------------------------------------------------------------
+
+const HTML_BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "dd", "div", "dl", "dt", "fieldset", "figcaption", "figure",
+  "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "main", "nav", "ol", "p", "pre",
+  "section", "table", "tr", "ul",
+]);
+const HTML_SKIPPED_TAGS = new Set(["script", "style", "noscript", "template", "head", "svg", "iframe"]);
+
+function htmlNodeText(node) {
+  if (node.nodeType === 3) return node.nodeValue.replace(/\s+/g, " ");
+  if (node.nodeType !== 1) return "";
+  const tag = node.localName;
+  if (HTML_SKIPPED_TAGS.has(tag)) return "";
+  if (tag === "br") return "\n";
+  const inner = Array.from(node.childNodes).map(htmlNodeText).join("");
+  if (tag === "li") return `\n- ${inner.trim()}\n`;
+  if (tag === "td" || tag === "th") return `${inner.trim()}\t`;
+  return HTML_BLOCK_TAGS.has(tag) ? `\n${inner}\n` : inner;
+}
+
+// Text of an HTML page, one line per block element
+export function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(String(html || ""), "text/html");
+  return tidyText(
+    htmlNodeText(doc.body || doc.documentElement)
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .join("\n")
+  );
+}
+
+function decodeQuotedPrintable(body, charset) {
+  const bytes = [];
+  const source = body.replace(/=\r?\n/g, "");
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "=" && /^[0-9a-f]{2}$/i.test(source.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      // Non-ASCII characters left unencoded are kept as UTF-8
+      bytes.push(...new TextEncoder().encode(source[i]));
+    }
+  }
+  return decode(new Uint8Array(bytes), charset);
+}
+
+function decodeBase64(body, charset) {
+  const binary = atob(body.replace(/\s+/g, ""));
+  return decode(Uint8Array.from(binary, (ch) => ch.charCodeAt(0)), charset);
+}
+
+/**
+ * The HTML page inside an MHTML (web archive) file: the first text/html part,
+ * decoded from quoted-printable or base64.
+ */
+export function mhtmlToHtml(mhtml) {
+  const source = String(mhtml || "");
+  const boundary = source.match(/boundary="?([^";\r\n]+)"?/i)?.[1];
+  const parts = boundary ? source.split(`--${boundary}`) : [source];
+  for (const part of parts) {
+    const split = part.search(/\r?\n\r?\n/);
+    if (split === -1) continue;
+    const headers = part.slice(0, split);
+    if (!/content-type:\s*text\/html/i.test(headers)) continue;
+    const body = part.slice(split).trim();
+    const charset = headers.match(/charset="?([^";\s]+)"?/i)?.[1] || "utf-8";
+    const encoding = headers.match(/content-transfer-encoding:\s*([^\s;]+)/i)?.[1]?.toLowerCase();
+    if (encoding === "quoted-printable") return decodeQuotedPrintable(body, charset);
+    if (encoding === "base64") return decodeBase64(body, charset);
+    return body;
+  }
+  throw new Error("No HTML page found in the MHTML file.");
+}
+
+// ---------------------------------------------------------------------------
+// LinkedIn data export (ZIP of CSV files)
+// ---------------------------------------------------------------------------
+
+// Rows of one CSV in the export ([] when the file is missing). Some exports put
+// notes above the header, so reading starts at the line naming `firstColumn`.
+function readExportCsv(container, name, firstColumn) {
+  const entry = findEntry(container, name);
+  if (!entry) return [];
+  const text = decode(entryBytes(entry));
+  const start = text.search(new RegExp(`^"?${firstColumn}"?,`, "m"));
+  return parseCsv(start === -1 ? text : text.slice(start));
+}
+
+function exportPeriod(startedOn, finishedOn) {
+  if (!startedOn && !finishedOn) return "";
+  return `${startedOn || ""} - ${finishedOn || "Present"}`.trim();
+}
+
+// The structured CV as readable text, for the raw-text evidence and the chat context
+function linkedInProfileText(profile, structured) {
+  const lines = [[profile["First Name"], profile["Last Name"]].filter(Boolean).join(" "), profile.Headline || ""];
+  if (structured.other.summary) lines.push("", "Summary", structured.other.summary);
+  if (structured.experience.length > 0) {
+    lines.push("", "Experience");
+    structured.experience.forEach((exp) => {
+      lines.push([exp.jobTitle, exp.company].filter(Boolean).join(" - "), exp.period, exp.description, "");
+    });
+  }
+  if (structured.education.length > 0) {
+    lines.push("", "Education");
+    structured.education.forEach((edu) => {
+      lines.push([edu.degree, edu.major, edu.institution].filter(Boolean).join(", "));
+    });
+  }
+  if (structured.certifications.length > 0) {
+    lines.push("", "Certifications");
+    structured.certifications.forEach((cert) => {
+      lines.push([cert.title, cert.issuer].filter(Boolean).join(" - "));
+    });
+  }
+  if (structured.skills.length > 0) lines.push("", "Skills", structured.skills.map((s) => s.title).join(", "));
+  if (structured.other.languages.length > 0) lines.push("", "Languages", structured.other.languages.join(", "));
+  return tidyText(lines.filter((line) => line !== undefined && line !== null).join("\n"));
+}
+
+/**
+ * Reads a LinkedIn data-export ZIP (Profile.csv, Positions.csv, Education.csv,
+ * Certifications.csv, Skills.csv, Languages.csv) into the structured CV shape
+ * parseCvIntoStructuredSections returns. Returns { text, structured }.
+ * @param {ArrayBuffer} arrayBuffer
+ */
+export function readLinkedInExport(arrayBuffer) {
+  const container = getCfb().read(new Uint8Array(arrayBuffer), { type: "array" });
+  if (!findEntry(container, "Positions.csv") && !findEntry(container, "Profile.csv")) {
+    throw new Error("This ZIP is not a LinkedIn data export (no Profile.csv or Positions.csv).");
+  }
+
+  const profile = readExportCsv(container, "Profile.csv", "First Name")[0] || {};
+  const structured = {
+    experience: readExportCsv(container, "Positions.csv", "Company Name").map((row) => ({
+      jobTitle: row.Title || "",
+      company: row["Company Name"] || "",
+      period: exportPeriod(row["Started On"], row["Finished On"]),
+      description: row.Description || "",
+    })),
+    education: readExportCsv(container, "Education.csv", "School Name").map((row) => ({
+      degree: row["Degree Name"] || "",
+      major: row.Notes || "",
+      institution: row["School Name"] || "",
+    })),
+    certifications: readExportCsv(container, "Certifications.csv", "Name").map((row) => ({
+      title: row.Name || "",
+      issuer: row.Authority || "",
+    })),
+    skills: normalizeSkills(readExportCsv(container, "Skills.csv", "Name").map((row) => row.Name)),
+    other: {
+      achievements: [],
+      languages: readExportCsv(container, "Languages.csv", "Name").map((row) => row.Name).filter(Boolean),
+      summary: profile.Summary || profile.Headline || "",
+      interests: "",
+    },
+  };
+  return { text: linkedInProfileText(profile, structured), structured };
+}
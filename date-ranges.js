@@ -0,0 +1,166 @@
+// date-ranges.js
+// Parses the date ranges of CV experience entries ("Oct 2018 - present",
+// "03/2015 – 09/2019", "يناير ٢٠٢٠ - حتى الآن", "1440 هـ - 1443 هـ") into month
+// intervals, and totals experience with overlapping jobs merged, not summed.
+//
+// A range is { start, end, ongoing } in months since year 0 (year * 12 + month - 1),
+// with `end` exclusive. An end given with a month counts that month ("Jan - Mar" is
+// three months); an end given as a bare year counts up to the start of that year,
+// so "2015 - 2019" is four years.
+
+// ---------------------------------------------------------------------------
+// Vocabulary
+// ---------------------------------------------------------------------------
+const GREGORIAN_MONTHS = [
+  ["january", "jan", "يناير", "كانون الثاني"],
+  ["february", "feb", "فبراير", "شباط"],
+  ["march", "mar", "مارس", "آذار", "اذار"],
+  ["april", "apr", "أبريل", "ابريل", "إبريل", "نيسان"],
+  ["may", "مايو", "أيار", "ايار"],
+  ["june", "jun", "يونيو", "يونيه", "حزيران"],
+  ["july", "jul", "يوليو", "يوليه", "تموز"],
+  ["august", "aug", "أغسطس", "اغسطس", "آب"],
+  ["september", "sept", "sep", "سبتمبر", "أيلول", "ايلول"],
+  ["october", "oct", "أكتوبر", "اكتوبر", "تشرين الأول", "تشرين الاول"],
+  ["november", "nov", "نوفمبر", "تشرين الثاني"],
+  ["december", "dec", "ديسمبر", "كانون الأول", "كانون الاول"],
+];
+
+const HIJRI_MONTHS = [
+  ["محرم"],
+  ["صفر"],
+  ["ربيع الأول", "ربيع الاول"],
+  ["ربيع الآخر", "ربيع الاخر", "ربيع الثاني"],
+  ["جمادى الأولى", "جمادى الاولى"],
+  ["جمادى الآخرة", "جمادى الاخرة", "جمادى الثانية"],
+  ["رجب"],
+  ["شعبان"],
+  ["رمضان"],
+  ["شوال"],
+  ["ذو القعدة", "ذي القعدة"],
+  ["ذو الحجة", "ذي الحجة"],
+];
+
+// Month name -> { month, hijri }
+const MONTH_NAMES = new Map([
+  ...GREGORIAN_MONTHS.flatMap((names, i) => names.map((name) => [name, { month: i + 1, hijri: false }])),
+  ...HIJRI_MONTHS.flatMap((names, i) => names.map((name) => [name, { month: i + 1, hijri: true }])),
+]);
+
+// Years in this range are taken as Hijri even without a marker (no CV has Gregorian dates there)
+const HIJRI_YEAR_RANGE = [1300, 1499];
+
+const ONGOING_PATTERN = /(?<![a-z])(?:present|current(?:ly)?|now|today|ongoing|to date)(?![a-z])|الآن|الان|حالياً|حاليا|الحالي|حتى تاريخه|حتى اليوم/i;
+// "Since 2019" / "منذ 2019" with no end date is also ongoing
+const SINCE_PATTERN = /(?<![a-z])since(?![a-z])|منذ/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const MONTH_NAME_PATTERN = [...MONTH_NAMES.keys()]
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegExp)
+  .join("|");
+
+// One date: d/m/yyyy, yyyy-mm, mm/yyyy, "Month yyyy" or a bare year, each with an optional Hijri marker
+const DATE_PATTERN = new RegExp(
+  "(?:" +
+    [
+      "\\b(?<dmyDay>\\d{1,2})[./-](?<dmyMonth>\\d{1,2})[./-](?<dmyYear>\\d{4})\\b",
+      "\\b(?<ymYear>\\d{4})[./-](?<ymMonth>\\d{1,2})\\b",
+      "\\b(?<myMonth>\\d{1,2})[./-](?<myYear>\\d{4})\\b",
+      `(?<![a-z])(?<name>${MONTH_NAME_PATTERN})\\.?,?\\s*(?<nameYear>\\d{4})\\b`,
+      "\\b(?<year>\\d{4})\\b",
+    ].join("|") +
+    ")(?<hijri>\\s*(?:هـ|ه(?![ء-ي])|(?:a\\.?h|h)(?![a-z])))?",
+  "gi"
+);
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+// Arabic-Indic (٠-٩) and Persian (۰-۹) digits as ASCII
+export function normalizeDigits(text) {
+  return String(text || "").replace(/[٠-٩۰-۹]/g, (d) => String(d.charCodeAt(0) & 0xf));
+}
+
+// First day of a Hijri month in the Gregorian calendar (tabular Islamic calendar)
+function hijriToGregorian(year, month) {
+  const julianDay =
+    Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + 1948439.5;
+  const date = new Date((julianDay - 2440587.5) * 86400000);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+}
+
+function toPoint(groups) {
+  const name = groups.name ? MONTH_NAMES.get(groups.name.toLowerCase()) : null;
+  const year = Number(groups.dmyYear || groups.ymYear || groups.myYear || groups.nameYear || groups.year);
+  const month = Number(groups.dmyMonth || groups.ymMonth || groups.myMonth || 0) || name?.month || null;
+  if (month !== null && (month < 1 || month > 12)) return null;
+  const hijri =
+    Boolean(groups.hijri) || Boolean(name?.hijri) || (year >= HIJRI_YEAR_RANGE[0] && year <= HIJRI_YEAR_RANGE[1]);
+  if (!hijri && (year < 1900 || year > 2100)) return null;
+  const gregorian = hijri ? hijriToGregorian(year, month || 1) : { year, month: month || 1 };
+  return { index: gregorian.year * 12 + gregorian.month - 1, hasMonth: month !== null };
+}
+
+/**
+ * Parses one period ("Jan 2018 - Mar 2020", "2015 – present", "٠٣/٢٠١٩ - حتى الآن").
+ * Returns { start, end, ongoing } (see the top of the file), or null when no date
+ * is found. A single date without an ongoing marker is a range of its own month
+ * (or of no length for a bare year).
+ */
+export function parseDateRange(period, now = new Date()) {
+  const text = normalizeDigits(period).toLowerCase();
+  if (!text.trim()) return null;
+  const points = [];
+  for (const match of text.matchAll(DATE_PATTERN)) {
+    const point = toPoint(match.groups);
+    if (point) points.push(point);
+    if (points.length === 2) break;
+  }
+  if (points.length === 0) return null;
+
+  const [start, end] = points;
+  const ongoing = !end && (ONGOING_PATTERN.test(text) || SINCE_PATTERN.test(text));
+  const endIndex = ongoing
+    ? now.getFullYear() * 12 + now.getMonth() + 1
+    : (end || start).index + ((end || start).hasMonth ? 1 : 0);
+  // Ranges written backwards ("2019 - 2015") are read the right way round
+  return {
+    start: Math.min(start.index, endIndex),
+    end: Math.max(start.index, endIndex),
+    ongoing,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Totals
+// ---------------------------------------------------------------------------
+
+/**
+ * Months covered by the ranges, counting overlapping time once.
+ * @param {{ start: number, end: number }[]} ranges
+ */
+export function mergedMonths(ranges) {
+  const sorted = ranges.filter(Boolean).sort((a, b) => a.start - b.start);
+  let total = 0;
+  let current = null;
+  sorted.forEach((range) => {
+    if (current && range.start <= current.end) {
+      current.end = Math.max(current.end, range.end);
+      return;
+    }
+    if (current) total += current.end - current.start;
+    current = { start: range.start, end: range.end };
+  });
+  if (current) total += current.end - current.start;
+  return total;
+}
+
+// Months as years, to one decimal place
+export function monthsToYears(months) {
+  return Math.round((months / 12) * 10) / 10;
+}
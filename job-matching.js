@@ -0,0 +1,292 @@
+// job-matching.js
+// Job-description matching: ranks the reviewed CVs against a posted role (required
+// skills, minimum years of experience, preferred certifications) and lists each
+// candidate's gaps with the catalog certificates that would close them.
+
+import { JOB_MATCH_WEIGHTS, SKILL_GAP_CERTS_PER_SKILL } from "./constants.js";
+import { getActiveCatalog, getCertificateById, toCatalogRef, calculateTotalExperience } from "./storage-catalog.js";
+import { rankCertificates } from "./catalog-retrieval.js";
+import { collectSkillEvidence } from "./skill-gap.js";
+import { containsTokenPhrase } from "./role-profiles.js";
+import { findHeldCertificates } from "./certificate-progression.js";
+import { getSkillById } from "./skill-taxonomy.js";
+
+const JOB_TEXT = {
+  en: {
+    skills: "Skills",
+    experience: "Experience",
+    certifications: "Preferred certifications",
+    years: (n) => `${n}+ years`,
+    candidateYears: (n) => `${n} years`,
+    none: "None stated",
+    notInCatalog: "not in the catalog",
+    noCvs: "Submit reviewed CVs to rank them against this role.",
+    fit: "fit",
+    missing: "Missing",
+    missingCerts: "Missing certifications",
+    closedBy: "Closed by",
+    belowYears: (n) => `${n} years short`,
+  },
+  ar: {
+    skills: "المهارات",
+    experience: "الخبرة",
+    certifications: "الشهادات المفضلة",
+    years: (n) => `${n}+ سنوات`,
+    candidateYears: (n) => `${n} سنوات`,
+    none: "غير محدد",
+    notInCatalog: "غير موجودة في الكتالوج",
+    noCvs: "أرسل السير الذاتية بعد مراجعتها لترتيبها حسب هذه الوظيفة.",
+    fit: "تطابق",
+    missing: "ينقصه",
+    missingCerts: "شهادات غير حاصل عليها",
+    closedBy: "شهادات تسد الفجوة",
+    belowYears: (n) => `تنقصه ${n} سنوات`,
+  },
+};
+
+function isArabic() {
+  return document.documentElement.lang === "ar";
+}
+
+function text(key) {
+  const lang = isArabic() ? "ar" : "en";
+  return JOB_TEXT[lang][key] ?? JOB_TEXT.en[key];
+}
+
+// ---------------------------------------------------------------------------
+// Ranking
+// ---------------------------------------------------------------------------
+
+// Phrases a required skill can be evidenced by: the canonical skill's names and aliases, or the text as written
+function skillPhrases(requirement) {
+  const skill = getSkillById(requirement.skillId);
+  return skill ? [skill.en, skill.ar, ...(skill.aliases || [])] : [requirement.title];
+}
+
+// Catalog certificates for a missing skill: those tagged with it first, then text matches
+function certificatesForSkill(requirement, heldIds) {
+  const tagged = requirement.skillId
+    ? getActiveCatalog().filter((cert) => (cert.skillIds || []).includes(requirement.skillId))
+    : [];
+  const ranked = rankCertificates(skillPhrases(requirement).join(" "), SKILL_GAP_CERTS_PER_SKILL * 4).map((r) => r.cert);
+  const unique = new Map([...tagged, ...ranked].map((cert) => [cert.id, cert]));
+  return [...unique.values()]
+    .filter((cert) => !heldIds.has(cert.id))
+    .slice(0, SKILL_GAP_CERTS_PER_SKILL)
+    .map(toCatalogRef);
+}
+
+/**
+ * Ranks CVs (review-modal shape) against a parsed job description (ai.js
+ * parseJobDescription), best fit first.
+ *
+ * Returns [{
+ *   cvId, cvName, jobTitle, years,
+ *   score,                    // 0-100, weighted over the parts the job states (JOB_MATCH_WEIGHTS)
+ *   coveredSkills: [{ title, skillId, evidence: { kind, label } }],
+ *   missingSkills: [{ title, skillId, certificates: [catalog refs] }],
+ *   yearsShort,               // years below the minimum, 0 when met or not stated
+ *   heldCertifications: [{ title, certId }],
+ *   missingCertifications: [{ title, certId, catalog }]   // catalog null when not in the catalog
+ * }]
+ */
+export function rankCandidatesForJob(job, cvs) {
+  const requiredSkills = job?.requiredSkills || [];
+  const preferred = job?.preferredCertifications || [];
+  const minYears = job?.minYearsExperience || 0;
+
+  return (cvs || [])
+    .map((cv) => {
+      const structured = cv?.structured || cv || {};
+      const evidence = collectSkillEvidence(structured);
+      const heldIds = new Set(findHeldCertificates(cv));
+      const years = calculateTotalExperience(structured.experience || []);
+
+      const coveredSkills = [];
+      const missingSkills = [];
+      requiredSkills.forEach((requirement) => {
+        const phrases = skillPhrases(requirement);
+        const source = evidence.find((e) => phrases.some((p) => containsTokenPhrase(e.tokens, p)));
+        const summary = { title: requirement.title, skillId: requirement.skillId || null };
+        if (source) coveredSkills.push({ ...summary, evidence: { kind: source.kind, label: source.label } });
+        else missingSkills.push({ ...summary, certificates: certificatesForSkill(requirement, heldIds) });
+      });
+
+      const heldCertifications = preferred.filter((c) => c.certId && heldIds.has(c.certId));
+      const missingCertifications = preferred
+        .filter((c) => !c.certId || !heldIds.has(c.certId))
+        .map((c) => {
+          const cert = c.certId ? getCertificateById(c.certId) : null;
+          return { ...c, catalog: cert ? toCatalogRef(cert) : null };
+        });
+
+      // Only the parts the job states count towards the score
+      const parts = [];
+      if (requiredSkills.length > 0) parts.push(["skills", coveredSkills.length / requiredSkills.length]);
+      if (minYears > 0) parts.push(["experience", Math.min(1, years / minYears)]);
+      if (preferred.length > 0) parts.push(["certifications", heldCertifications.length / preferred.length]);
+      const totalWeight = parts.reduce((sum, [part]) => sum + JOB_MATCH_WEIGHTS[part], 0);
+      const score = totalWeight > 0
+        ? Math.round((100 * parts.reduce((sum, [part, value]) => sum + JOB_MATCH_WEIGHTS[part] * value, 0)) / totalWeight)
+        : 0;
+
+      return {
+        cvId: cv.id,
+        cvName: cv.name,
+        jobTitle: structured.experience?.[0]?.jobTitle || "",
+        years,
+        score,
+        coveredSkills,
+        missingSkills,
+        yearsShort: minYears > years ? Math.round((minYears - years) * 10) / 10 : 0,
+        heldCertifications,
+        missingCertifications,
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.years - a.years || a.cvName.localeCompare(b.cvName));
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+function certName(ref) {
+  return isArabic() && ref.nameAr ? ref.nameAr : ref.name;
+}
+
+function createRequirements(job) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "job-match-requirements";
+  const rows = [
+    [text("skills"), job.requiredSkills.map((s) => s.title).join(isArabic() ? "، " : ", ")],
+    [text("experience"), job.minYearsExperience ? text("years")(job.minYearsExperience) : ""],
+    [
+      text("certifications"),
+      job.preferredCertifications
+        .map((c) => {
+          const cert = c.certId ? getCertificateById(c.certId) : null;
+          return cert ? certName(cert) : `${c.title} (${text("notInCatalog")})`;
+        })
+        .join(" · "),
+    ],
+  ];
+  rows.forEach(([caption, value]) => {
+    const row = document.createElement("div");
+    row.className = "job-match-requirement";
+    const label = document.createElement("span");
+    label.className = "job-match-requirement-label";
+    label.textContent = `${caption}: `;
+    row.appendChild(label);
+    row.appendChild(document.createTextNode(value || text("none")));
+    wrapper.appendChild(row);
+  });
+  return wrapper;
+}
+
+function createCandidateRow(match, rank) {
+  const item = document.createElement("li");
+  item.className = "job-match-candidate";
+  item.dataset.cvId = match.cvId || "";
+
+  const header = document.createElement("div");
+  header.className = "job-match-candidate-header";
+  const name = document.createElement("span");
+  name.className = "job-match-candidate-name";
+  name.textContent = `${rank}. ${match.cvName}`;
+  header.appendChild(name);
+  const meta = document.createElement("span");
+  meta.className = "muted";
+  meta.textContent = [match.jobTitle, text("candidateYears")(match.years)].filter(Boolean).join(" · ");
+  header.appendChild(meta);
+  const score = document.createElement("span");
+  const band = match.score >= 70 ? "high" : match.score >= 40 ? "medium" : "low";
+  score.className = `match-score match-score-${band}`;
+  score.textContent = `${match.score}% ${text("fit")}`;
+  header.appendChild(score);
+  item.appendChild(header);
+
+  if (match.coveredSkills.length > 0) {
+    const covered = document.createElement("div");
+    covered.className = "skill-gap-covered";
+    match.coveredSkills.forEach((skill) => {
+      const chip = document.createElement("span");
+      chip.className = "skill-gap-chip";
+      chip.innerHTML = `<i class="fas fa-check"></i> `;
+      chip.appendChild(document.createTextNode(skill.title));
+      chip.title = skill.evidence.label;
+      covered.appendChild(chip);
+    });
+    item.appendChild(covered);
+  }
+
+  if (match.yearsShort > 0) {
+    const years = document.createElement("div");
+    years.className = "job-match-gap";
+    years.textContent = `${text("experience")}: ${text("belowYears")(match.yearsShort)}`;
+    item.appendChild(years);
+  }
+
+  if (match.missingSkills.length > 0) {
+    const list = document.createElement("ul");
+    list.className = "skill-gap-missing";
+    match.missingSkills.forEach((skill) => {
+      const entry = document.createElement("li");
+      const skillName = document.createElement("div");
+      skillName.className = "skill-gap-missing-name";
+      skillName.textContent = `${text("missing")}: ${skill.title}`;
+      entry.appendChild(skillName);
+      if (skill.certificates.length > 0) {
+        const certs = document.createElement("div");
+        certs.className = "skill-gap-certs";
+        certs.textContent = `${text("closedBy")}: ${skill.certificates.map(certName).join(" · ")}`;
+        entry.appendChild(certs);
+      }
+      list.appendChild(entry);
+    });
+    item.appendChild(list);
+  }
+
+  if (match.missingCertifications.length > 0) {
+    const certs = document.createElement("div");
+    certs.className = "job-match-gap";
+    certs.textContent = `${text("missingCerts")}: ${match.missingCertifications
+      .map((c) => (c.catalog ? certName(c.catalog) : c.title))
+      .join(" · ")}`;
+    item.appendChild(certs);
+  }
+  return item;
+}
+
+/**
+ * Renders the parsed job and the ranked candidates into #job-match-section
+ * (hidden without a job).
+ * @param {object|null} job     parseJobDescription result.
+ * @param {object[]} ranking    rankCandidatesForJob result.
+ */
+export function renderJobMatches(job, ranking) {
+  const section = document.getElementById("job-match-section");
+  const container = document.getElementById("job-match-results");
+  if (!section || !container) return;
+  container.innerHTML = "";
+  section.classList.toggle("hidden", !job);
+  if (!job) return;
+
+  if (job.title) {
+    const title = document.createElement("div");
+    title.className = "learning-path-title";
+    title.textContent = job.title;
+    container.appendChild(title);
+  }
+  container.appendChild(createRequirements(job));
+
+  if (ranking.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "muted";
+    empty.textContent = text("noCvs");
+    container.appendChild(empty);
+    return;
+  }
+  const list = document.createElement("ol");
+  list.className = "job-match-list";
+  ranking.forEach((match, index) => list.appendChild(createCandidateRow(match, index + 1)));
+  container.appendChild(list);
+}
@@ -0,0 +1,579 @@
+// llm-providers.js
+// Pluggable LLM backends: Gemini proxy, OpenAI-compatible, local Ollama and an offline mock/replay provider.
+
+import {
+  LLM_PROVIDER_KEY,
+  LLM_REPLAY_KEY,
+  DEFAULT_LLM_PROVIDER,
+  LLM_PROVIDER_DEFAULTS,
+  getFinalCertificateCatalog,
+} from "./constants.js";
+
+import {
+  CV_PARSER_SYSTEM_PROMPT,
+  RULES_SYSTEM_PROMPT,
+  ANALYSIS_SYSTEM_PROMPT,
+  JOB_DESCRIPTION_PARSER_SYSTEM_PROMPT,
+} from "./prompts.js";
+
+// ---------------------------------------------------------------------------
+// Request shape shared by all providers:
+// {
+//   prompt:       system prompt + user message combined (what the Gemini proxy expects)
+//   userPrompt:   the user message on its own
+//   systemPrompt: the system prompt on its own ("" when none)
+//   history:      [{ role: "user" | "assistant", text }]
+// }
+// Every provider exposes `generate(request, signal)` and resolves to the reply text.
+// Providers that can stream also expose `stream(request, onToken, signal)`, which
+// calls onToken(chunk) as text arrives and resolves to the full reply.
+// ---------------------------------------------------------------------------
+
+// Reads a fetch body line by line (SSE and NDJSON are both line-oriented).
+async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach((line) => onLine(line.replace(/\r$/, "")));
+  }
+  buffer += decoder.decode();
+  if (buffer) onLine(buffer);
+}
+
+// Calls onData(payload) for every `data:` line of a server-sent events stream.
+async function readServerSentEvents(response, onData) {
+  await readLines(response, (line) => {
+    if (!line.startsWith("data:")) return;
+    const payload = line.slice(5).trim();
+    if (payload && payload !== "[DONE]") onData(payload);
+  });
+}
+
+async function throwProviderError(response, label) {
+  const error = await response.text();
+  throw new Error(`${label} error: ${error || response.statusText}`);
+}
+
+// ---------------------------------------------------------------------------
+// Gemini proxy (default)
+// ---------------------------------------------------------------------------
+export async function callGeminiProxy(payload, url = LLM_PROVIDER_DEFAULTS.gemini.baseUrl, signal) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  if (!response.ok) await throwProviderError(response, "Gemini proxy");
+
+  const data = await response.json();
+  return data.text || "";
+}
+
+function toGeminiPayload(request) {
+  const contents = [
+    ...request.history.map((msg) => ({
+      role: msg.role === "user" ? "user" : "model",
+      parts: [{ text: msg.text }],
+    })),
+    { role: "user", parts: [{ text: request.prompt }] },
+  ];
+  return { prompt: request.prompt, history: contents };
+}
+
+function createGeminiProvider(settings) {
+  return {
+    id: "gemini",
+    async generate(request, signal) {
+      return await callGeminiProxy(toGeminiPayload(request), settings.baseUrl, signal);
+    },
+    // The proxy streams when asked to: SSE with {"text": "..."} events, or a plain
+    // chunked body. Older deployments ignore the flag and answer with one JSON object.
+    async stream(request, onToken, signal) {
+      const response = await fetch(settings.baseUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...toGeminiPayload(request), stream: true }),
+        signal,
+      });
+
+      if (!response.ok) await throwProviderError(response, "Gemini proxy");
+
+      const contentType = response.headers.get("content-type") || "";
+      let fullText = "";
+      const emit = (chunk) => {
+        if (!chunk) return;
+        fullText += chunk;
+        onToken(chunk);
+      };
+
+      if (contentType.includes("application/json")) {
+        const data = await response.json();
+        emit(data.text || "");
+      } else if (contentType.includes("text/event-stream")) {
+        await readServerSentEvents(response, (payload) => {
+          try {
+            emit(JSON.parse(payload).text || "");
+          } catch (_) {
+            emit(payload);
+          }
+        });
+      } else {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          emit(decoder.decode(value, { stream: true }));
+        }
+      }
+      return fullText;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// OpenAI-compatible chat completions (OpenAI, Azure-style gateways, LM Studio, vLLM...)
+// ---------------------------------------------------------------------------
+function toChatMessages(request) {
+  const messages = [];
+  if (request.systemPrompt) {
+    messages.push({ role: "system", content: request.systemPrompt });
+  }
+  request.history.forEach((msg) => {
+    messages.push({ role: msg.role, content: msg.text });
+  });
+  messages.push({ role: "user", content: request.userPrompt });
+  return messages;
+}
+
+function createOpenAiProvider(settings) {
+  const post = (body, signal) => {
+    const headers = { "Content-Type": "application/json" };
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+    return fetch(`${settings.baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+  };
+
+  return {
+    id: "openai",
+    async generate(request, signal) {
+      const response = await post(
+        { model: settings.model, messages: toChatMessages(request) },
+        signal
+      );
+      if (!response.ok) await throwProviderError(response, "OpenAI-compatible provider");
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || "";
+    },
+    async stream(request, onToken, signal) {
+      const response = await post(
+        { model: settings.model, messages: toChatMessages(request), stream: true },
+        signal
+      );
+      if (!response.ok) await throwProviderError(response, "OpenAI-compatible provider");
+
+      let fullText = "";
+      await readServerSentEvents(response, (payload) => {
+        const chunk = JSON.parse(payload).choices?.[0]?.delta?.content || "";
+        if (!chunk) return;
+        fullText += chunk;
+        onToken(chunk);
+      });
+      return fullText;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Local Ollama-style server
+// ---------------------------------------------------------------------------
+function createOllamaProvider(settings) {
+  const post = (stream, request, signal) =>
+    fetch(`${settings.baseUrl.replace(/\/+$/, "")}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model: settings.model,
+        messages: toChatMessages(request),
+        stream,
+      }),
+      signal,
+    });
+
+  return {
+    id: "ollama",
+    async generate(request, signal) {
+      const response = await post(false, request, signal);
+      if (!response.ok) await throwProviderError(response, "Ollama provider");
+
+      const data = await response.json();
+      return data.message?.content || "";
+    },
+    // Ollama streams newline-delimited JSON objects.
+    async stream(request, onToken, signal) {
+      const response = await post(true, request, signal);
+      if (!response.ok) await throwProviderError(response, "Ollama provider");
+
+      let fullText = "";
+      await readLines(response, (line) => {
+        if (!line.trim()) return;
+        const chunk = JSON.parse(line).message?.content || "";
+        if (!chunk) return;
+        fullText += chunk;
+        onToken(chunk);
+      });
+      return fullText;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Replay store: responses recorded from a real provider, keyed by prompt hash
+// ---------------------------------------------------------------------------
+function hashPrompt(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function loadReplayStore() {
+  try {
+    const saved = localStorage.getItem(LLM_REPLAY_KEY);
+    const parsed = saved ? JSON.parse(saved) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (err) {
+    console.error("Failed to parse LLM replay store:", err);
+    return {};
+  }
+}
+
+function recordResponse(request, text) {
+  const store = loadReplayStore();
+  store[hashPrompt(request.prompt)] = text;
+  try {
+    localStorage.setItem(LLM_REPLAY_KEY, JSON.stringify(store));
+  } catch (err) {
+    console.error("Failed to record LLM response:", err);
+  }
+}
+
+export function clearRecordedResponses() {
+  localStorage.removeItem(LLM_REPLAY_KEY);
+}
+
+// ---------------------------------------------------------------------------
+// Mock provider: deterministic canned responses so the full
+// upload -> parse -> recommend flow works offline.
+// ---------------------------------------------------------------------------
+const MOCK_SKILL_KEYWORDS = [
+  "JavaScript", "TypeScript", "Python", "Java", "C#", "SQL", "HTML", "CSS", "React",
+  "Angular", "Node.js", "AWS", "Azure", "Google Cloud", "Docker", "Kubernetes", "Linux",
+  "Networking", "Cisco", "Security", "Excel", "Power BI", "Tableau", "Project Management",
+  "Agile", "Scrum", "Accounting", "Auditing", "Finance", "Marketing", "Sales",
+  "Human Resources", "Recruitment", "Training", "Leadership", "Supply Chain", "Logistics",
+  "Procurement", "Quality", "Safety", "Nursing", "Customer Service", "Hospitality",
+];
+
+const MOCK_MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+";
+// "Jan 2018 - Mar 2020", "04/2013 to Current"
+const MOCK_PERIOD_REGEX = new RegExp(
+  `((?:${MOCK_MONTH}|\\d{1,2}/)?(?:19|20)\\d{2})\\s*(?:[-–—]+|to)\\s*((?:${MOCK_MONTH}|\\d{1,2}/)?(?:19|20)\\d{2}|present|current)`,
+  "i"
+);
+
+function sliceBetween(text, startMarker, endMarker) {
+  const start = text.indexOf(startMarker);
+  if (start === -1) return "";
+  const from = start + startMarker.length;
+  const end = endMarker ? text.indexOf(endMarker, from) : -1;
+  return text.slice(from, end === -1 ? undefined : end);
+}
+
+function mockParseCv(cvText) {
+  const lines = cvText.split(/\n+/).map((l) => l.trim()).filter(Boolean);
+  const lower = cvText.toLowerCase();
+
+  const experience = [];
+  lines.forEach((line, i) => {
+    const match = line.match(MOCK_PERIOD_REGEX);
+    if (!match) return;
+    const title = line.replace(match[0], "").replace(/[|,–—-]+\s*$/, "").trim();
+    experience.push({
+      jobTitle: title || lines[i - 1] || "",
+      company: "",
+      period: `${match[1]} - ${match[2]}`,
+      description: lines[i + 1] && !MOCK_PERIOD_REGEX.test(lines[i + 1]) ? lines[i + 1] : "",
+    });
+  });
+
+  const education = lines
+    .filter((l) => /\b(bachelor|master|phd|diploma|b\.?sc|m\.?sc|mba)\b|بكالوريوس|ماجستير|دكتوراه|دبلوم/i.test(l))
+    .map((l) => ({ degree: l, major: "", institution: "" }));
+
+  const certifications = lines
+    .filter((l) => /certified|certificate|certification|شهادة/i.test(l) && l.length < 120)
+    .map((l) => ({ title: l, issuer: "" }));
+
+  const skills = MOCK_SKILL_KEYWORDS.filter((k) => lower.includes(k.toLowerCase()));
+
+  return {
+    experience,
+    education,
+    certifications,
+    skills,
+    other: { achievements: [], summary: lines[0] || "", interests: "" },
+  };
+}
+
+function mockParseJobDescription(jobText) {
+  const lines = jobText.split(/\n+/).map((l) => l.trim()).filter(Boolean);
+  const lower = jobText.toLowerCase();
+  const years = jobText.match(/(\d+)\s*\+?\s*(?:years|yrs|سنوات|سنة)/i);
+  return {
+    title: lines[0] || "",
+    requiredSkills: MOCK_SKILL_KEYWORDS.filter((k) => lower.includes(k.toLowerCase())),
+    minYearsExperience: years ? Number(years[1]) : null,
+    // "Preferred: CCNA or CCNP certification" -> ["CCNA", "CCNP"]
+    preferredCertifications: lines
+      .filter((l) => /certified|certificate|certification|شهادة/i.test(l) && l.length < 120)
+      .flatMap((l) => l.replace(/^[^:]*:\s*/, "").split(/\s*(?:,|;|\bor\b|\band\b)\s*/i))
+      .map((c) => c.replace(/\s*\b(?:certification|certificate)s?\.?$/i, "").trim())
+      .filter(Boolean),
+  };
+}
+
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9؀-ۿ+#]+/)
+    .filter((t) => t.length > 2);
+}
+
+function mockRecommend(cvText, limit = 3) {
+  const cvTokens = new Set(tokenize(cvText));
+  return getFinalCertificateCatalog()
+    .map((cert) => {
+      const matched = [...new Set(tokenize(`${cert.name} ${cert.fieldEn} ${cert.description}`))]
+        .filter((t) => cvTokens.has(t));
+      return { cert, matched };
+    })
+    .filter((entry) => entry.matched.length > 0)
+    .sort((a, b) => b.matched.length - a.matched.length || a.cert.id.localeCompare(b.cert.id))
+    .slice(0, limit)
+    .map(({ cert, matched }) => ({
+      certId: cert.id,
+      certName: cert.name,
+      reason: `Offline mock match on: ${matched.slice(0, 5).join(", ")}.`,
+      rulesApplied: [],
+    }));
+}
+
+function mockAnalysis(prompt) {
+  const cvSection = sliceBetween(prompt, "**CVs to Analyze:**", "**Task:**");
+  const blocks = cvSection.split(/^--- CV for: (.+?) ---$/m);
+  const candidates = [];
+  for (let i = 1; i < blocks.length; i += 2) {
+    candidates.push({
+      candidateName: blocks[i].trim(),
+      recommendations: mockRecommend(blocks[i + 1] || ""),
+    });
+  }
+  return { candidates };
+}
+
+function mockRespond(request) {
+  const prompt = request.prompt;
+
+  if (prompt.includes(CV_PARSER_SYSTEM_PROMPT.trim())) {
+    const cvText = sliceBetween(prompt, "CV Text to parse:\n---\n", "\n---\n");
+    return JSON.stringify(mockParseCv(cvText));
+  }
+
+  if (prompt.includes(JOB_DESCRIPTION_PARSER_SYSTEM_PROMPT.trim())) {
+    const jobText = sliceBetween(prompt, "Job description to parse:\n---\n", "\n---\n");
+    return JSON.stringify(mockParseJobDescription(jobText));
+  }
+
+  // Rules the local compiler could not handle: keep them as advisory
+  if (prompt.includes(RULES_SYSTEM_PROMPT.trim())) {
+    const rulesText = sliceBetween(prompt, "User's rules:\n", "\n\nRemember:");
+    const rules = rulesText
+      .split("\n")
+      .map((r) => r.trim())
+      .filter(Boolean)
+      .map((text) => ({ text, type: "advisory", params: {} }));
+    return JSON.stringify(rules);
+  }
+
+  if (prompt.includes(ANALYSIS_SYSTEM_PROMPT.trim())) {
+    return JSON.stringify(mockAnalysis(prompt));
+  }
+
+  const suggestions = mockRecommend(request.userPrompt, 3)
+    .map((rec) => `- **${rec.certName}**`)
+    .join("\n");
+  return suggestions
+    ? `*(Offline mock reply)* Based on your message, these catalog certifications look relevant:\n\n${suggestions}`
+    : "*(Offline mock reply)* I could not match your message to a catalog certification. Try mentioning a skill or field.";
+}
+
+function createMockProvider(settings) {
+  const respond = (request) => {
+    if (settings.replay !== false) {
+      const recorded = loadReplayStore()[hashPrompt(request.prompt)];
+      if (typeof recorded === "string") return recorded;
+    }
+    return mockRespond(request);
+  };
+
+  return {
+    id: "mock",
+    async generate(request) {
+      return respond(request);
+    },
+    // Replays the canned reply word by word so streaming UI can be exercised offline.
+    async stream(request, onToken, signal) {
+      const words = respond(request).split(/(?<=\s)/);
+      let fullText = "";
+      for (const word of words) {
+        if (signal?.aborted) {
+          throw new DOMException("The operation was aborted.", "AbortError");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 25));
+        fullText += word;
+        onToken(word);
+      }
+      return fullText;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Registry + runtime selection
+// ---------------------------------------------------------------------------
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider,
+};
+
+export function listLlmProviders() {
+  return Object.keys(PROVIDER_FACTORIES).map((id) => ({
+    id,
+    label: LLM_PROVIDER_DEFAULTS[id]?.label || id,
+  }));
+}
+
+function getConfigOverrides(id) {
+  const fromConfig = window.SKILLMATCH_LLM_CONFIG || {};
+  return fromConfig.id === id ? fromConfig : {};
+}
+
+// Resolution order: ?llm= query param, saved choice, config.js, default.
+// Settings come from the defaults and config.js; only the fields the user changed
+// in the page (saved `overrides`) are layered on top, so later config.js edits apply.
+export function loadLlmSettings() {
+  const fromConfig = window.SKILLMATCH_LLM_CONFIG || {};
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(LLM_PROVIDER_KEY) || "{}") || {};
+  } catch (err) {
+    console.error("Failed to parse LLM provider settings:", err);
+  }
+  // Older versions saved the whole merged settings, API key included: keep only the choice
+  if (saved.id && !saved.overrides) {
+    saved = { id: saved.id, overrides: {} };
+    saveLlmSettings(saved.id);
+  }
+
+  const fromQuery = new URLSearchParams(window.location.search).get("llm");
+  const id = [fromQuery, saved.id, fromConfig.id, DEFAULT_LLM_PROVIDER].find(
+    (candidate) => candidate && PROVIDER_FACTORIES[candidate]
+  );
+
+  return {
+    ...LLM_PROVIDER_DEFAULTS[id],
+    ...getConfigOverrides(id),
+    ...(saved.id === id ? saved.overrides : {}),
+    id,
+  };
+}
+
+// Persists the provider choice and the fields changed in the page, never
+// the defaults or config.js values (so no API key from config.js)
+export function saveLlmSettings(id, overrides = {}) {
+  try {
+    localStorage.setItem(LLM_PROVIDER_KEY, JSON.stringify({ id, overrides }));
+  } catch (err) {
+    console.error("Failed to save LLM provider settings:", err);
+  }
+}
+
+let activeSettings = null;
+let activeProvider = null;
+
+export function getActiveLlmSettings() {
+  if (!activeSettings) activeSettings = loadLlmSettings();
+  return activeSettings;
+}
+
+export function getActiveProvider() {
+  if (!activeProvider) {
+    const settings = getActiveLlmSettings();
+    activeProvider = PROVIDER_FACTORIES[settings.id](settings);
+  }
+  return activeProvider;
+}
+
+export function setActiveProvider(id, overrides = {}) {
+  if (!PROVIDER_FACTORIES[id]) {
+    throw new Error(`Unknown LLM provider: ${id}`);
+  }
+  activeSettings = { ...LLM_PROVIDER_DEFAULTS[id], ...getConfigOverrides(id), ...overrides, id };
+  activeProvider = PROVIDER_FACTORIES[id](activeSettings);
+  saveLlmSettings(id, overrides);
+  return activeProvider;
+}
+
+// Single entry point used by ai.js. Records real responses when `record` is enabled
+// so the mock provider can replay them later.
+export async function generateWithActiveProvider(request, signal) {
+  const provider = getActiveProvider();
+  const text = await provider.generate(request, signal);
+  if (provider.id !== "mock" && getActiveLlmSettings().record) {
+    recordResponse(request, text);
+  }
+  return text;
+}
+
+// Streaming variant. Providers without `stream` deliver the whole reply as one token.
+export async function streamWithActiveProvider(request, onToken, signal) {
+  const provider = getActiveProvider();
+  let text;
+  if (typeof provider.stream === "function") {
+    text = await provider.stream(request, onToken, signal);
+  } else {
+    text = await provider.generate(request, signal);
+    onToken(text);
+  }
+  if (provider.id !== "mock" && getActiveLlmSettings().record) {
+    recordResponse(request, text);
+  }
+  return text;
+}
@@ -0,0 +1,218 @@
+// match-evidence.js
+// Explains a recommendation: a 0-100 match score, the CV evidence it rests on
+// (skills, job titles, experience entries and phrases quoted by the model) with
+// character offsets into the raw extracted CV text, and the catalog attributes
+// that matched (skills, field, level).
+
+import { MATCH_SCORE_WEIGHTS, MATCH_SKILLS_FOR_FULL_SCORE, MATCH_EXCERPT_CHARS } from "./constants.js";
+import { getCertificateById, getRecommendationCatalogRef, calculateTotalExperience } from "./storage-catalog.js";
+import { tokenizeForRetrieval } from "./catalog-retrieval.js";
+import { normalizeSkills, findSkillsInText, getSkillById } from "./skill-taxonomy.js";
+import { levelFitDirection } from "./baseline-recommender.js";
+import { getRoleProfile } from "./role-profiles.js";
+import { inferTargetRole } from "./skill-gap.js";
+
+// Words too common in job titles and certificate names to count as a match on their own
+const GENERIC_TOKENS = new Set([
+  "senior", "junior", "lead", "head", "assistant", "associate", "specialist", "expert",
+  "officer", "engineer", "manager", "consultant", "analyst", "level", "diploma", "course",
+  "training", "program", "advanced", "basic", "foundation", "fundamental", "practitioner",
+]);
+
+// Level part of the score: suited to the candidate's experience, unknown, or outside the range
+const LEVEL_FIT_SCORES = { fits: 1, unknown: 0.5, above: 0.25, below: 0.25 };
+
+// ---------------------------------------------------------------------------
+// Offsets into the raw CV text
+// ---------------------------------------------------------------------------
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// A phrase as whole words in any script ("ai" not inside "email", "Java" not inside
+// "JavaScript"). An Arabic phrase may carry a one-letter prefix ("والأمن السيبراني").
+function phrasePattern(phrase) {
+  return new RegExp(
+    `(?<=^|[^\\p{L}\\p{N}]|(?<![\\p{L}\\p{N}])[وفبلك])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}])`,
+    "giu"
+  );
+}
+
+// Earliest case-insensitive whole-word occurrence of any phrase at or after `from`: { start, end } or null
+function locate(rawText, phrases, from = 0) {
+  let found = null;
+  phrases.forEach((phrase) => {
+    const needle = String(phrase || "").trim();
+    if (needle.length < 2) return;
+    const pattern = phrasePattern(needle);
+    pattern.lastIndex = from;
+    const match = pattern.exec(rawText);
+    if (match && (!found || match.index < found.start)) {
+      found = { start: match.index, end: match.index + match[0].length };
+    }
+  });
+  return found;
+}
+
+function offsets(found) {
+  return found ? { start: found.start, end: found.end } : { start: null, end: null };
+}
+
+// Names of a taxonomy skill to look for; names under 3 characters ("ai", "js") are
+// too ambiguous to locate, as in skill-taxonomy.js findSkillsInText
+function skillPhrases(skillId) {
+  const skill = getSkillById(skillId);
+  return skill
+    ? [skill.en, skill.ar, ...(skill.aliases || [])].filter((name) => name && (name.length >= 3 || /[+#]/.test(name)))
+    : [];
+}
+
+/**
+ * The passage around an evidence offset, for highlighting: { before, match, after }
+ * (with ellipses where the passage is cut).
+ */
+export function evidenceExcerpt(rawText, start, end, radius = MATCH_EXCERPT_CHARS) {
+  const from = Math.max(0, start - radius);
+  const to = Math.min(rawText.length, end + radius);
+  return {
+    before: `${from > 0 ? "…" : ""}${rawText.slice(from, start)}`,
+    match: rawText.slice(start, end),
+    after: `${rawText.slice(end, to)}${to < rawText.length ? "…" : ""}`,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Evidence and score
+// ---------------------------------------------------------------------------
+
+// Model confidence as 0-100 (models answer with either a fraction or a percentage)
+function modelConfidenceOf(rec) {
+  const value = Number(rec.confidence);
+  if (rec.confidence === null || rec.confidence === undefined || !Number.isFinite(value)) return null;
+  return Math.round(Math.min(100, Math.max(0, value <= 1 ? value * 100 : value)));
+}
+
+/**
+ * Explains one recommendation against one CV (parser or review-modal shape).
+ *
+ * Returns {
+ *   score,            // 0-100; averaged with the model's confidence when it gave one
+ *   modelConfidence,  // 0-100 or null
+ *   evidence: [{ kind: "skill" | "jobTitle" | "experience" | "quote", label, context,
+ *                section, index,   // item in the reviewed CV ("skills" / "experience"), null for quotes
+ *                start, end }],   // offsets into rawText, null when the text was not found
+ *   attributes: [{ attribute: "skill" | "field" | "level", en, ar }]
+ * }
+ *
+ * @param {object} rec
+ * @param {object} cv
+ * @param {object} [options]
+ * @param {string} [options.rawText] Text extracted from the CV file.
+ * @param {string} [options.roleId]  Chosen target role; otherwise inferred from the CV.
+ */
+export function explainRecommendation(rec, cv, { rawText = "", roleId = null } = {}) {
+  const structured = cv?.structured || cv || {};
+  const cert = getCertificateById(rec.certId);
+  const entry = getRecommendationCatalogRef(rec);
+  const certSkillIds = new Set(cert?.skillIds || []);
+  const certTokens = new Set(
+    tokenizeForRetrieval([entry.name || rec.certName, entry.nameAr, entry.fieldEn, cert?.description].join(" "))
+      .filter((token) => !GENERIC_TOKENS.has(token))
+  );
+  const sharesToken = (value) => tokenizeForRetrieval(value).some((token) => certTokens.has(token));
+
+  const evidence = [];
+  const matchedSkillIds = new Set();
+  const matchedFreeSkills = new Set();
+  let titleMatched = false;
+  let experienceMatched = false;
+
+  (structured.skills || []).forEach((item, index) => {
+    const title = typeof item === "string" ? item : item?.title || "";
+    if (!title) return;
+    const ids = normalizeSkills([title]).map((s) => s.skillId).filter((id) => id && certSkillIds.has(id));
+    if (ids.length === 0 && !sharesToken(title)) return;
+    ids.forEach((id) => matchedSkillIds.add(id));
+    if (ids.length === 0) matchedFreeSkills.add(title.toLowerCase());
+    evidence.push({
+      kind: "skill",
+      label: title,
+      context: "",
+      section: "skills",
+      index,
+      // The skill as written in the CV first, then its synonyms
+      ...offsets(locate(rawText, [title]) || locate(rawText, ids.flatMap(skillPhrases))),
+    });
+  });
+
+  (structured.experience || []).forEach((exp, index) => {
+    const title = exp.jobTitle || exp.title || "";
+    const titleAt = title ? locate(rawText, [title]) : null;
+    const titleSkillIds = findSkillsInText(title).filter((id) => certSkillIds.has(id));
+    if (title && (titleSkillIds.length > 0 || sharesToken(title))) {
+      titleMatched = true;
+      titleSkillIds.forEach((id) => matchedSkillIds.add(id));
+      evidence.push({ kind: "jobTitle", label: title, context: exp.company || "", section: "experience", index, ...offsets(titleAt) });
+    }
+
+    // Skills named in the description, looked up after the entry's title in the raw text
+    findSkillsInText(exp.description || "")
+      .filter((id) => certSkillIds.has(id))
+      .forEach((id) => {
+        experienceMatched = true;
+        matchedSkillIds.add(id);
+        const phrases = skillPhrases(id);
+        const found = locate(rawText, phrases, titleAt?.end || 0) || locate(rawText, phrases);
+        evidence.push({
+          kind: "experience",
+          label: found ? rawText.slice(found.start, found.end) : getSkillById(id).en,
+          context: title,
+          section: "experience",
+          index,
+          ...offsets(found),
+        });
+      });
+  });
+
+  // Phrases the model quoted from the CV
+  (Array.isArray(rec.evidence) ? rec.evidence : []).forEach((quote) => {
+    const text = String(quote || "").trim().replace(/^["“”']+|["“”']+$/g, "");
+    if (!text) return;
+    evidence.push({ kind: "quote", label: text, context: "", section: null, index: null, ...offsets(locate(rawText, [text])) });
+  });
+
+  const attributes = [...matchedSkillIds].map((id) => {
+    const skill = getSkillById(id);
+    return { attribute: "skill", en: skill.en, ar: skill.ar };
+  });
+  const role = getRoleProfile(roleId) || inferTargetRole(cv)?.role || null;
+  const fieldMatched = Boolean(role && entry.fieldId && role.fields.includes(entry.fieldId));
+  if (fieldMatched) attributes.push({ attribute: "field", en: entry.fieldEn, ar: entry.fieldAr });
+  const levelFit = entry.level
+    ? levelFitDirection(entry.level, calculateTotalExperience(structured.experience || []))
+    : "unknown";
+  if (levelFit === "fits") attributes.push({ attribute: "level", en: entry.level, ar: entry.levelAr });
+
+  const parts = {
+    skills: Math.min(1, (matchedSkillIds.size + matchedFreeSkills.size) / MATCH_SKILLS_FOR_FULL_SCORE),
+    role: titleMatched || fieldMatched ? 1 : experienceMatched ? 0.6 : 0,
+    level: LEVEL_FIT_SCORES[levelFit],
+  };
+  const evidenceScore = Math.round(
+    100 * Object.entries(MATCH_SCORE_WEIGHTS).reduce((sum, [part, weight]) => sum + weight * parts[part], 0)
+  );
+  const modelConfidence = modelConfidenceOf(rec);
+
+  return {
+    score: modelConfidence === null ? evidenceScore : Math.round((evidenceScore + modelConfidence) / 2),
+    modelConfidence,
+    evidence,
+    attributes,
+  };
+}
+
+// Recommendations with `match` (explainRecommendation) attached
+export function explainRecommendations(recommendations, cv, options = {}) {
+  return (recommendations || []).map((rec) => ({ ...rec, match: explainRecommendation(rec, cv, options) }));
+}
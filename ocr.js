@@ -0,0 +1,118 @@
+// ocr.js
+// In-browser OCR for scanned CVs: PDF pages without a text layer and PNG/JPG
+// uploads are read by a Tesseract.js worker (WASM). The worker, its core and the
+// English and Arabic models are bundled in ./tesseract and ./tessdata, so OCR
+// needs no network. Also grades how well a CV's text was extracted so the
+// review modal can warn about doubtful results.
+
+import {
+  OCR_LANGUAGES,
+  OCR_MIN_PAGE_CHARS,
+  OCR_RENDER_SCALE,
+  OCR_LOW_CONFIDENCE,
+  OCR_MIN_TEXT_CHARS,
+} from "./constants.js";
+
+// Bundled files, resolved from this module so both the English and Arabic pages find them
+const LANG_PATH = new URL("./tessdata", import.meta.url).href;
+const WORKER_PATH = new URL("./tesseract/worker.min.js", import.meta.url).href;
+// Directory: Tesseract.js picks the SIMD or plain LSTM core for the browser
+const CORE_PATH = new URL("./tesseract/core", import.meta.url).href;
+
+// One worker for the session, created on first use
+let workerPromise = null;
+// Progress callback of the recognition in flight (the worker reports through a single logger)
+let activeProgress = null;
+
+export function isOcrAvailable() {
+  return Boolean(window.Tesseract?.createWorker);
+}
+
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = window.Tesseract.createWorker(OCR_LANGUAGES, 1, {
+      langPath: LANG_PATH,
+      workerPath: WORKER_PATH,
+      corePath: CORE_PATH,
+      logger: (message) => {
+        if (activeProgress && message.status === "recognizing text") activeProgress(message.progress);
+      },
+    }).catch((err) => {
+      // Let a later upload try again (e.g. once the models are in place)
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Reads the text in an image.
+ * @param {File|Blob|HTMLCanvasElement} image
+ * @param {object} [options]
+ * @param {(progress: number) => void} [options.onProgress] Called with 0-1 while recognising.
+ * @returns {Promise<{ text: string, confidence: number }>} confidence is 0-100.
+ */
+export async function recognizeImage(image, { onProgress } = {}) {
+  const worker = await getWorker();
+  activeProgress = onProgress || null;
+  try {
+    const { data } = await worker.recognize(image);
+    return { text: data.text || "", confidence: Math.round(data.confidence || 0) };
+  } finally {
+    activeProgress = null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Scanned PDF pages
+// ---------------------------------------------------------------------------
+
+// A page whose text layer is (nearly) empty is a scan
+export function isScannedPageText(text) {
+  return String(text || "").replace(/\s/g, "").length < OCR_MIN_PAGE_CHARS;
+}
+
+// Draws a PDF.js page onto a canvas for recognition
+export async function renderPdfPageToCanvas(page) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  return canvas;
+}
+
+// ---------------------------------------------------------------------------
+// Extraction quality
+// ---------------------------------------------------------------------------
+
+/**
+ * Grades a CV's extracted text.
+ * Returns { method: "text" | "ocr" | "mixed", pageCount, ocrPages, confidence, warning },
+ * where warning is null, "ocrUnavailable" (scanned pages could not be read),
+ * "lowConfidence" (OCR confidence below OCR_LOW_CONFIDENCE) or "littleText".
+ *
+ * @param {object} result
+ * @param {string} result.text
+ * @param {number} result.pageCount
+ * @param {number[]} result.ocrPages       Pages (1-based) read by OCR.
+ * @param {number[]} result.confidences    OCR confidence of each of those pages.
+ * @param {number[]} result.unreadPages    Scanned pages OCR could not read.
+ */
+export function assessExtraction({ text, pageCount = 1, ocrPages = [], confidences = [], unreadPages = [] }) {
+  const confidence = confidences.length > 0
+    ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length)
+    : null;
+  let warning = null;
+  if (unreadPages.length > 0) warning = "ocrUnavailable";
+  else if (confidence !== null && confidence < OCR_LOW_CONFIDENCE) warning = "lowConfidence";
+  else if (String(text || "").replace(/\s/g, "").length < OCR_MIN_TEXT_CHARS) warning = "littleText";
+  return {
+    method: ocrPages.length === 0 ? "text" : ocrPages.length >= pageCount ? "ocr" : "mixed",
+    pageCount,
+    ocrPages,
+    confidence,
+    warning,
+  };
+}
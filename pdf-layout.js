@@ -0,0 +1,366 @@
+// pdf-layout.js
+// Layout-aware PDF text: rebuilds lines, columns and reading order from the
+// positions of PDF.js text items instead of joining them with spaces, detects
+// section headings (by font size, weight or wording), and maps the CV's
+// sections to character ranges of the resulting text for the CV parser.
+//
+// A page is read row by row (items sharing a baseline), each row split into
+// fragments at wide horizontal gaps. Runs of rows with a common vertical gutter
+// (side-by-side columns or two-column skill lists) are read column by column;
+// Arabic rows and columns are read right to left.
+
+import { LAYOUT_BLOCK_GAP, LAYOUT_COLUMN_GAP, LAYOUT_HEADING_SCALE } from "./constants.js";
+import { parseDateRange } from "./date-ranges.js";
+
+// Section id -> heading words (English and Arabic), matched as whole words in a short line
+const SECTION_HEADINGS = {
+  summary: ["summary", "profile", "objective", "about me", "نبذة", "الملخص", "ملخص", "الهدف الوظيفي", "الملف الشخصي"],
+  experience: [
+    "experience", "work history", "employment", "career history", "professional background",
+    "الخبرة", "الخبرات", "الخبرة العملية", "الخبرات العملية", "الخبرة المهنية", "الخبرات المهنية", "السجل الوظيفي",
+  ],
+  education: ["education", "academic background", "التعليم", "المؤهلات العلمية", "المؤهل العلمي", "المؤهلات", "الدراسة"],
+  skills: [
+    "skills", "skill", "highlights", "competencies", "expertise", "qualifications", "strengths",
+    "المهارات", "مهارات", "الكفاءات", "نقاط القوة",
+  ],
+  certifications: [
+    "certifications", "certification", "certificates", "licenses", "courses", "training",
+    "الشهادات", "الشهادات المهنية", "الدورات", "الدورات التدريبية", "التدريب", "الرخص",
+  ],
+  languages: ["languages", "اللغات"],
+  projects: ["projects", "المشاريع"],
+  achievements: ["accomplishments", "achievements", "awards", "honors", "الإنجازات", "الجوائز"],
+  interests: ["interests", "hobbies", "الاهتمامات", "الهوايات"],
+};
+
+// Other words a heading may have ("Professional Experience", "Skills & Tools", "الخبرات العملية")
+const HEADING_QUALIFIERS = new Set([
+  "professional", "work", "working", "technical", "key", "core", "relevant", "additional", "career",
+  "personal", "academic", "other", "my", "top", "and", "of", "areas", "tools", "qualification", "summary",
+  "و", "العملية", "المهنية", "الشخصية", "التقنية", "الفنية", "الأكاديمية", "العلمية",
+]);
+
+// A section heading is at most this many words
+const HEADING_MAX_WORDS = 4;
+
+const ARABIC_CHAR = /[\u0600-\u06ff\u0750-\u077f\ufb50-\ufdff\ufe70-\ufeff]/g;
+const LATIN_CHAR = /[a-z]/gi;
+// Bullet glyphs, including the private-use ones Symbol/Wingdings fonts map to
+const BULLET = "[•·▪●◦‣➢►■□✓✔❖\\uf0a7\\uf0b7\\uf0d8\\uf076]";
+const LEADING_BULLET = new RegExp(`^(?:${BULLET}|[-–*])\\s*`);
+const INLINE_BULLET = new RegExp(`\\s+${BULLET}\\s+`, "g");
+
+// ---------------------------------------------------------------------------
+// Text clean-up
+// ---------------------------------------------------------------------------
+
+// Windows-1252 code points of the bytes 0x80-0x9f (the rest of Latin-1 maps to itself)
+const CP1252 = "€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ";
+
+// A UTF-8 lead byte followed by continuation bytes, as Windows-1252 characters
+const MOJIBAKE_RUN = new RegExp(`[\\u00c2-\\u00f4][\\u00a0-\\u00bf${CP1252}]+`, "g");
+
+// UTF-8 text that was decoded as Windows-1252 ("Â·", "â€“") turned back into the original characters
+export function repairMojibake(text) {
+  const repaired = String(text || "").replace(MOJIBAKE_RUN, (run) => {
+    const bytes = [...run].map((ch) => {
+      const index = CP1252.indexOf(ch);
+      return index === -1 ? ch.charCodeAt(0) : 0x80 + index;
+    });
+    try {
+      return new TextDecoder("utf-8", { fatal: true }).decode(new Uint8Array(bytes));
+    } catch {
+      return run;
+    }
+  });
+  // A lone "Â" is what is left of a non-breaking space
+  return repaired.replace(/Â(?=\s|$)/g, "");
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+function isRtlText(text) {
+  return countMatches(text, ARABIC_CHAR) > countMatches(text, LATIN_CHAR);
+}
+
+/**
+ * Section a line heads ("Work Experience" -> "experience", "المهارات:" -> "skills"),
+ * or null when the line is not a section heading.
+ */
+export function detectSectionHeading(line) {
+  const normalized = String(line || "")
+    .toLowerCase()
+    .replace(/[:：\-–—_|]+\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!normalized || /\d/.test(normalized) || /[.,;]$/.test(normalized)) return null;
+  if (normalized.split(" ").length > HEADING_MAX_WORDS) return null;
+  const padded = ` ${normalized.replace(/[&/،,+]/g, " ")} `;
+  // The section named first, provided the rest of the line only qualifies it
+  let found = null;
+  let rest = padded;
+  Object.entries(SECTION_HEADINGS).forEach(([section, words]) => {
+    words.forEach((word) => {
+      const at = padded.indexOf(` ${word} `);
+      if (at === -1) return;
+      if (!found || at < found.at) found = { section, at };
+      rest = rest.split(` ${word} `).join(" ");
+    });
+  });
+  if (!found) return null;
+  return rest.split(" ").every((word) => !word || HEADING_QUALIFIERS.has(word)) ? found.section : null;
+}
+
+// ---------------------------------------------------------------------------
+// Page layout
+// ---------------------------------------------------------------------------
+
+function toBox(item, styles) {
+  const [, , c, d, x, y] = item.transform;
+  const size = Math.hypot(c, d) || item.height || 0;
+  const fontFamily = styles[item.fontName]?.fontFamily || "";
+  return {
+    text: item.str,
+    x0: x,
+    x1: x + (item.width || 0),
+    y,
+    size,
+    bold: /bold|black|heavy/i.test(`${item.fontName} ${fontFamily}`),
+  };
+}
+
+// Most common font size, weighted by characters: the size of the body text
+function bodyFontSize(boxes) {
+  const weights = new Map();
+  boxes.forEach((box) => {
+    const size = Math.round(box.size * 2) / 2;
+    weights.set(size, (weights.get(size) || 0) + box.text.length);
+  });
+  let best = 0;
+  let bestWeight = -1;
+  weights.forEach((weight, size) => {
+    if (weight > bestWeight) [best, bestWeight] = [size, weight];
+  });
+  return best || 10;
+}
+
+// Items on one baseline, top of the page first
+function groupRows(boxes, body) {
+  const rows = [];
+  [...boxes]
+    .sort((a, b) => b.y - a.y || a.x0 - b.x0)
+    .forEach((box) => {
+      const row = rows[rows.length - 1];
+      if (row && Math.abs(row.y - box.y) <= body * 0.3) row.boxes.push(box);
+      else rows.push({ y: box.y, boxes: [box] });
+    });
+  return rows;
+}
+
+// Joins a run of items into text, adding a space where the gap between them shows one
+function joinBoxes(boxes, rtl, body) {
+  const ordered = [...boxes].sort((a, b) => (rtl ? b.x1 - a.x1 : a.x0 - b.x0));
+  let text = "";
+  ordered.forEach((box, i) => {
+    const previous = ordered[i - 1];
+    const gap = previous ? (rtl ? previous.x0 - box.x1 : box.x0 - previous.x1) : 0;
+    if (previous && gap > body * 0.2 && !/\s$/.test(text) && !/^\s/.test(box.text)) text += " ";
+    text += box.text;
+  });
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// Splits a row into fragments at horizontal gaps wider than a column gutter
+function rowFragments(row, body) {
+  const sorted = [...row.boxes].sort((a, b) => a.x0 - b.x0);
+  const groups = [];
+  sorted.forEach((box) => {
+    const group = groups[groups.length - 1];
+    if (group && box.x0 - group.x1 <= body * LAYOUT_COLUMN_GAP) {
+      group.boxes.push(box);
+      group.x1 = Math.max(group.x1, box.x1);
+    } else {
+      groups.push({ boxes: [box], x0: box.x0, x1: box.x1 });
+    }
+  });
+  return groups.map((group) => {
+    const rtl = isRtlText(group.boxes.map((b) => b.text).join(""));
+    return {
+      x0: group.x0,
+      x1: group.x1,
+      y: row.y,
+      size: Math.max(...group.boxes.map((b) => b.size)),
+      bold: group.boxes.every((b) => b.bold || !b.text.trim()),
+      text: joinBoxes(group.boxes, rtl, body),
+    };
+  });
+}
+
+// Vertical gutters ([from, to]) no fragment crosses, at least a column gap wide
+function findGutters(fragments, body) {
+  const spans = fragments.map((f) => [f.x0, f.x1]).sort((a, b) => a[0] - b[0]);
+  const gutters = [];
+  let reach = spans[0][1];
+  spans.slice(1).forEach(([x0, x1]) => {
+    if (x0 - reach > body * LAYOUT_COLUMN_GAP) gutters.push([reach, x0]);
+    reach = Math.max(reach, x1);
+  });
+  return gutters;
+}
+
+function isHeadingFragment(fragment, body) {
+  if (detectSectionHeading(fragment.text)) return true;
+  const words = fragment.text.split(/\s+/).length;
+  return words <= HEADING_MAX_WORDS + 2 && (fragment.size >= body * LAYOUT_HEADING_SCALE || fragment.bold);
+}
+
+// Fragments of a column band, assigned to the columns the gutters separate
+function splitColumns(fragments, gutters) {
+  const columns = gutters.map(() => []).concat([[]]);
+  fragments.forEach((fragment) => {
+    const index = gutters.findIndex(([from]) => fragment.x1 <= from);
+    columns[index === -1 ? gutters.length : index].push(fragment);
+  });
+  return columns;
+}
+
+// A date column beside job titles ("Engineer ...... 2019 - 2021") belongs to its rows, not a column of its own
+function isDateColumn(column) {
+  const dates = column.filter((f) => f.text.length <= 40 && parseDateRange(f.text) !== null);
+  return dates.length * 2 >= column.length;
+}
+
+function isColumnBand(columns) {
+  if (columns.some((column) => column.length < 2 || isDateColumn(column))) return false;
+  // Side-by-side columns share most of their height
+  const extents = columns.map((column) => [Math.min(...column.map((f) => f.y)), Math.max(...column.map((f) => f.y))]);
+  const shared = Math.min(...extents.map(([, top]) => top)) - Math.max(...extents.map(([bottom]) => bottom));
+  const shortest = Math.min(...extents.map(([bottom, top]) => top - bottom));
+  return shared >= shortest * 0.5;
+}
+
+/**
+ * Lines of one PDF page in reading order.
+ * @param {object[]} items  PDF.js getTextContent() items.
+ * @param {object} [styles] PDF.js getTextContent() styles (font families by font name).
+ * @returns {{ text: string, heading: boolean, breakBefore: boolean }[]}
+ *          breakBefore marks the start of a new block (a wide vertical gap).
+ */
+export function layoutPdfPage(items, styles = {}) {
+  const boxes = (items || [])
+    .filter((item) => item.str && item.transform)
+    .map((item) => toBox(item, styles))
+    .filter((box) => box.text.trim() || box.x1 > box.x0);
+  if (boxes.length === 0) return [];
+  const body = bodyFontSize(boxes.filter((box) => box.text.trim()));
+  const rows = groupRows(boxes, body)
+    .map((row) => ({ y: row.y, fragments: rowFragments(row, body).filter((f) => f.text) }))
+    .filter((row) => row.fragments.length > 0);
+
+  // Baseline distance of ordinary consecutive lines
+  const pitches = rows.slice(1).map((row, i) => rows[i].y - row.y).sort((a, b) => a - b);
+  const pitch = pitches[Math.floor(pitches.length / 2)] || body * 1.2;
+  const isBlockGap = (upper, lower) => upper.y - lower.y - pitch > body * LAYOUT_BLOCK_GAP;
+
+  const lines = [];
+  let previousY = null;
+  const emit = (fragment, heading = isHeadingFragment(fragment, body)) => {
+    const breakBefore = previousY !== null && previousY - fragment.y - pitch > body * LAYOUT_BLOCK_GAP;
+    lines.push({ text: fragment.text, heading, breakBefore });
+    previousY = fragment.y;
+  };
+
+  let i = 0;
+  while (i < rows.length) {
+    // Grow a band from this row while its fragments keep a common gutter
+    let end = i;
+    let gutters = findGutters(rows[i].fragments, body);
+    if (gutters.length === 0 && rows[i + 1] && !isBlockGap(rows[i], rows[i + 1])) {
+      end = i + 1;
+      gutters = findGutters([...rows[i].fragments, ...rows[i + 1].fragments], body);
+    }
+    while (gutters.length > 0 && rows[end + 1] && !isBlockGap(rows[end], rows[end + 1])) {
+      const next = rows[end + 1];
+      if (next.fragments.length === 1 && detectSectionHeading(next.fragments[0].text)) break;
+      const grown = findGutters(rows.slice(i, end + 2).flatMap((row) => row.fragments), body);
+      if (grown.length === 0) break;
+      gutters = grown;
+      end++;
+    }
+
+    const fragments = rows.slice(i, end + 1).flatMap((row) => row.fragments);
+    const columns = gutters.length > 0 ? splitColumns(fragments, gutters) : [];
+    if (columns.length > 1 && isColumnBand(columns)) {
+      const rtl = isRtlText(fragments.map((f) => f.text).join(" "));
+      (rtl ? [...columns].reverse() : columns).forEach((column) => column.forEach((f) => emit(f)));
+      i = end + 1;
+    } else {
+      // An ordinary row: its fragments side by side, read in the row's direction
+      const row = rows[i];
+      const rtl = isRtlText(row.fragments.map((f) => f.text).join(" "));
+      const ordered = rtl ? [...row.fragments].reverse() : row.fragments;
+      const text = ordered.map((f) => f.text).join("  ");
+      emit({ y: row.y, text }, ordered.length === 1 && isHeadingFragment(ordered[0], body));
+      i++;
+    }
+  }
+  return lines;
+}
+
+// Plain-text lines (OCR output, DOCX, TXT) in the same shape as layoutPdfPage
+export function linesFromText(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .map((line, i, all) => ({ text: line, heading: Boolean(detectSectionHeading(line)), breakBefore: i > 0 && !all[i - 1] }))
+    .filter((line) => line.text);
+}
+
+// ---------------------------------------------------------------------------
+// Assembling the text
+// ---------------------------------------------------------------------------
+
+// Bullets normalised to "- ", and inline "a · b · c" lists split into one bullet per line
+function cleanLine(text) {
+  const repaired = repairMojibake(text).replace(/[\u00a0\u200b]/g, " ").trim();
+  const parts = repaired.split(INLINE_BULLET);
+  return parts
+    .map((part, i) => {
+      const bare = part.replace(LEADING_BULLET, "");
+      return i > 0 || bare !== part ? `- ${bare.trim()}` : part.trim();
+    })
+    .filter((part) => part && part !== "-")
+    .join("\n");
+}
+
+/**
+ * Joins the lines of every page into the CV text, with a blank line before
+ * headings and new blocks, and maps the sections it found.
+ * @param {{ text: string, heading: boolean, breakBefore: boolean }[][]} pages
+ * @returns {{ text: string, sections: { section: string, heading: string, start: number, end: number }[] }}
+ *          start/end are offsets into text; a section runs to the next recognised heading.
+ */
+export function assembleLayoutText(pages) {
+  let text = "";
+  const sections = [];
+  pages.forEach((lines) => {
+    if (text && !text.endsWith("\n\n")) text += "\n";
+    lines.forEach((line, index) => {
+      const cleaned = cleanLine(line.text);
+      if (!cleaned) return;
+      if (index > 0 && (line.heading || line.breakBefore) && !text.endsWith("\n\n")) text += "\n";
+      const start = text.length;
+      text += `${cleaned}\n`;
+      const section = line.heading ? detectSectionHeading(cleaned) : null;
+      if (section) sections.push({ section, heading: cleaned, start, end: null });
+    });
+  });
+  text = text.trimEnd();
+  sections.forEach((entry, i) => {
+    entry.end = sections[i + 1]?.start ?? text.length;
+  });
+  return { text, sections };
+}
@@ -27,6 +27,10 @@ You can have free-form conversations about:
 - Training options and requirements
 - Questions about specific certifications
 - General career advice related to certifications
+
+When the context includes computed skill gaps for a candidate, base any skill-gap
+discussion on them (covered skills, missing skills and the certificates that close
+each gap) rather than guessing.
 `;
 
 export const ANALYSIS_SYSTEM_PROMPT = `
@@ -42,9 +46,21 @@ Your job is to:
 
 export const RULES_SYSTEM_PROMPT = `
 You are a business rules parser.
-You read natural-language rules from the user and convert them into a clean, structured list of rule sentences.
-Each rule should be returned as a single string in an array.
-Respond ONLY with a JSON array of strings, no extra text or formatting.
+You read natural-language rules from the user and convert each one into a structured rule that code can enforce.
+Respond ONLY with a JSON array, no extra text or formatting. Each element must be:
+
+{ "text": "the rule as a clean sentence", "type": "<rule type>", "params": { ... } }
+
+Allowed rule types and their params:
+- "exclude_entity": { "entities": ["issuing body name", ...] }
+- "exclude_field": { "fields": ["field name", ...] }
+- "levels_for_experience": { "levels": ["Foundation", "Associate", ...], "maxYears": 3 }  (below maxYears of experience, only these levels)
+- "max_per_candidate": { "max": 3 }
+- "unique_field": {}  (no two certifications in the same field)
+- "avoid_overlap": {}  (no overlapping certifications from the same body and field)
+- "prefer_field": { "fields": ["field name", ...] }
+- "foundational_first": {}  (foundational certifications before advanced ones)
+- "advisory": {}  (anything that cannot be expressed with the types above)
 `;
 
 export const CV_PARSER_SYSTEM_PROMPT = `
@@ -88,3 +104,22 @@ Rules:
 - Keep descriptions concise but complete
 - Do not invent or assume information
 `;
+
+export const JOB_DESCRIPTION_PARSER_SYSTEM_PROMPT = `
+You are a job description parser. Extract the hiring requirements from the job description text.
+Return ONLY a valid JSON object with this exact structure:
+
+{
+  "title": "Job title",
+  "requiredSkills": ["skill1", "skill2", "skill3"],
+  "minYearsExperience": 5,
+  "preferredCertifications": ["Certification name", "Certification name"]
+}
+
+Rules:
+- "requiredSkills" are the skills, tools and knowledge areas the role asks for, one per item, as short names
+- "minYearsExperience" is the minimum total years of experience asked for, as a number, or null if not stated
+- "preferredCertifications" are the certifications the description requires or prefers, with their names as written
+- Extract ONLY information explicitly stated in the job description
+- Do not invent or assume information
+`;
@@ -0,0 +1,225 @@
+// recommendation-feedback.js
+// Reviewer feedback on recommendations: accept, reject (with a reason) or pin a
+// certificate for a candidate. Feedback is kept in the workspace per CV id and
+// applied to the next analysis (rejected certificates are excluded, pinned ones
+// kept), and is aggregated per certificate so catalog owners can see what keeps
+// getting rejected.
+
+import { FEEDBACK_SUMMARY_TOP } from "./constants.js";
+import { getCertificateById, toCatalogRef } from "./storage-catalog.js";
+
+export const FEEDBACK_STATUSES = ["accepted", "rejected", "pinned"];
+
+const FEEDBACK_TEXT = {
+  en: {
+    empty: "No feedback yet. Accept, reject or pin recommendations to see it here.",
+    accepted: "accepted",
+    rejected: "rejected",
+    pinned: "pinned",
+    candidates: (n) => `${n} candidate${n === 1 ? "" : "s"}`,
+    reasons: "Reasons",
+    noReason: "no reason given",
+    pinnedReason: "Pinned by the reviewer.",
+  },
+  ar: {
+    empty: "لا توجد ملاحظات بعد. اقبل التوصيات أو ارفضها أو ثبتها لتظهر هنا.",
+    accepted: "مقبولة",
+    rejected: "مرفوضة",
+    pinned: "مثبتة",
+    candidates: (n) => `${n} مرشح`,
+    reasons: "الأسباب",
+    noReason: "بدون سبب",
+    pinnedReason: "ثبتها المراجع.",
+  },
+};
+
+function isArabic() {
+  return document.documentElement.lang === "ar";
+}
+
+function text(key, lang = isArabic() ? "ar" : "en") {
+  return FEEDBACK_TEXT[lang][key] ?? FEEDBACK_TEXT.en[key];
+}
+
+// ---------------------------------------------------------------------------
+// Feedback map (workspace `feedback`):
+// { [cvId]: { [certId]: { status, reason, certName, updatedAt } } }
+// ---------------------------------------------------------------------------
+
+/**
+ * The feedback map with feedback on one recommendation recorded; a null status
+ * clears it. `all` is not modified.
+ * @param {object} all   Feedback map.
+ * @param {string} cvId
+ * @param {{ certId: string, certName?: string }} rec
+ * @param {"accepted" | "rejected" | "pinned" | null} status
+ * @param {string} [reason] Why it was rejected.
+ */
+export function withRecommendationFeedback(all, cvId, rec, status, reason = "") {
+  const next = { ...(all || {}) };
+  const candidate = { ...(next[cvId] || {}) };
+  if (FEEDBACK_STATUSES.includes(status)) {
+    candidate[rec.certId] = {
+      status,
+      reason: status === "rejected" ? String(reason || "").trim() : "",
+      certName: rec.certName || getCertificateById(rec.certId)?.name || rec.certId,
+      updatedAt: new Date().toISOString(),
+    };
+  } else {
+    delete candidate[rec.certId];
+  }
+  if (Object.keys(candidate).length > 0) next[cvId] = candidate;
+  else delete next[cvId];
+  return next;
+}
+
+// The feedback map without a CV's feedback (the CV was removed). `all` is not modified.
+export function withoutCandidateFeedback(all, cvId) {
+  const next = { ...(all || {}) };
+  delete next[cvId];
+  return next;
+}
+
+// ---------------------------------------------------------------------------
+// Applying feedback to an analysis
+// ---------------------------------------------------------------------------
+
+// Prompt lines telling the model what the reviewer rejected and pinned ("" without feedback)
+export function describeFeedbackForPrompt(feedback) {
+  const entries = Object.entries(feedback || {});
+  const rejected = entries.filter(([, f]) => f.status === "rejected");
+  const kept = entries.filter(([, f]) => f.status === "pinned" || f.status === "accepted");
+  return [
+    ...rejected.map(([certId, f]) => `- Do NOT recommend [${certId}] ${f.certName}${f.reason ? ` (rejected: ${f.reason})` : ""}.`),
+    ...kept.map(([certId, f]) => `- Keep recommending [${certId}] ${f.certName} (${f.status} by the reviewer).`),
+  ].join("\n");
+}
+
+/**
+ * Recommendations with the reviewer's feedback applied: rejected certificates
+ * are removed, pinned ones are kept (added back when the model dropped them).
+ * Returns { recommendations, removedByFeedback: [{ ...rec, feedbackReason }] }.
+ */
+export function applyCandidateFeedback(recommendations, feedback, language = "en") {
+  const byId = feedback || {};
+  const kept = [];
+  const removedByFeedback = [];
+  (recommendations || []).forEach((rec) => {
+    const entry = byId[rec.certId];
+    if (entry?.status === "rejected") removedByFeedback.push({ ...rec, feedbackReason: entry.reason });
+    else kept.push(entry?.status === "pinned" ? { ...rec, pinned: true } : rec);
+  });
+
+  const present = new Set(kept.map((rec) => rec.certId));
+  Object.entries(byId).forEach(([certId, entry]) => {
+    if (entry.status !== "pinned" || present.has(certId)) return;
+    const cert = getCertificateById(certId);
+    // A pin on a certificate no longer in the catalog cannot be shown
+    if (!cert) return;
+    kept.push({
+      certId,
+      certName: cert.name,
+      reason: text("pinnedReason", language),
+      rulesApplied: [],
+      pinned: true,
+      catalog: toCatalogRef(cert),
+    });
+  });
+  return { recommendations: kept, removedByFeedback };
+}
+
+// Recommendations with `feedback` ({ status, reason } or null) attached, for display
+export function withFeedback(recommendations, feedback) {
+  return (recommendations || []).map((rec) => {
+    const entry = (feedback || {})[rec.certId];
+    return { ...rec, feedback: entry ? { status: entry.status, reason: entry.reason } : null };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Aggregated feedback
+// ---------------------------------------------------------------------------
+
+/**
+ * Feedback per certificate across all candidates, most rejected first:
+ * [{ certId, certName, accepted, rejected, pinned, candidates, reasons: [{ reason, count }] }]
+ */
+export function summarizeFeedback(all) {
+  const byCert = new Map();
+  Object.values(all || {}).forEach((candidate) => {
+    Object.entries(candidate).forEach(([certId, entry]) => {
+      if (!byCert.has(certId)) {
+        byCert.set(certId, { certId, certName: entry.certName, accepted: 0, rejected: 0, pinned: 0, candidates: 0, reasons: new Map() });
+      }
+      const row = byCert.get(certId);
+      row.candidates++;
+      if (FEEDBACK_STATUSES.includes(entry.status)) row[entry.status]++;
+      if (entry.status === "rejected") {
+        const reason = entry.reason || "";
+        row.reasons.set(reason, (row.reasons.get(reason) || 0) + 1);
+      }
+    });
+  });
+  return [...byCert.values()]
+    .map((row) => ({
+      ...row,
+      reasons: [...row.reasons.entries()]
+        .map(([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count),
+    }))
+    .sort((a, b) => b.rejected - a.rejected || b.candidates - a.candidates || a.certName.localeCompare(b.certName));
+}
+
+function certificateLabel(row) {
+  const entry = getCertificateById(row.certId);
+  return isArabic() && entry?.nameAr ? entry.nameAr : entry?.name || row.certName;
+}
+
+/**
+ * Renders the aggregated feedback map `all` into #feedback-summary: per
+ * certificate, how often it was accepted, rejected and pinned, and the rejection reasons.
+ */
+export function renderFeedbackSummary(all) {
+  const container = document.getElementById("feedback-summary");
+  if (!container) return;
+  container.innerHTML = "";
+  const rows = summarizeFeedback(all).slice(0, FEEDBACK_SUMMARY_TOP);
+  if (rows.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "muted";
+    empty.textContent = text("empty");
+    container.appendChild(empty);
+    return;
+  }
+
+  const list = document.createElement("ul");
+  list.className = "feedback-summary-list";
+  rows.forEach((row) => {
+    const item = document.createElement("li");
+    item.className = `feedback-summary-row${row.rejected > row.accepted + row.pinned ? " mostly-rejected" : ""}`;
+
+    const name = document.createElement("div");
+    name.className = "feedback-summary-name";
+    name.textContent = certificateLabel(row);
+    item.appendChild(name);
+
+    const counts = document.createElement("div");
+    counts.className = "feedback-summary-counts";
+    counts.textContent = [
+      ...FEEDBACK_STATUSES.filter((status) => row[status] > 0).map((status) => `${row[status]} ${text(status)}`),
+      text("candidates")(row.candidates),
+    ].join(" · ");
+    item.appendChild(counts);
+
+    if (row.reasons.length > 0) {
+      const reasons = document.createElement("div");
+      reasons.className = "muted feedback-summary-reasons";
+      reasons.textContent = `${text("reasons")}: ${row.reasons
+        .map(({ reason, count }) => `${reason || text("noReason")}${count > 1 ? ` ×${count}` : ""}`)
+        .join("; ")}`;
+      item.appendChild(reasons);
+    }
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
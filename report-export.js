@@ -0,0 +1,336 @@
+// report-export.js
+// Exports the recommendation results: a per-candidate PDF report (html2pdf.js, so Arabic
+// is shaped and laid out right-to-left by the browser), an XLSX/CSV sheet with one row per
+// candidate × certificate, and a JSON file with the full structured result.
+
+import { calculateTotalExperience, getRecommendationCatalogRef } from "./storage-catalog.js";
+import { buildLearningPath } from "./certificate-progression.js";
+import { candidateDisplayName, estimateTrainingHours } from "./cohort-dashboard.js";
+
+const EXPORT_TEXT = {
+  en: {
+    reportTitle: "Certification recommendations",
+    generated: "Generated",
+    candidate: "Candidate",
+    cvFile: "CV file",
+    experience: "Experience",
+    years: (n) => `${n} years`,
+    targetRole: "Target role",
+    learningPath: "Learning path",
+    missingSkills: "Missing skills",
+    noRecommendations: "No recommendations for this candidate.",
+    held: "held",
+  },
+  ar: {
+    reportTitle: "توصيات الشهادات",
+    generated: "تاريخ الإنشاء",
+    candidate: "المرشح",
+    cvFile: "ملف السيرة الذاتية",
+    experience: "الخبرة",
+    years: (n) => `${n} سنة`,
+    targetRole: "الدور المستهدف",
+    learningPath: "المسار التعليمي",
+    missingSkills: "المهارات الناقصة",
+    noRecommendations: "لا توجد توصيات لهذا المرشح.",
+    held: "محققة",
+  },
+};
+
+// Sheet columns: key -> header per language
+const SHEET_COLUMNS = [
+  ["candidate", "Candidate", "المرشح"],
+  ["cvFile", "CV file", "ملف السيرة الذاتية"],
+  ["years", "Years of experience", "سنوات الخبرة"],
+  ["step", "Path step", "ترتيب المسار"],
+  ["certId", "Certificate ID", "معرف الشهادة"],
+  ["certName", "Certificate", "الشهادة"],
+  ["certNameAr", "Certificate (Arabic)", "الشهادة (بالعربية)"],
+  ["level", "Level", "المستوى"],
+  ["entity", "Entity", "الجهة"],
+  ["field", "Field", "المجال"],
+  ["hours", "Estimated hours", "الساعات التقديرية"],
+  ["matchScore", "Match score", "درجة التطابق"],
+  ["source", "Source", "المصدر"],
+  ["feedback", "Reviewer feedback", "رأي المراجع"],
+  ["reason", "Reason", "السبب"],
+];
+
+const SOURCE_LABELS = {
+  ai: { en: "AI", ar: "الذكاء الاصطناعي" },
+  baseline: { en: "Offline baseline", ar: "المحرك الأساسي المحلي" },
+  pinned: { en: "Pinned", ar: "مثبتة" },
+};
+
+const FEEDBACK_LABELS = {
+  accepted: { en: "Accepted", ar: "مقبولة" },
+  rejected: { en: "Rejected", ar: "مرفوضة" },
+  pinned: { en: "Pinned", ar: "مثبتة" },
+};
+
+function pick(language, en, ar) {
+  return language === "ar" ? ar || en : en || ar;
+}
+
+// ---------------------------------------------------------------------------
+// Sheet rows (XLSX / CSV)
+// ---------------------------------------------------------------------------
+
+/**
+ * One row per candidate × recommended certificate, keyed by the column headers of
+ * `language`. Candidates without recommendations get a single row without a certificate.
+ */
+export function buildExportRows(candidates, cvs = [], language = "en") {
+  const rows = [];
+  (candidates || []).forEach((candidate) => {
+    const cv = cvs.find((c) => c.id === candidate.cvId);
+    const years = cv ? calculateTotalExperience(cv.experience) : "";
+    const path = candidate.learningPath || buildLearningPath(candidate.recommendations, candidate.heldCertIds);
+    const pathSteps = path.steps.filter((step) => !step.held).map((step) => step.certId);
+    const base = {
+      candidate: candidateDisplayName(candidate),
+      cvFile: candidate.cvName || "",
+      years,
+    };
+    const recommendations = candidate.recommendations || [];
+    if (recommendations.length === 0) rows.push(base);
+    recommendations.forEach((rec) => {
+      const entry = getRecommendationCatalogRef(rec);
+      const source = rec.pinned
+        ? "pinned"
+        : rec.source === "baseline" || candidate.source === "baseline"
+          ? "baseline"
+          : "ai";
+      const step = pathSteps.indexOf(rec.certId);
+      rows.push({
+        ...base,
+        step: step >= 0 ? step + 1 : "",
+        certId: rec.certId || "",
+        certName: entry.name || rec.certName || "",
+        certNameAr: entry.nameAr || "",
+        level: pick(language, entry.level, entry.levelAr),
+        entity: pick(language, entry.entity, entry.entityAr),
+        field: pick(language, entry.fieldEn, entry.fieldAr),
+        hours: estimateTrainingHours(rec),
+        matchScore: rec.match ? rec.match.score : "",
+        source: SOURCE_LABELS[source][language === "ar" ? "ar" : "en"],
+        feedback: rec.feedback
+          ? `${FEEDBACK_LABELS[rec.feedback.status][language === "ar" ? "ar" : "en"]}${
+              rec.feedback.reason ? `: ${rec.feedback.reason}` : ""
+            }`
+          : "",
+        reason: rec.reason || "",
+      });
+    });
+  });
+
+  const headerIndex = language === "ar" ? 2 : 1;
+  return rows.map((row) =>
+    Object.fromEntries(SHEET_COLUMNS.map((column) => [column[headerIndex], row[column[0]] ?? ""]))
+  );
+}
+
+// Text from CVs, rules and the model can start with a formula character (after
+// optional whitespace) or a tab/CR; a leading ' makes spreadsheet apps opening the
+// CSV show it as text instead of evaluating it. The XLSX export needs no guard:
+// json_to_sheet writes strings as plain text cells, never as formulas.
+function csvText(value) {
+  return typeof value === "string" && /^[\t\r]|^\s*[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+  const text = String(csvText(value) ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with a UTF-8 BOM so Excel shows Arabic correctly
+export function buildCsv(rows) {
+  if (rows.length === 0) return "\uFEFF";
+  const headers = Object.keys(rows[0]);
+  const lines = [headers, ...rows.map((row) => headers.map((h) => row[h]))].map((cells) =>
+    cells.map(csvCell).join(",")
+  );
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+// ---------------------------------------------------------------------------
+// Downloads
+// ---------------------------------------------------------------------------
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function fileStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// File-name-safe version of a CV name
+function fileSlug(text) {
+  return String(text || "candidate")
+    .replace(/\.[a-z0-9]+$/i, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "candidate";
+}
+
+export function exportRecommendationsCsv(candidates, cvs, language = "en") {
+  const csv = buildCsv(buildExportRows(candidates, cvs, language));
+  downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `skillmatch-recommendations-${fileStamp()}.csv`);
+}
+
+// Writes the sheet with SheetJS (loaded from the CDN as window.XLSX)
+export function exportRecommendationsXlsx(candidates, cvs, language = "en") {
+  if (typeof XLSX === "undefined") {
+    throw new Error("The spreadsheet library (SheetJS) is not loaded.");
+  }
+  const sheet = XLSX.utils.json_to_sheet(buildExportRows(candidates, cvs, language));
+  if (language === "ar") sheet["!views"] = [{ RTL: true }];
+  const workbook = XLSX.utils.book_new();
+  if (language === "ar") workbook.Workbook = { Views: [{ RTL: true }] };
+  XLSX.utils.book_append_sheet(workbook, sheet, language === "ar" ? "التوصيات" : "Recommendations");
+  XLSX.writeFile(workbook, `skillmatch-recommendations-${fileStamp()}.xlsx`);
+}
+
+// The full structured result, as kept in localStorage, plus export metadata
+export function exportRecommendationsJson(candidates, language = "en") {
+  const payload = {
+    format: "skillmatch-recommendations",
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    language,
+    candidates: candidates || [],
+  };
+  downloadBlob(
+    new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" }),
+    `skillmatch-recommendations-${fileStamp()}.json`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// PDF report
+// ---------------------------------------------------------------------------
+function el(tag, className, textContent) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (textContent !== undefined) node.textContent = textContent;
+  return node;
+}
+
+// One report page for a candidate
+function buildCandidateReport(candidate, cv, language) {
+  const t = EXPORT_TEXT[language === "ar" ? "ar" : "en"];
+  const page = el("section", "pdf-report-candidate");
+  page.appendChild(el("h1", "pdf-report-title", t.reportTitle));
+  page.appendChild(el("div", "pdf-report-meta", `${t.generated}: ${new Date().toLocaleDateString(language === "ar" ? "ar" : "en-GB")}`));
+
+  const facts = el("dl", "pdf-report-facts");
+  const addFact = (term, value) => {
+    if (!value && value !== 0) return;
+    facts.appendChild(el("dt", "", term));
+    facts.appendChild(el("dd", "", String(value)));
+  };
+  addFact(t.candidate, candidateDisplayName(candidate));
+  addFact(t.cvFile, candidate.cvName);
+  if (cv) addFact(t.experience, t.years(calculateTotalExperience(cv.experience)));
+  const role = candidate.skillGap?.role;
+  if (role) addFact(t.targetRole, pick(language, role.en, role.ar));
+  page.appendChild(facts);
+
+  const recommendations = candidate.recommendations || [];
+  if (recommendations.length === 0) {
+    page.appendChild(el("p", "pdf-report-empty", t.noRecommendations));
+    return page;
+  }
+
+  const path = candidate.learningPath || buildLearningPath(recommendations, candidate.heldCertIds);
+  if (path.steps.length > 0) {
+    page.appendChild(el("h2", "", t.learningPath));
+    const steps = el("ol", "pdf-report-path");
+    path.steps.forEach((step) => {
+      const entry = getRecommendationCatalogRef({ certId: step.certId });
+      const name = pick(language, entry.name || step.certName, entry.nameAr);
+      steps.appendChild(el("li", step.held ? "held" : "", step.held ? `${name} (${t.held})` : name));
+    });
+    page.appendChild(steps);
+  }
+
+  const table = el("table", "pdf-report-table");
+  const rows = buildExportRows([candidate], cv ? [cv] : [], language);
+  const columns = ["certName", "level", "entity", "field", "reason"];
+  const headerIndex = language === "ar" ? 2 : 1;
+  const headers = columns.map((key) => SHEET_COLUMNS.find((c) => c[0] === key)[headerIndex]);
+  const head = el("tr");
+  headers.forEach((h) => head.appendChild(el("th", "", h)));
+  table.appendChild(el("thead")).appendChild(head);
+  const body = el("tbody");
+  const certHeader = headers[0];
+  const certArHeader = SHEET_COLUMNS.find((c) => c[0] === "certNameAr")[headerIndex];
+  rows.forEach((row) => {
+    const tr = el("tr");
+    headers.forEach((h) => {
+      const td = el("td", "", row[h]);
+      // Both names, the page language first
+      if (h === certHeader && row[certArHeader] && row[certArHeader] !== row[certHeader]) {
+        const [first, second] = language === "ar" ? [row[certArHeader], row[certHeader]] : [row[certHeader], row[certArHeader]];
+        td.textContent = first;
+        td.appendChild(el("div", "pdf-report-alt", second));
+      }
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+  page.appendChild(table);
+
+  const missing = candidate.skillGap?.missing || [];
+  if (missing.length > 0) {
+    page.appendChild(el("h2", "", t.missingSkills));
+    page.appendChild(
+      el("p", "", missing.map((skill) => pick(language, skill.en, skill.ar)).join(language === "ar" ? "، " : ", "))
+    );
+  }
+  return page;
+}
+
+/**
+ * Saves a PDF with one page per candidate (a single candidate gives a single-candidate report).
+ * Uses html2pdf.js (loaded from the CDN as window.html2pdf); Arabic reports are laid out RTL.
+ */
+export async function exportRecommendationsPdf(candidates, cvs, language = "en") {
+  if (typeof html2pdf === "undefined") {
+    throw new Error("The PDF library (html2pdf.js) is not loaded.");
+  }
+  const report = el("div", "pdf-report");
+  report.dir = language === "ar" ? "rtl" : "ltr";
+  report.lang = language;
+  (candidates || []).forEach((candidate) => {
+    const cv = (cvs || []).find((c) => c.id === candidate.cvId);
+    report.appendChild(buildCandidateReport(candidate, cv, language));
+  });
+
+  const fileName =
+    candidates.length === 1
+      ? `skillmatch-${fileSlug(candidates[0].cvName)}-report.pdf`
+      : `skillmatch-recommendations-${fileStamp()}.pdf`;
+  await html2pdf()
+    .set({
+      margin: 12,
+      filename: fileName,
+      image: { type: "jpeg", quality: 0.95 },
+      html2canvas: { scale: 2 },
+      jsPDF: { unit: "mm", format: "a4", orientation: "portrait" },
+      pagebreak: {
+        mode: ["css"],
+        before: ".pdf-report-candidate + .pdf-report-candidate",
+        avoid: ["tr", "li"],
+      },
+    })
+    .from(report)
+    .save();
+}
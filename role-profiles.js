@@ -0,0 +1,256 @@
+// role-profiles.js
+// Role-to-skill profile library used by the skill-gap analysis.
+//
+// Each role has EN/AR labels, the job titles it is recognised from, the catalog
+// fields (catalog-vocabulary.js FIELDS ids) its certificates usually sit in, and
+// the skills it expects. A skill is covered when any of its keywords (English or
+// Arabic phrases) appears in the CV.
+
+import { tokenizeForRetrieval } from "./catalog-retrieval.js";
+
+export const ROLE_PROFILES = Object.freeze([
+  {
+    id: "network_engineer",
+    en: "Network Engineer",
+    ar: "مهندس شبكات",
+    titles: ["network engineer", "network administrator", "network technician", "infrastructure engineer", "noc engineer", "مهندس شبكات", "مسؤول شبكات", "فني شبكات"],
+    fields: ["networks_it", "cyber_security_cloud"],
+    skills: [
+      { id: "routing_switching", en: "Routing and switching", ar: "التوجيه والتبديل", keywords: ["routing", "switching", "router", "switch", "bgp", "ospf", "eigrp", "توجيه"] },
+      { id: "ip_networking", en: "TCP/IP networking", ar: "بروتوكولات الشبكات", keywords: ["tcp/ip", "subnetting", "dns", "dhcp", "lan", "wan", "vlan", "ip addressing"] },
+      { id: "network_security", en: "Network security", ar: "أمن الشبكات", keywords: ["firewall", "vpn", "network security", "ids", "ips", "جدار ناري", "أمن الشبكات"] },
+      { id: "wireless", en: "Wireless networking", ar: "الشبكات اللاسلكية", keywords: ["wireless", "wifi", "wi-fi", "wlan", "لاسلكية"] },
+      { id: "network_troubleshooting", en: "Network monitoring and troubleshooting", ar: "مراقبة الشبكات وحل المشكلات", keywords: ["troubleshooting", "network monitoring", "wireshark", "snmp", "استكشاف الأخطاء"] },
+      { id: "cloud_networking", en: "Cloud networking", ar: "شبكات الحوسبة السحابية", keywords: ["aws", "azure", "vpc", "cloud networking", "سحابية"] },
+    ],
+  },
+  {
+    id: "cybersecurity_analyst",
+    en: "Cybersecurity Analyst",
+    ar: "محلل أمن سيبراني",
+    titles: ["security analyst", "cybersecurity analyst", "cyber security analyst", "soc analyst", "security engineer", "information security", "security specialist", "محلل أمن", "أمن سيبراني", "أمن المعلومات"],
+    fields: ["cyber_security_cloud", "networks_it"],
+    skills: [
+      { id: "threat_monitoring", en: "Threat monitoring (SIEM / SOC)", ar: "رصد التهديدات", keywords: ["siem", "splunk", "qradar", "soc", "threat detection", "threat hunting", "التهديدات"] },
+      { id: "incident_response", en: "Incident response", ar: "الاستجابة للحوادث", keywords: ["incident response", "incident handling", "forensics", "الاستجابة للحوادث"] },
+      { id: "vulnerability_management", en: "Vulnerability management and penetration testing", ar: "إدارة الثغرات واختبار الاختراق", keywords: ["vulnerability", "penetration testing", "pentest", "nessus", "ethical hacking", "ثغرات", "اختبار الاختراق"] },
+      { id: "security_governance", en: "Security governance and compliance", ar: "حوكمة الأمن والامتثال", keywords: ["iso 27001", "nist", "grc", "compliance", "security policy", "حوكمة", "امتثال"] },
+      { id: "network_security", en: "Network security", ar: "أمن الشبكات", keywords: ["firewall", "vpn", "network security", "ids", "ips", "جدار ناري"] },
+      { id: "identity_access", en: "Identity and access management", ar: "إدارة الهوية والصلاحيات", keywords: ["iam", "identity management", "access control", "active directory", "صلاحيات"] },
+    ],
+  },
+  {
+    id: "cloud_engineer",
+    en: "Cloud / DevOps Engineer",
+    ar: "مهندس حوسبة سحابية / DevOps",
+    titles: ["cloud engineer", "cloud architect", "devops engineer", "devops", "site reliability engineer", "sre", "platform engineer", "مهندس سحابي", "مهندس حوسبة سحابية"],
+    fields: ["cyber_security_cloud", "networks_it"],
+    skills: [
+      { id: "cloud_platforms", en: "Cloud platforms", ar: "المنصات السحابية", keywords: ["aws", "azure", "gcp", "google cloud", "cloud computing", "الحوسبة السحابية"] },
+      { id: "infrastructure_as_code", en: "Infrastructure as code", ar: "البنية التحتية كرمز", keywords: ["terraform", "ansible", "cloudformation", "infrastructure as code", "iac"] },
+      { id: "containers", en: "Containers and orchestration", ar: "الحاويات", keywords: ["docker", "kubernetes", "containers", "openshift", "حاويات"] },
+      { id: "ci_cd", en: "CI/CD pipelines", ar: "التكامل والنشر المستمر", keywords: ["ci/cd", "jenkins", "gitlab", "github actions", "pipeline", "continuous integration"] },
+      { id: "linux", en: "Linux administration", ar: "إدارة أنظمة لينكس", keywords: ["linux", "bash", "shell scripting", "red hat", "ubuntu", "لينكس"] },
+      { id: "monitoring", en: "Monitoring and observability", ar: "المراقبة", keywords: ["monitoring", "prometheus", "grafana", "observability", "cloudwatch"] },
+    ],
+  },
+  {
+    id: "software_developer",
+    en: "Software Developer",
+    ar: "مطور برمجيات",
+    titles: ["software developer", "software engineer", "web developer", "programmer", "full stack", "backend developer", "frontend developer", "mobile developer", "مطور برمجيات", "مبرمج", "مهندس برمجيات", "مطور"],
+    fields: ["networks_it"],
+    skills: [
+      { id: "programming", en: "Programming languages", ar: "لغات البرمجة", keywords: ["javascript", "python", "java", "c#", "typescript", "php", "programming", "برمجة"] },
+      { id: "web_development", en: "Web development", ar: "تطوير الويب", keywords: ["html", "css", "react", "angular", "vue", "web development", "تطوير المواقع"] },
+      { id: "databases", en: "Databases and SQL", ar: "قواعد البيانات", keywords: ["sql", "database", "mysql", "postgresql", "mongodb", "قواعد البيانات"] },
+      { id: "version_control", en: "Version control", ar: "إدارة الإصدارات", keywords: ["git", "github", "gitlab", "version control"] },
+      { id: "software_testing", en: "Software testing", ar: "اختبار البرمجيات", keywords: ["unit testing", "testing", "test automation", "qa", "اختبار"] },
+      { id: "agile_delivery", en: "Agile delivery", ar: "منهجيات أجايل", keywords: ["agile", "scrum", "kanban", "أجايل"] },
+    ],
+  },
+  {
+    id: "data_analyst",
+    en: "Data Analyst",
+    ar: "محلل بيانات",
+    titles: ["data analyst", "business intelligence", "bi developer", "bi analyst", "data scientist", "analytics specialist", "reporting analyst", "محلل بيانات", "علم البيانات"],
+    fields: ["networks_it", "business_project_administration"],
+    skills: [
+      { id: "sql", en: "SQL and querying", ar: "لغة الاستعلام SQL", keywords: ["sql", "query", "database", "قواعد البيانات"] },
+      { id: "data_visualization", en: "Data visualization", ar: "عرض البيانات بصرياً", keywords: ["power bi", "tableau", "visualization", "dashboard", "لوحات المعلومات"] },
+      { id: "statistics", en: "Statistics", ar: "الإحصاء", keywords: ["statistics", "statistical", "regression", "hypothesis testing", "إحصاء"] },
+      { id: "data_programming", en: "Python for data", ar: "بايثون لتحليل البيانات", keywords: ["python", "pandas", "numpy", "jupyter", "بايثون"] },
+      { id: "spreadsheets", en: "Spreadsheets", ar: "الجداول الحسابية", keywords: ["excel", "spreadsheet", "pivot table", "إكسل"] },
+      { id: "data_management", en: "Data quality and governance", ar: "جودة البيانات وحوكمتها", keywords: ["data quality", "data governance", "master data", "etl", "data warehouse"] },
+    ],
+  },
+  {
+    id: "project_manager",
+    en: "Project Manager",
+    ar: "مدير مشاريع",
+    titles: ["project manager", "program manager", "programme manager", "project coordinator", "project lead", "pmo", "مدير مشروع", "مدير مشاريع", "منسق مشاريع", "مدير برامج"],
+    fields: ["business_project_administration"],
+    skills: [
+      { id: "project_planning", en: "Planning and scheduling", ar: "التخطيط والجدولة", keywords: ["project planning", "scheduling", "ms project", "primavera", "work breakdown", "تخطيط", "جدولة"] },
+      { id: "risk_management", en: "Risk management", ar: "إدارة المخاطر", keywords: ["risk management", "risk register", "risk", "مخاطر"] },
+      { id: "stakeholder_management", en: "Stakeholder management", ar: "إدارة أصحاب المصلحة", keywords: ["stakeholder", "client management", "أصحاب المصلحة"] },
+      { id: "budget_control", en: "Budget and cost control", ar: "الميزانية وضبط التكاليف", keywords: ["budget", "cost control", "cost management", "ميزانية", "تكاليف"] },
+      { id: "agile_delivery", en: "Agile delivery", ar: "منهجيات أجايل", keywords: ["agile", "scrum", "kanban", "أجايل"] },
+      { id: "team_leadership", en: "Team leadership", ar: "قيادة الفرق", keywords: ["team leadership", "leadership", "led a team", "managed a team", "قيادة"] },
+    ],
+  },
+  {
+    id: "business_analyst",
+    en: "Business Analyst",
+    ar: "محلل أعمال",
+    titles: ["business analyst", "process analyst", "systems analyst", "business process", "محلل أعمال", "محلل نظم"],
+    fields: ["business_project_administration"],
+    skills: [
+      { id: "requirements", en: "Requirements elicitation", ar: "جمع المتطلبات", keywords: ["requirements", "elicitation", "user stories", "use cases", "متطلبات"] },
+      { id: "process_modelling", en: "Process modelling and improvement", ar: "نمذجة العمليات وتحسينها", keywords: ["bpmn", "process modeling", "process modelling", "process improvement", "تحسين العمليات"] },
+      { id: "data_analysis", en: "Data analysis", ar: "تحليل البيانات", keywords: ["data analysis", "excel", "sql", "تحليل البيانات"] },
+      { id: "stakeholder_management", en: "Stakeholder management", ar: "إدارة أصحاب المصلحة", keywords: ["stakeholder", "workshop", "أصحاب المصلحة"] },
+      { id: "documentation", en: "Functional documentation", ar: "التوثيق الوظيفي", keywords: ["documentation", "specification", "brd", "frd", "توثيق"] },
+    ],
+  },
+  {
+    id: "hr_specialist",
+    en: "HR Specialist",
+    ar: "أخصائي موارد بشرية",
+    titles: ["hr specialist", "human resources", "hr officer", "hr manager", "hr generalist", "hr business partner", "recruiter", "talent acquisition", "personnel officer", "موارد بشرية", "أخصائي موارد", "شؤون الموظفين", "توظيف"],
+    fields: ["human_resources_development"],
+    skills: [
+      { id: "recruitment", en: "Recruitment and selection", ar: "التوظيف والاستقطاب", keywords: ["recruitment", "recruiting", "talent acquisition", "hiring", "interviewing", "توظيف", "استقطاب"] },
+      { id: "employee_relations", en: "Employee relations", ar: "علاقات الموظفين", keywords: ["employee relations", "grievance", "disciplinary", "علاقات الموظفين"] },
+      { id: "compensation_benefits", en: "Compensation and benefits", ar: "التعويضات والمزايا", keywords: ["compensation", "payroll", "benefits", "salary", "رواتب", "مزايا"] },
+      { id: "labor_law", en: "Labor law", ar: "نظام العمل", keywords: ["labor law", "labour law", "employment law", "gosi", "نظام العمل"] },
+      { id: "performance_management", en: "Performance management", ar: "إدارة الأداء", keywords: ["performance management", "performance appraisal", "kpi", "تقييم الأداء"] },
+      { id: "learning_development", en: "Training and development", ar: "التدريب والتطوير", keywords: ["training", "learning and development", "onboarding", "تدريب", "تطوير"] },
+    ],
+  },
+  {
+    id: "accountant",
+    en: "Accountant / Auditor",
+    ar: "محاسب / مراجع",
+    titles: ["accountant", "auditor", "financial analyst", "finance officer", "finance manager", "chief accountant", "controller", "محاسب", "مدقق", "مراجع", "مراجعة"],
+    fields: ["accounting", "finance_auditing"],
+    skills: [
+      { id: "financial_reporting", en: "Financial reporting (IFRS)", ar: "إعداد التقارير المالية", keywords: ["financial statements", "financial reporting", "ifrs", "القوائم المالية", "التقارير المالية"] },
+      { id: "bookkeeping", en: "Bookkeeping and general ledger", ar: "مسك الدفاتر والأستاذ العام", keywords: ["bookkeeping", "general ledger", "journal entries", "reconciliation", "قيود", "تسويات"] },
+      { id: "auditing", en: "Auditing and internal control", ar: "المراجعة والرقابة الداخلية", keywords: ["audit", "auditing", "internal control", "تدقيق", "مراجعة"] },
+      { id: "tax_zakat", en: "Tax, VAT and zakat", ar: "الضرائب والزكاة", keywords: ["tax", "vat", "zakat", "ضريبة", "زكاة"] },
+      { id: "budgeting", en: "Budgeting and forecasting", ar: "الموازنات والتنبؤ", keywords: ["budget", "forecasting", "variance analysis", "موازنة"] },
+      { id: "accounting_systems", en: "Accounting systems (ERP)", ar: "أنظمة المحاسبة", keywords: ["sap", "oracle financials", "erp", "quickbooks", "odoo"] },
+    ],
+  },
+  {
+    id: "hospitality_supervisor",
+    en: "Hospitality Supervisor",
+    ar: "مشرف ضيافة",
+    titles: ["front office", "front desk", "receptionist", "guest relations", "hotel", "housekeeping", "restaurant", "food and beverage", "concierge", "موظف استقبال", "فندق", "ضيافة", "علاقات النزلاء"],
+    fields: ["tourism_hospitality"],
+    skills: [
+      { id: "guest_service", en: "Guest service", ar: "خدمة الضيوف", keywords: ["guest service", "customer service", "guest relations", "خدمة العملاء", "الضيوف"] },
+      { id: "front_office", en: "Front office operations", ar: "عمليات المكتب الأمامي", keywords: ["front desk", "front office", "reservations", "opera pms", "حجوزات", "استقبال"] },
+      { id: "housekeeping", en: "Housekeeping operations", ar: "التدبير الفندقي", keywords: ["housekeeping", "room attendant", "تدبير"] },
+      { id: "food_beverage", en: "Food and beverage service", ar: "خدمات الأغذية والمشروبات", keywords: ["food and beverage", "restaurant", "banquet", "مطعم", "أغذية"] },
+      { id: "team_supervision", en: "Team supervision", ar: "الإشراف على الفريق", keywords: ["supervision", "supervisor", "shift leader", "team leader", "إشراف", "مشرف"] },
+      { id: "revenue_management", en: "Revenue and sales", ar: "الإيرادات والمبيعات", keywords: ["revenue management", "upselling", "pricing", "sales", "إيرادات"] },
+    ],
+  },
+  {
+    id: "supply_chain_specialist",
+    en: "Supply Chain / Procurement Specialist",
+    ar: "أخصائي سلاسل إمداد ومشتريات",
+    titles: ["supply chain", "procurement", "purchasing", "logistics", "buyer", "warehouse", "inventory controller", "مشتريات", "سلاسل الإمداد", "لوجستي", "مستودعات"],
+    fields: ["logistics_supply_chain"],
+    skills: [
+      { id: "procurement", en: "Procurement and sourcing", ar: "المشتريات والتوريد", keywords: ["procurement", "purchasing", "sourcing", "tendering", "مشتريات", "مناقصات"] },
+      { id: "inventory", en: "Inventory and warehousing", ar: "المخزون والمستودعات", keywords: ["inventory", "warehouse", "stock control", "مخزون", "مستودع"] },
+      { id: "logistics", en: "Logistics and transportation", ar: "اللوجستيات والنقل", keywords: ["logistics", "shipping", "transportation", "freight", "لوجستي", "شحن"] },
+      { id: "supplier_management", en: "Supplier and contract management", ar: "إدارة الموردين والعقود", keywords: ["supplier", "vendor", "contract management", "negotiation", "موردين", "عقود"] },
+      { id: "demand_planning", en: "Demand planning", ar: "تخطيط الطلب", keywords: ["demand planning", "forecasting", "تخطيط الطلب"] },
+      { id: "erp_systems", en: "ERP systems", ar: "أنظمة تخطيط الموارد", keywords: ["sap", "erp", "oracle", "odoo"] },
+    ],
+  },
+  {
+    id: "hse_officer",
+    en: "Health and Safety Officer",
+    ar: "مسؤول الصحة والسلامة",
+    titles: ["safety officer", "hse", "health and safety", "ehs", "safety engineer", "safety supervisor", "مسؤول سلامة", "أخصائي سلامة", "الصحة والسلامة", "السلامة المهنية"],
+    fields: ["health_safety"],
+    skills: [
+      { id: "risk_assessment", en: "Risk assessment", ar: "تقييم المخاطر", keywords: ["risk assessment", "hazard identification", "hazard", "تقييم المخاطر"] },
+      { id: "incident_investigation", en: "Incident investigation", ar: "التحقيق في الحوادث", keywords: ["incident investigation", "accident investigation", "root cause", "حوادث"] },
+      { id: "safety_regulations", en: "Safety regulations", ar: "أنظمة السلامة", keywords: ["osha", "nebosh", "safety regulations", "iso 45001", "أنظمة السلامة"] },
+      { id: "emergency_response", en: "Emergency response and first aid", ar: "الاستجابة للطوارئ والإسعافات", keywords: ["emergency response", "fire safety", "first aid", "evacuation", "طوارئ", "إسعافات"] },
+      { id: "safety_training", en: "Safety training", ar: "التدريب على السلامة", keywords: ["safety training", "toolbox talk", "safety induction", "توعية"] },
+      { id: "environmental", en: "Environmental management", ar: "الإدارة البيئية", keywords: ["environmental", "iso 14001", "waste management", "بيئية"] },
+    ],
+  },
+  {
+    id: "trainer",
+    en: "Trainer / Instructor",
+    ar: "مدرب",
+    titles: ["trainer", "instructor", "teacher", "training coordinator", "training specialist", "learning and development", "مدرب", "معلم", "أخصائي تدريب"],
+    fields: ["human_resources_development"],
+    skills: [
+      { id: "instructional_design", en: "Instructional design", ar: "التصميم التعليمي", keywords: ["instructional design", "curriculum", "course design", "addie", "تصميم تعليمي", "مناهج"] },
+      { id: "facilitation", en: "Facilitation and presentation", ar: "التيسير والعرض", keywords: ["facilitation", "presentation", "public speaking", "workshop", "تقديم"] },
+      { id: "training_evaluation", en: "Training evaluation", ar: "تقييم التدريب", keywords: ["training evaluation", "kirkpatrick", "assessment", "تقييم التدريب"] },
+      { id: "e_learning", en: "E-learning", ar: "التعلم الإلكتروني", keywords: ["online learning", "lms", "moodle", "articulate", "التعلم الإلكتروني"] },
+      { id: "coaching", en: "Coaching and mentoring", ar: "الإرشاد والتوجيه", keywords: ["coaching", "mentoring", "إرشاد"] },
+    ],
+  },
+  {
+    id: "marketing_specialist",
+    en: "Marketing Specialist",
+    ar: "أخصائي تسويق",
+    titles: ["marketing specialist", "marketing manager", "digital marketing", "marketing", "brand manager", "social media", "content creator", "تسويق", "أخصائي تسويق", "مدير تسويق"],
+    fields: ["marketing"],
+    skills: [
+      { id: "digital_marketing", en: "Digital marketing", ar: "التسويق الرقمي", keywords: ["digital marketing", "seo", "sem", "google ads", "التسويق الرقمي"] },
+      { id: "content_marketing", en: "Content and copywriting", ar: "المحتوى وكتابة الإعلانات", keywords: ["content", "copywriting", "content marketing", "محتوى"] },
+      { id: "social_media", en: "Social media", ar: "وسائل التواصل الاجتماعي", keywords: ["social media", "instagram", "linkedin", "التواصل الاجتماعي"] },
+      { id: "market_research", en: "Market research", ar: "أبحاث السوق", keywords: ["market research", "market analysis", "consumer insights", "أبحاث السوق"] },
+      { id: "marketing_analytics", en: "Marketing analytics", ar: "تحليلات التسويق", keywords: ["google analytics", "analytics", "kpi", "conversion"] },
+      { id: "campaign_management", en: "Campaign management", ar: "إدارة الحملات", keywords: ["campaign", "brand management", "حملات"] },
+    ],
+  },
+]);
+
+// Whether the phrase's tokens appear, in order and adjacent, in the text's tokens
+export function containsTokenPhrase(textTokens, phrase) {
+  const phraseTokens = tokenizeForRetrieval(phrase);
+  if (phraseTokens.length === 0) return false;
+  for (let i = 0; i + phraseTokens.length <= textTokens.length; i++) {
+    if (phraseTokens.every((token, j) => textTokens[i + j] === token)) return true;
+  }
+  return false;
+}
+
+export function getRoleProfile(roleId) {
+  return ROLE_PROFILES.find((role) => role.id === roleId) || null;
+}
+
+/**
+ * Resolves a job title ("Senior Network Engineer", "مهندس شبكات أول") to a
+ * role profile. The longest matching title wins, so "security engineer" beats
+ * "engineer"-like generic matches. Returns null when no title matches.
+ */
+export function resolveRole(jobTitle) {
+  const tokens = tokenizeForRetrieval(jobTitle);
+  if (tokens.length === 0) return null;
+  let best = null;
+  let bestLength = 0;
+  ROLE_PROFILES.forEach((role) => {
+    [role.en, role.ar, ...role.titles].forEach((title) => {
+      const length = tokenizeForRetrieval(title).length;
+      if (length > bestLength && containsTokenPhrase(tokens, title)) {
+        best = role;
+        bestLength = length;
+      }
+    });
+  });
+  return best;
+}
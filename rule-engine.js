@@ -0,0 +1,313 @@
+// rule-engine.js
+// Structured business rules: compiled from rule text and enforced in code after the LLM returns.
+
+import { getActiveCatalog } from "./storage-catalog.js";
+import {
+  resolveLevel,
+  resolveEntity,
+  resolveField,
+  vocabularyKey,
+  getCatalogVocabulary,
+  DEFAULT_LEVEL_RANK,
+} from "./catalog-vocabulary.js";
+
+// ---------------------------------------------------------------------------
+// Rule model
+// { id, text, type, params }
+//
+//   exclude_entity        { entities: [..] }      drop certificates from these bodies (entity ids)
+//   exclude_field         { fields: [..] }        drop certificates in these fields (field ids)
+//   levels_for_experience { levels: [..], maxYears }  below maxYears, only these levels
+//   max_per_candidate     { max }                 keep at most N recommendations
+//   unique_field          {}                      no two certificates in the same field
+//   avoid_overlap         {}                      no two certificates from the same body in the same field
+//   prefer_field          { fields: [..] }        rank these fields first (field ids)
+//   foundational_first    {}                      rank lower levels before advanced ones
+//   advisory              {}                      cannot be enforced in code; only sent to the model
+//
+// Entities and fields are catalog vocabulary ids (catalog-vocabulary.js). Names
+// from model-compiled rules are resolved to ids when the rules are enforced.
+// ---------------------------------------------------------------------------
+export const RULE_TYPES = [
+  "exclude_entity",
+  "exclude_field",
+  "levels_for_experience",
+  "max_per_candidate",
+  "unique_field",
+  "avoid_overlap",
+  "prefer_field",
+  "foundational_first",
+  "advisory",
+];
+
+// Ordinal used by level-based rules (lower = more foundational), from the level ladder
+export function getLevelRank(level) {
+  const resolved = resolveLevel(level);
+  return resolved && resolved.rank !== null ? resolved.rank : DEFAULT_LEVEL_RANK;
+}
+
+function normalize(text) {
+  return (text || "").toLowerCase().replace(/[^a-z0-9؀-ۿ]+/g, " ").trim();
+}
+
+// Last word of a name when it is an acronym: "The Chartered Insurance Institute (CII)" -> "CII"
+function trailingAcronym(name) {
+  const last = String(name || "").replace(/[()]/g, " ").trim().split(/\s+/).pop() || "";
+  return /^[A-Z][A-Z0-9]+$/.test(last) ? last : "";
+}
+
+// Ids of the catalog entities a rule names, by canonical name, alias or acronym
+// (whole words only; "HR" does not name "HRCI"), or [] when nothing matches.
+function resolveEntityIds(text) {
+  const known = resolveEntity(text);
+  if (known) return [known.id];
+  const key = vocabularyKey(text);
+  if (!key) return [];
+  return getCatalogVocabulary(getActiveCatalog())
+    .entities.filter((entity) =>
+      [entity.id, entity.en, entity.ar, trailingAcronym(entity.en)].some((label) => label && vocabularyKey(label) === key)
+    )
+    .map((entity) => entity.id);
+}
+
+// Ids of the catalog fields a rule names, by label or alias ("IT", "cyber security"), or []
+function resolveFieldIds(text) {
+  const known = resolveField(text);
+  if (known) return [known.id];
+  const key = vocabularyKey(text);
+  if (!key) return [];
+  return getCatalogVocabulary(getActiveCatalog())
+    .fields.filter((field) => [field.id, field.en, field.ar].some((label) => label && vocabularyKey(label) === key))
+    .map((field) => field.id);
+}
+
+// A rule target, whole ("Finance and Auditing") or as a list ("CompTIA, Cisco"):
+// ids only when every part resolves, so nothing is guessed
+function resolveTargets(text, resolveIds) {
+  const whole = resolveIds(text);
+  if (whole.length > 0) return whole;
+  const parts = splitList(text);
+  if (parts.length < 2) return [];
+  const ids = parts.map(resolveIds);
+  return ids.every((list) => list.length > 0) ? [...new Set(ids.flat())] : [];
+}
+
+// Rule params as ids; names from model-compiled rules are resolved, unknown ones dropped
+function paramIds(values, resolveIds) {
+  return new Set((values || []).flatMap((value) => resolveIds(String(value || ""))));
+}
+
+function splitList(text) {
+  return text
+    .split(/\s*(?:,|\/|\bor\b|\band\b|و)\s*/i)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// ---------------------------------------------------------------------------
+// Local compiler: recognises common phrasings (English + Arabic) without an LLM call.
+// Returns a rule object, or null when the text is not recognised.
+// ---------------------------------------------------------------------------
+const RULE_PATTERNS = [
+  {
+    regex: /foundational.*before.*advanced|ابدأ بالشهادات التأسيسية/i,
+    build: () => ({ type: "foundational_first", params: {} }),
+  },
+  {
+    regex: /avoid overlapping|تجنب الشهادات المتداخلة/i,
+    build: () => ({ type: "avoid_overlap", params: {} }),
+  },
+  {
+    regex: /no two (?:certifications?|certificates?) (?:in|from) the same field|one (?:certification|certificate) per field|شهادة واحدة لكل مجال/i,
+    build: () => ({ type: "unique_field", params: {} }),
+  },
+  {
+    regex: /(?:max(?:imum)?(?: of)?|at most|no more than|up to|limit(?: to)?)\s+(\d+)\s+(?:certifications?|certificates?|recommendations?)|(?:بحد أقصى|لا تزيد عن)\s+(\d+)/i,
+    build: (m) => ({ type: "max_per_candidate", params: { max: parseInt(m[1] || m[2], 10) } }),
+  },
+  {
+    regex: /only\s+(.+?)\s+(?:levels?\s+)?(?:certifications?\s+|certificates?\s+)?for\s+(?:candidates\s+)?(?:with\s+)?(?:less than|fewer than|under|<)\s*(\d+)\s+years?/i,
+    build: (m) => ({
+      type: "levels_for_experience",
+      params: { levels: splitList(m[1].replace(/\blevels?\b/gi, "")), maxYears: parseInt(m[2], 10) },
+    }),
+  },
+  {
+    regex: /^(?:exclude|do not recommend|don't recommend|never recommend|no)\s+(?:any\s+)?(?:certifications?\s+|certificates?\s+)?(?:from|by|in)?\s*(.+?)\.?$/i,
+    build: (m) => {
+      const target = m[1].replace(/\s+(?:certifications?|certificates?|field)$/i, "");
+      const entities = resolveTargets(target, resolveEntityIds);
+      if (entities.length > 0) return { type: "exclude_entity", params: { entities } };
+      const fields = resolveTargets(target, resolveFieldIds);
+      if (fields.length > 0) return { type: "exclude_field", params: { fields } };
+      return null;
+    },
+  },
+  {
+    regex: /^prefer\s+(?:certifications?\s+|certificates?\s+)?(?:in|from)?\s*(?:the\s+)?(.+?)(?:\s+field)?\.?$/i,
+    build: (m) => {
+      const fields = resolveTargets(m[1], resolveFieldIds);
+      return fields.length > 0 ? { type: "prefer_field", params: { fields } } : null;
+    },
+  },
+];
+
+export function compileRuleText(text) {
+  const trimmed = (text || "").trim();
+  for (const pattern of RULE_PATTERNS) {
+    const match = trimmed.match(pattern.regex);
+    if (!match) continue;
+    const rule = pattern.build(match);
+    if (rule) return { text: trimmed, ...rule };
+  }
+  return null;
+}
+
+// Normalises rules from any source (local compiler, LLM output, plain strings)
+// into { id, text, type, params }. Unknown types become advisory.
+export function normalizeRules(rules) {
+  return (rules || [])
+    .map((rule) => (typeof rule === "string" ? compileRuleText(rule) || { text: rule } : rule))
+    .filter((rule) => rule && rule.text)
+    .map((rule, index) => ({
+      id: `rule_${index + 1}`,
+      text: rule.text,
+      type: RULE_TYPES.includes(rule.type) ? rule.type : "advisory",
+      params: rule.params || {},
+    }));
+}
+
+// ---------------------------------------------------------------------------
+// Enforcement
+// ---------------------------------------------------------------------------
+function recordFired(rec, rule) {
+  if (!rec.rulesFired.includes(rule.text)) rec.rulesFired.push(rule.text);
+}
+
+function entryOf(rec) {
+  return rec.catalog || {};
+}
+
+/**
+ * Applies enforceable rules to one candidate's recommendations.
+ * `context.yearsOfExperience` feeds level/experience rules; leave it undefined
+ * when the CV has no dated experience, and those rules are skipped.
+ *
+ * Returns { recommendations, removedByRules }. Each kept recommendation gets
+ * `rulesFired` (texts of the rules that changed its inclusion or position) and
+ * `rulesApplied` is set to the same list so the UI shows what actually happened.
+ * The model's own claim is kept as `rulesClaimed`.
+ */
+export function enforceRules(recommendations, rules, context = {}) {
+  const compiled = normalizeRules(rules);
+  let kept = (recommendations || []).map((rec) => ({
+    ...rec,
+    rulesClaimed: rec.rulesClaimed || rec.rulesApplied || [],
+    rulesFired: [],
+  }));
+  const removed = [];
+
+  const remove = (rec, rule, reason) => {
+    removed.push({ ...rec, removedBy: rule.text, removalReason: reason });
+  };
+
+  const byType = (type) => compiled.filter((r) => r.type === type);
+
+  // 1. Hard filters
+  byType("exclude_entity").forEach((rule) => {
+    const entityIds = paramIds(rule.params.entities, resolveEntityIds);
+    kept = kept.filter((rec) => {
+      const entry = entryOf(rec);
+      if (!entityIds.has(entry.entityId)) return true;
+      remove(rec, rule, `Excluded entity: ${entry.entity}`);
+      return false;
+    });
+  });
+
+  byType("exclude_field").forEach((rule) => {
+    const fieldIds = paramIds(rule.params.fields, resolveFieldIds);
+    kept = kept.filter((rec) => {
+      const entry = entryOf(rec);
+      if (!fieldIds.has(entry.fieldId)) return true;
+      remove(rec, rule, `Excluded field: ${entry.fieldEn}`);
+      return false;
+    });
+  });
+
+  // Experience rules are skipped when the CV's years are unknown (no dated experience)
+  const years = context.yearsOfExperience;
+  byType("levels_for_experience").forEach((rule) => {
+    if (!Number.isFinite(years) || years >= (rule.params.maxYears ?? Infinity)) return;
+    const allowedRanks = (rule.params.levels || []).map(getLevelRank);
+    const maxRank = allowedRanks.length > 0 ? Math.max(...allowedRanks) : Infinity;
+    kept = kept.filter((rec) => {
+      if (getLevelRank(entryOf(rec).level) <= maxRank) return true;
+      remove(rec, rule, `Level ${entryOf(rec).level} too advanced for ${years} years of experience`);
+      return false;
+    });
+  });
+
+  // 2. Overlap rules (the model's earlier pick wins)
+  const dedupe = (rule, keyOf, label) => {
+    const seen = new Set();
+    kept = kept.filter((rec) => {
+      const key = keyOf(entryOf(rec));
+      if (!key) return true;
+      if (!seen.has(key)) {
+        seen.add(key);
+        return true;
+      }
+      remove(rec, rule, label(entryOf(rec)));
+      return false;
+    });
+  };
+  byType("unique_field").forEach((rule) =>
+    dedupe(rule, (e) => normalize(e.fieldEn), (e) => `Another certificate already covers ${e.fieldEn}`)
+  );
+  byType("avoid_overlap").forEach((rule) =>
+    dedupe(
+      rule,
+      (e) => (e.entity && e.fieldEn ? `${normalize(e.entity)}|${normalize(e.fieldEn)}` : ""),
+      (e) => `Overlaps another ${e.entity} certificate in ${e.fieldEn}`
+    )
+  );
+
+  // 3. Ordering rules (stable sorts; a rule fires for every recommendation it moved)
+  const reorder = (rule, compare) => {
+    const before = kept.slice();
+    kept = kept
+      .map((rec, i) => ({ rec, i }))
+      .sort((a, b) => compare(a.rec, b.rec) || a.i - b.i)
+      .map((x) => x.rec);
+    kept.forEach((rec, i) => {
+      if (before[i] !== rec) recordFired(rec, rule);
+    });
+  };
+
+  byType("prefer_field").forEach((rule) => {
+    const fieldIds = paramIds(rule.params.fields, resolveFieldIds);
+    const preferred = (rec) => fieldIds.has(entryOf(rec).fieldId);
+    reorder(rule, (a, b) => Number(preferred(b)) - Number(preferred(a)));
+    kept.forEach((rec) => {
+      if (preferred(rec)) recordFired(rec, rule);
+    });
+  });
+
+  byType("foundational_first").forEach((rule) => {
+    reorder(rule, (a, b) => getLevelRank(entryOf(a).level) - getLevelRank(entryOf(b).level));
+  });
+
+  // 4. Caps
+  byType("max_per_candidate").forEach((rule) => {
+    const max = rule.params.max;
+    if (!Number.isFinite(max) || kept.length <= max) return;
+    kept.slice(max).forEach((rec) => remove(rec, rule, `Limit of ${max} per candidate`));
+    kept = kept.slice(0, max);
+  });
+
+  kept.forEach((rec) => {
+    rec.rulesApplied = rec.rulesFired.slice();
+  });
+
+  return { recommendations: kept, removedByRules: removed };
+}
@@ -0,0 +1,389 @@
+// run-history.js
+// Recommendation runs: what each generation used (CV versions, rules, language,
+// catalog, model) and what it produced, plus a diff between any two runs showing
+// added, removed and re-ranked certificates per candidate.
+
+import { getActiveCatalog, loadImportedCatalog, getRecommendationCatalogRef } from "./storage-catalog.js";
+import { getActiveLlmSettings } from "./llm-providers.js";
+import { candidateDisplayName } from "./cohort-dashboard.js";
+
+const RUN_TEXT = {
+  en: {
+    title: "Run history",
+    compare: "Compare run",
+    with: "with run",
+    run: (n) => `Run ${n}`,
+    rules: (n) => `${n} rules`,
+    inputChanges: "What changed in the inputs",
+    noInputChanges: "Same CVs, rules, language, catalog and model.",
+    ruleAdded: "Rule added",
+    ruleRemoved: "Rule removed",
+    cvAdded: "CV added",
+    cvRemoved: "CV removed",
+    cvChanged: "CV edited",
+    language: "Language",
+    catalog: "Catalog",
+    model: "Model",
+    builtIn: "built-in",
+    certificates: "certificates",
+    unchanged: (n) => `${n} unchanged`,
+    noChanges: "No change in recommendations.",
+    newCandidate: "Only in the newer run",
+    goneCandidate: "Only in the older run",
+    was: "was",
+  },
+  ar: {
+    title: "سجل عمليات التوصية",
+    compare: "مقارنة العملية",
+    with: "مع العملية",
+    run: (n) => `العملية ${n}`,
+    rules: (n) => `${n} قواعد`,
+    inputChanges: "ما الذي تغير في المدخلات",
+    noInputChanges: "نفس السير الذاتية والقواعد واللغة والكتالوج والنموذج.",
+    ruleAdded: "قاعدة مضافة",
+    ruleRemoved: "قاعدة محذوفة",
+    cvAdded: "سيرة ذاتية مضافة",
+    cvRemoved: "سيرة ذاتية محذوفة",
+    cvChanged: "سيرة ذاتية معدلة",
+    language: "اللغة",
+    catalog: "الكتالوج",
+    model: "النموذج",
+    builtIn: "المدمج",
+    certificates: "شهادة",
+    unchanged: (n) => `${n} دون تغيير`,
+    noChanges: "لا تغيير في التوصيات.",
+    newCandidate: "موجود في العملية الأحدث فقط",
+    goneCandidate: "موجود في العملية الأقدم فقط",
+    was: "كانت",
+  },
+};
+
+function isArabic() {
+  return document.documentElement.lang === "ar";
+}
+
+function text(key) {
+  const lang = isArabic() ? "ar" : "en";
+  return RUN_TEXT[lang][key] ?? RUN_TEXT.en[key];
+}
+
+// ---------------------------------------------------------------------------
+// Run records
+// ---------------------------------------------------------------------------
+
+// FNV-1a hash as hex: enough to tell two versions of a CV or catalog apart
+function fingerprint(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+function catalogVersion() {
+  const imported = loadImportedCatalog();
+  const catalog = getActiveCatalog();
+  return {
+    source: imported ? "imported" : "built-in",
+    fileName: imported?.fileName || "",
+    count: catalog.length,
+    fingerprint: fingerprint(catalog.map((c) => `${c.id}|${c.level}|${c.fieldId}`).join("\n")),
+  };
+}
+
+function modelVersion() {
+  const settings = getActiveLlmSettings();
+  return { provider: settings.id, label: settings.label || settings.id, model: settings.model || "" };
+}
+
+/**
+ * A run record: { id, createdAt, inputs: { cvs, rules, compiledRules, language, catalog, model }, candidates }.
+ * @param {object} run
+ * @param {object[]} run.cvs           CVs sent for analysis ({ id, name, text, structured }).
+ * @param {string[]} run.rules         Rule texts from the rules panel.
+ * @param {Array} run.compiledRules    Rules as applied (parseAndApplyRules output).
+ * @param {string} run.language        Page language.
+ * @param {object[]} run.candidates    Candidate results of the run.
+ */
+export function createRun({ cvs, rules, compiledRules, language, candidates }) {
+  return {
+    id: `run_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    createdAt: new Date().toISOString(),
+    inputs: {
+      cvs: (cvs || []).map((cv) => ({
+        id: cv.id,
+        name: cv.name,
+        fingerprint: fingerprint(`${cv.text || ""}\n${JSON.stringify(cv.structured || {})}`),
+      })),
+      rules: [...(rules || [])],
+      compiledRules: JSON.parse(JSON.stringify(compiledRules || [])),
+      language,
+      catalog: catalogVersion(),
+      model: modelVersion(),
+    },
+    // Only what a diff or a reviewer needs: the ranked certificates and their reasons
+    candidates: (candidates || []).map((candidate) => ({
+      cvId: candidate.cvId,
+      cvName: candidate.cvName,
+      candidateName: candidate.candidateName,
+      ...(candidate.source ? { source: candidate.source } : {}),
+      ...(candidate.analysisError ? { analysisError: candidate.analysisError } : {}),
+      recommendations: (candidate.recommendations || []).map((rec) => ({
+        certId: rec.certId,
+        certName: rec.certName,
+        certNameAr: getRecommendationCatalogRef(rec).nameAr || "",
+        reason: rec.reason || "",
+        ...(rec.pinned ? { pinned: true } : {}),
+      })),
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Diff
+// ---------------------------------------------------------------------------
+function recKey(rec) {
+  return rec.certId || `name:${(rec.certName || "").toLowerCase()}`;
+}
+
+function rankedRecs(candidate) {
+  return new Map((candidate?.recommendations || []).map((rec, index) => [recKey(rec), { ...rec, rank: index + 1 }]));
+}
+
+function diffCandidate(before, after) {
+  const beforeRecs = rankedRecs(before);
+  const afterRecs = rankedRecs(after);
+  const added = [...afterRecs.values()].filter((rec) => !beforeRecs.has(recKey(rec)));
+  const removed = [...beforeRecs.values()].filter((rec) => !afterRecs.has(recKey(rec)));
+  const kept = [...afterRecs.values()].filter((rec) => beforeRecs.has(recKey(rec)));
+  const reranked = kept
+    .filter((rec) => beforeRecs.get(recKey(rec)).rank !== rec.rank)
+    .map((rec) => ({ ...rec, from: beforeRecs.get(recKey(rec)).rank, to: rec.rank }));
+  const candidate = after || before;
+  return {
+    cvId: candidate.cvId,
+    cvName: candidate.cvName,
+    name: candidateDisplayName(candidate),
+    presence: before && after ? "both" : after ? "added" : "removed",
+    added,
+    removed,
+    reranked,
+    unchanged: kept.length - reranked.length,
+  };
+}
+
+function diffInputs(before, after) {
+  const beforeCvs = new Map(before.cvs.map((cv) => [cv.id, cv]));
+  const afterCvs = new Map(after.cvs.map((cv) => [cv.id, cv]));
+  const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+  const names = (cvs) => cvs.map((cv) => cv.name);
+  return {
+    rulesAdded: after.rules.filter((rule) => !before.rules.includes(rule)),
+    rulesRemoved: before.rules.filter((rule) => !after.rules.includes(rule)),
+    cvsAdded: names([...afterCvs.values()].filter((cv) => !beforeCvs.has(cv.id))),
+    cvsRemoved: names([...beforeCvs.values()].filter((cv) => !afterCvs.has(cv.id))),
+    cvsChanged: names(
+      [...afterCvs.values()].filter((cv) => beforeCvs.has(cv.id) && beforeCvs.get(cv.id).fingerprint !== cv.fingerprint)
+    ),
+    language: before.language !== after.language ? { from: before.language, to: after.language } : null,
+    catalog: before.catalog.fingerprint !== after.catalog.fingerprint ? { from: before.catalog, to: after.catalog } : null,
+    model: changed(before.model, after.model) ? { from: before.model, to: after.model } : null,
+  };
+}
+
+/**
+ * Differences from run `before` to run `after`:
+ * { inputs: { rulesAdded, rulesRemoved, cvsAdded, cvsRemoved, cvsChanged, language, catalog, model },
+ *   candidates: [{ cvId, cvName, name, presence, added, removed, reranked: [{ ..., from, to }], unchanged }] }.
+ * Ranks are 1-based positions in each candidate's recommendation list.
+ */
+export function diffRuns(before, after) {
+  const beforeByCv = new Map(before.candidates.map((c) => [c.cvId, c]));
+  const afterByCv = new Map(after.candidates.map((c) => [c.cvId, c]));
+  const keys = [...afterByCv.keys(), ...[...beforeByCv.keys()].filter((key) => !afterByCv.has(key))];
+  return {
+    inputs: diffInputs(before.inputs, after.inputs),
+    candidates: keys.map((key) => diffCandidate(beforeByCv.get(key), afterByCv.get(key))),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+const state = { beforeId: "", afterId: "" };
+let latestRuns = [];
+
+function recName(rec) {
+  return isArabic() ? rec.certNameAr || rec.certName : rec.certName || rec.certNameAr;
+}
+
+function modelName(model) {
+  return model.model ? `${model.label} · ${model.model}` : model.label;
+}
+
+function catalogName(catalog) {
+  const source = catalog.source === "imported" ? catalog.fileName : text("builtIn");
+  return `${source} · ${catalog.count} ${text("certificates")}`;
+}
+
+function runLabel(run, index) {
+  const date = new Date(run.createdAt).toLocaleString(isArabic() ? "ar" : "en", {
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+  return `${text("run")(index + 1)} · ${date} · ${modelName(run.inputs.model)} · ${text("rules")(run.inputs.rules.length)}`;
+}
+
+function createRunSelect(className, ariaLabel, selectedId, onChange) {
+  const select = document.createElement("select");
+  select.className = className;
+  select.setAttribute("aria-label", ariaLabel);
+  latestRuns.forEach((run, index) => {
+    const option = document.createElement("option");
+    option.value = run.id;
+    option.textContent = runLabel(run, index);
+    if (run.id === selectedId) option.selected = true;
+    select.appendChild(option);
+  });
+  select.addEventListener("change", () => onChange(select.value));
+  return select;
+}
+
+function createInputChanges(inputs) {
+  const section = document.createElement("div");
+  section.className = "run-diff-inputs";
+  const heading = document.createElement("div");
+  heading.className = "run-diff-heading";
+  heading.textContent = text("inputChanges");
+  section.appendChild(heading);
+
+  const lines = [
+    ...inputs.rulesAdded.map((rule) => ["added", text("ruleAdded"), rule]),
+    ...inputs.rulesRemoved.map((rule) => ["removed", text("ruleRemoved"), rule]),
+    ...inputs.cvsAdded.map((name) => ["added", text("cvAdded"), name]),
+    ...inputs.cvsRemoved.map((name) => ["removed", text("cvRemoved"), name]),
+    ...inputs.cvsChanged.map((name) => ["changed", text("cvChanged"), name]),
+  ];
+  if (inputs.language) lines.push(["changed", text("language"), `${inputs.language.from} → ${inputs.language.to}`]);
+  if (inputs.catalog) {
+    lines.push(["changed", text("catalog"), `${catalogName(inputs.catalog.from)} → ${catalogName(inputs.catalog.to)}`]);
+  }
+  if (inputs.model) lines.push(["changed", text("model"), `${modelName(inputs.model.from)} → ${modelName(inputs.model.to)}`]);
+
+  if (lines.length === 0) {
+    const none = document.createElement("p");
+    none.className = "muted";
+    none.textContent = text("noInputChanges");
+    section.appendChild(none);
+    return section;
+  }
+  const list = document.createElement("ul");
+  list.className = "run-diff-list";
+  lines.forEach(([kind, caption, value]) => {
+    const item = document.createElement("li");
+    item.className = `run-diff-${kind}`;
+    item.textContent = `${caption}: ${value}`;
+    list.appendChild(item);
+  });
+  section.appendChild(list);
+  return section;
+}
+
+function createCandidateDiff(diff) {
+  const block = document.createElement("div");
+  block.className = "run-diff-candidate";
+  const heading = document.createElement("div");
+  heading.className = "run-diff-heading";
+  heading.textContent = diff.name;
+  if (diff.presence !== "both") {
+    const tag = document.createElement("span");
+    tag.className = "run-diff-tag";
+    tag.textContent = text(diff.presence === "added" ? "newCandidate" : "goneCandidate");
+    heading.appendChild(tag);
+  }
+  block.appendChild(heading);
+
+  const items = [
+    ...diff.added.map((rec) => ["added", `+ ${recName(rec)} (#${rec.rank})`, rec.reason]),
+    ...diff.removed.map((rec) => ["removed", `− ${recName(rec)} (${text("was")} #${rec.rank})`, rec.reason]),
+    ...diff.reranked.map((rec) => [
+      "changed",
+      `${rec.to < rec.from ? "↑" : "↓"} ${recName(rec)} #${rec.from} → #${rec.to}`,
+      rec.reason,
+    ]),
+  ];
+  if (items.length === 0) {
+    const none = document.createElement("p");
+    none.className = "muted";
+    none.textContent = text("noChanges");
+    block.appendChild(none);
+    return block;
+  }
+
+  const list = document.createElement("ul");
+  list.className = "run-diff-list";
+  items.forEach(([kind, line, reason]) => {
+    const item = document.createElement("li");
+    item.className = `run-diff-${kind}`;
+    item.textContent = line;
+    if (reason) item.title = reason;
+    list.appendChild(item);
+  });
+  block.appendChild(list);
+
+  if (diff.unchanged > 0) {
+    const rest = document.createElement("p");
+    rest.className = "muted run-diff-unchanged";
+    rest.textContent = text("unchanged")(diff.unchanged);
+    block.appendChild(rest);
+  }
+  return block;
+}
+
+function refreshRunHistory() {
+  const container = document.getElementById("run-history");
+  if (!container) return;
+  container.innerHTML = "";
+  // A diff needs two runs
+  container.hidden = latestRuns.length < 2;
+  if (container.hidden) return;
+
+  // Default to the two latest runs; drop selections that were trimmed away
+  const ids = latestRuns.map((run) => run.id);
+  if (!ids.includes(state.afterId)) state.afterId = ids[ids.length - 1];
+  if (!ids.includes(state.beforeId)) state.beforeId = ids[ids.length - 2];
+  const before = latestRuns.find((run) => run.id === state.beforeId);
+  const after = latestRuns.find((run) => run.id === state.afterId);
+
+  const title = document.createElement("div");
+  title.className = "learning-path-title";
+  title.innerHTML = `<i class="fas fa-history"></i> ${text("title")}`;
+  container.appendChild(title);
+
+  const controls = document.createElement("div");
+  controls.className = "cohort-controls";
+  const update = (key) => (value) => {
+    state[key] = value;
+    refreshRunHistory();
+  };
+  controls.appendChild(createRunSelect("run-history-before", text("compare"), state.beforeId, update("beforeId")));
+  controls.appendChild(createRunSelect("run-history-after", text("with"), state.afterId, update("afterId")));
+  container.appendChild(controls);
+
+  const diff = diffRuns(before, after);
+  container.appendChild(createInputChanges(diff.inputs));
+  const candidates = document.createElement("div");
+  candidates.className = "run-diff-candidates";
+  diff.candidates.forEach((candidateDiff) => candidates.appendChild(createCandidateDiff(candidateDiff)));
+  container.appendChild(candidates);
+}
+
+/**
+ * Renders the run comparison into #run-history (hidden until there are two runs).
+ * @param {object[]} runs Run records (createRun), oldest first.
+ */
+export function renderRunHistory(runs) {
+  latestRuns = runs || [];
+  refreshRunHistory();
+}
@@ -0,0 +1,144 @@
+// skill-gap.js
+// Skill-gap analysis: compares a candidate's skills and experience with a target
+// role profile (role-profiles.js) and finds the catalog certificates that close each gap.
+
+import { SKILL_GAP_CERTS_PER_SKILL } from "./constants.js";
+import { toCatalogRef } from "./storage-catalog.js";
+import { rankCertificates, tokenizeForRetrieval } from "./catalog-retrieval.js";
+import { ROLE_PROFILES, getRoleProfile, resolveRole, containsTokenPhrase } from "./role-profiles.js";
+import { findHeldCertificates } from "./certificate-progression.js";
+import { normalizeSkills, expandSkillText } from "./skill-taxonomy.js";
+import { parseDateRange } from "./date-ranges.js";
+
+// ---------------------------------------------------------------------------
+// Target roles chosen by the user, per CV id (kept in the workspace)
+// ---------------------------------------------------------------------------
+
+// Returns a new map; an empty roleId goes back to the role inferred from the CV
+export function withTargetRole(roles, cvId, roleId) {
+  const next = { ...(roles || {}) };
+  if (roleId) next[cvId] = roleId;
+  else delete next[cvId];
+  return next;
+}
+
+// ---------------------------------------------------------------------------
+// CV evidence
+// ---------------------------------------------------------------------------
+function asText(item) {
+  return typeof item === "string" ? item : item?.title || "";
+}
+
+// Latest month an experience period reaches; ongoing roles count as the latest
+function periodEnd(period) {
+  const range = parseDateRange(period);
+  if (!range) return -Infinity;
+  return range.ongoing ? Infinity : range.end;
+}
+
+// Experience entries, most recent first (entries without dates keep CV order)
+function experienceLatestFirst(structured) {
+  return (structured.experience || [])
+    .map((exp, index) => ({ exp, index, end: periodEnd(exp.period || exp.years) }))
+    .sort((a, b) => b.end - a.end || a.index - b.index)
+    .map((x) => x.exp);
+}
+
+// Labelled pieces of CV text a skill can be evidenced by, in order of strength:
+// [{ kind: "skill" | "experience" | "certification", label, text, tokens }]
+export function collectSkillEvidence(structured) {
+  const sources = [];
+  normalizeSkills(structured.skills).forEach(({ title }) =>
+    sources.push({ kind: "skill", label: title, text: expandSkillText(title) })
+  );
+  (structured.experience || []).forEach((exp) => {
+    const title = exp.jobTitle || exp.title || "";
+    const text = `${title} ${exp.description || ""}`.trim();
+    if (text) sources.push({ kind: "experience", label: title || text.slice(0, 60), text });
+  });
+  (structured.certifications || []).map(asText).filter(Boolean).forEach((text) =>
+    sources.push({ kind: "certification", label: text, text })
+  );
+  return sources.map((source) => ({ ...source, tokens: tokenizeForRetrieval(source.text) }));
+}
+
+/**
+ * Role inferred from the most recent job title that matches a profile.
+ * Returns { role, jobTitle } or null.
+ */
+export function inferTargetRole(cv) {
+  const structured = cv?.structured || cv || {};
+  for (const exp of experienceLatestFirst(structured)) {
+    const jobTitle = exp.jobTitle || exp.title || "";
+    const role = resolveRole(jobTitle);
+    if (role) return { role, jobTitle };
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Gap analysis
+// ---------------------------------------------------------------------------
+
+// Catalog certificates for one skill, from the role's fields when any match there
+function certificatesForSkill(skill, role, heldIds) {
+  const query = [skill.en, skill.ar, ...skill.keywords].join(" ");
+  const ranked = rankCertificates(query, SKILL_GAP_CERTS_PER_SKILL * 4).filter(
+    (r) => !heldIds.has(r.cert.id)
+  );
+  const inRole = ranked.filter((r) => role.fields.includes(r.cert.fieldId));
+  return (inRole.length > 0 ? inRole : ranked)
+    .slice(0, SKILL_GAP_CERTS_PER_SKILL)
+    .map((r) => toCatalogRef(r.cert));
+}
+
+/**
+ * Skill gaps of one CV (parser or review-modal shape) against a target role.
+ * `roleId` is the user's choice; without one the role is inferred from the latest job title.
+ *
+ * Returns {
+ *   role: { id, en, ar } | null, inferred, inferredFrom,
+ *   covered: [{ id, en, ar, evidence: { kind, label } }],
+ *   missing: [{ id, en, ar, certificates: [catalog refs] }],
+ *   coverage   // 0..1
+ * }; role is null (and the lists empty) when no role was chosen or recognised.
+ */
+export function analyzeSkillGap(cv, roleId = null) {
+  const chosen = getRoleProfile(roleId);
+  const inferred = chosen ? null : inferTargetRole(cv);
+  const role = chosen || inferred?.role || null;
+  if (!role) {
+    return { role: null, inferred: false, inferredFrom: "", covered: [], missing: [], coverage: 0 };
+  }
+
+  const structured = cv?.structured || cv || {};
+  const evidence = collectSkillEvidence(structured);
+  const heldIds = new Set(findHeldCertificates(cv));
+  const covered = [];
+  const missing = [];
+
+  role.skills.forEach((skill) => {
+    const phrases = [skill.en, skill.ar, ...skill.keywords];
+    const source = evidence.find((e) => phrases.some((p) => containsTokenPhrase(e.tokens, p)));
+    const summary = { id: skill.id, en: skill.en, ar: skill.ar };
+    if (source) {
+      covered.push({ ...summary, evidence: { kind: source.kind, label: source.label } });
+    } else {
+      missing.push({ ...summary, certificates: certificatesForSkill(skill, role, heldIds) });
+    }
+  });
+
+  return {
+    role: { id: role.id, en: role.en, ar: role.ar },
+    inferred: !chosen,
+    inferredFrom: inferred?.jobTitle || "",
+    covered,
+    missing,
+    coverage: role.skills.length > 0 ? covered.length / role.skills.length : 0,
+  };
+}
+
+// Role options for a picker: [{ id, en, ar }]
+export function listRoleProfiles() {
+  return ROLE_PROFILES.map(({ id, en, ar }) => ({ id, en, ar }));
+}
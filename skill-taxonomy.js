@@ -0,0 +1,264 @@
+// skill-taxonomy.js
+// Local skill taxonomy: canonical skill ids with English/Arabic labels and synonyms.
+// Parsed CV skills, review-modal edits and catalog descriptions are mapped onto it so
+// matching, de-duplication and filtering work on canonical skills, not raw strings.
+
+// ---------------------------------------------------------------------------
+// Taxonomy
+// ---------------------------------------------------------------------------
+export const SKILL_TAXONOMY = Object.freeze([
+  // Programming and software
+  { id: "javascript", en: "JavaScript", ar: "جافاسكربت", aliases: ["js", "javascript es6", "es6", "ecmascript", "جافا سكربت", "جافا سكريبت", "جافاسكريبت"] },
+  { id: "typescript", en: "TypeScript", ar: "تايب سكربت", aliases: ["ts"] },
+  { id: "python", en: "Python", ar: "بايثون", aliases: ["python3", "python 3", "بايثن"] },
+  { id: "java", en: "Java", ar: "جافا", aliases: ["java se", "java ee", "j2ee"] },
+  { id: "csharp", en: "C#", ar: "سي شارب", aliases: ["c sharp", "csharp"] },
+  { id: "cpp", en: "C++", ar: "سي بلس بلس", aliases: ["cpp"] },
+  { id: "php", en: "PHP", ar: "بي اتش بي", aliases: [] },
+  { id: "dotnet", en: ".NET", ar: "دوت نت", aliases: ["dotnet", "asp.net", "asp.net core", ".net core"] },
+  { id: "nodejs", en: "Node.js", ar: "نود جي اس", aliases: ["nodejs", "node js", "express.js", "expressjs"] },
+  { id: "react", en: "React", ar: "رياكت", aliases: ["react.js", "reactjs", "react js"] },
+  { id: "angular", en: "Angular", ar: "أنجولار", aliases: ["angularjs", "angular.js"] },
+  { id: "vue", en: "Vue.js", ar: "فيو", aliases: ["vue", "vuejs"] },
+  { id: "html_css", en: "HTML/CSS", ar: "HTML و CSS", aliases: ["html", "html5", "css", "css3", "html & css", "html and css"] },
+  { id: "web_development", en: "Web development", ar: "تطوير المواقع", aliases: ["web design", "website development", "تطوير الويب", "تصميم المواقع"] },
+  { id: "mobile_development", en: "Mobile development", ar: "تطوير تطبيقات الجوال", aliases: ["android", "ios", "flutter", "kotlin", "react native", "تطوير التطبيقات"] },
+  { id: "software_testing", en: "Software testing", ar: "اختبار البرمجيات", aliases: ["qa", "quality assurance testing", "unit testing", "test automation", "selenium", "manual testing"] },
+  { id: "git", en: "Git", ar: "جيت", aliases: ["github", "gitlab", "version control", "bitbucket"] },
+  { id: "api_development", en: "REST APIs", ar: "واجهات برمجة التطبيقات", aliases: ["rest api", "restful", "api", "apis", "web services"] },
+
+  // Data
+  { id: "sql", en: "SQL", ar: "لغة SQL", aliases: ["t-sql", "pl/sql", "mysql", "postgresql", "postgres", "sql server", "ms sql", "oracle database", "قواعد البيانات", "databases", "database"] },
+  { id: "nosql", en: "NoSQL databases", ar: "قواعد بيانات NoSQL", aliases: ["nosql", "mongodb", "mongo", "redis", "cassandra"] },
+  { id: "excel", en: "Microsoft Excel", ar: "مايكروسوفت إكسل", aliases: ["excel", "ms excel", "advanced excel", "spreadsheets", "إكسل", "اكسل", "pivot tables"] },
+  { id: "power_bi", en: "Power BI", ar: "باور بي آي", aliases: ["powerbi", "power-bi"] },
+  { id: "tableau", en: "Tableau", ar: "تابلو", aliases: [] },
+  { id: "data_analysis", en: "Data analysis", ar: "تحليل البيانات", aliases: ["data analytics", "analytics", "analyzing data", "تحليل بيانات"] },
+  { id: "data_visualization", en: "Data visualization", ar: "تصوير البيانات", aliases: ["dashboards", "dashboard", "data visualisation", "لوحات المعلومات"] },
+  { id: "machine_learning", en: "Machine learning", ar: "تعلم الآلة", aliases: ["ml", "deep learning", "scikit-learn", "tensorflow", "pytorch", "التعلم الآلي"] },
+  { id: "artificial_intelligence", en: "Artificial intelligence", ar: "الذكاء الاصطناعي", aliases: ["ai", "generative ai", "nlp", "natural language processing"] },
+  { id: "statistics", en: "Statistics", ar: "الإحصاء", aliases: ["statistical analysis", "spss", "regression", "إحصاء"] },
+  { id: "big_data", en: "Big data", ar: "البيانات الضخمة", aliases: ["hadoop", "spark", "apache spark", "databricks"] },
+  { id: "etl", en: "ETL and data warehousing", ar: "مستودعات البيانات", aliases: ["etl", "data warehouse", "data warehousing", "ssis", "informatica"] },
+  { id: "data_governance", en: "Data governance", ar: "حوكمة البيانات", aliases: ["data quality", "master data management", "mdm", "data management", "إدارة البيانات"] },
+
+  // Infrastructure, networks and cloud
+  { id: "networking", en: "Computer networking", ar: "شبكات الحاسب", aliases: ["networking", "networks", "tcp/ip", "lan", "wan", "lan/wan", "الشبكات", "شبكات"] },
+  { id: "routing_switching", en: "Routing and switching", ar: "التوجيه والتبديل", aliases: ["routing", "switching", "routers", "switches", "ospf", "bgp", "eigrp", "vlan", "vlans"] },
+  { id: "cisco", en: "Cisco networking", ar: "شبكات سيسكو", aliases: ["cisco", "cisco ios", "سيسكو"] },
+  { id: "wireless_networking", en: "Wireless networking", ar: "الشبكات اللاسلكية", aliases: ["wireless", "wifi", "wi-fi", "wlan"] },
+  { id: "linux", en: "Linux", ar: "لينكس", aliases: ["linux administration", "unix", "red hat", "rhel", "ubuntu", "centos", "bash", "shell scripting"] },
+  { id: "windows_server", en: "Windows Server", ar: "ويندوز سيرفر", aliases: ["active directory", "windows server administration", "group policy", "ad"] },
+  { id: "virtualization", en: "Virtualization", ar: "المحاكاة الافتراضية", aliases: ["vmware", "hyper-v", "vsphere", "virtualisation"] },
+  { id: "it_support", en: "IT support", ar: "الدعم الفني", aliases: ["help desk", "helpdesk", "technical support", "desktop support", "دعم فني"] },
+  { id: "aws", en: "Amazon Web Services", ar: "خدمات أمازون السحابية", aliases: ["aws", "amazon aws", "ec2", "s3"] },
+  { id: "azure", en: "Microsoft Azure", ar: "مايكروسوفت أزور", aliases: ["azure", "ms azure"] },
+  { id: "gcp", en: "Google Cloud", ar: "جوجل كلاود", aliases: ["gcp", "google cloud platform"] },
+  { id: "cloud_computing", en: "Cloud computing", ar: "الحوسبة السحابية", aliases: ["cloud", "cloud services", "cloud infrastructure", "حوسبة سحابية"] },
+  { id: "docker_kubernetes", en: "Containers (Docker / Kubernetes)", ar: "الحاويات", aliases: ["docker", "kubernetes", "k8s", "containers", "openshift"] },
+  { id: "devops", en: "DevOps and CI/CD", ar: "ديف أوبس", aliases: ["devops", "ci/cd", "jenkins", "continuous integration", "github actions", "azure devops"] },
+  { id: "infrastructure_as_code", en: "Infrastructure as code", ar: "البنية التحتية كرمز", aliases: ["terraform", "ansible", "cloudformation", "iac"] },
+
+  // Security
+  { id: "cybersecurity", en: "Cybersecurity", ar: "الأمن السيبراني", aliases: ["cyber security", "information security", "infosec", "it security", "أمن المعلومات", "امن سيبراني"] },
+  { id: "network_security", en: "Network security", ar: "أمن الشبكات", aliases: ["firewall", "firewalls", "vpn", "ids/ips", "fortinet", "palo alto"] },
+  { id: "penetration_testing", en: "Penetration testing", ar: "اختبار الاختراق", aliases: ["pentesting", "pen testing", "ethical hacking", "vulnerability assessment", "kali linux", "metasploit"] },
+  { id: "siem_soc", en: "Security monitoring (SIEM / SOC)", ar: "مراقبة الأمن", aliases: ["siem", "soc", "splunk", "qradar", "security monitoring"] },
+  { id: "incident_response", en: "Incident response", ar: "الاستجابة للحوادث", aliases: ["incident handling", "digital forensics", "forensics"] },
+  { id: "grc", en: "Governance, risk and compliance", ar: "الحوكمة والمخاطر والامتثال", aliases: ["grc", "iso 27001", "nist", "compliance", "regulatory compliance", "الامتثال"] },
+  { id: "identity_access", en: "Identity and access management", ar: "إدارة الهوية والوصول", aliases: ["iam", "access control", "identity management", "sso", "okta"] },
+
+  // Project and business
+  { id: "project_management", en: "Project management", ar: "إدارة المشاريع", aliases: ["pm", "managing projects", "project planning", "project delivery", "إدارة مشاريع"] },
+  { id: "agile_scrum", en: "Agile / Scrum", ar: "أجايل / سكرم", aliases: ["agile", "scrum", "kanban", "sprint planning", "أجايل", "سكرم"] },
+  { id: "ms_project", en: "MS Project / Primavera", ar: "برامج جدولة المشاريع", aliases: ["ms project", "microsoft project", "primavera", "primavera p6", "p6"] },
+  { id: "risk_management", en: "Risk management", ar: "إدارة المخاطر", aliases: ["risk assessment", "risk analysis", "enterprise risk management", "erm"] },
+  { id: "stakeholder_management", en: "Stakeholder management", ar: "إدارة أصحاب المصلحة", aliases: ["stakeholder engagement", "client relationship management"] },
+  { id: "business_analysis", en: "Business analysis", ar: "تحليل الأعمال", aliases: ["requirements gathering", "requirements analysis", "business requirements", "user stories"] },
+  { id: "process_improvement", en: "Process improvement", ar: "تحسين العمليات", aliases: ["bpmn", "business process management", "process mapping", "lean", "six sigma", "lean six sigma", "kaizen"] },
+  { id: "strategic_planning", en: "Strategic planning", ar: "التخطيط الاستراتيجي", aliases: ["strategy", "business strategy", "strategic management"] },
+  { id: "quality_management", en: "Quality management", ar: "إدارة الجودة", aliases: ["iso 9001", "quality assurance", "quality control", "qms", "ضبط الجودة"] },
+
+  // Finance and accounting
+  { id: "accounting", en: "Accounting", ar: "المحاسبة", aliases: ["general accounting", "bookkeeping", "general ledger", "accounts payable", "accounts receivable", "محاسبة"] },
+  { id: "financial_reporting", en: "Financial reporting", ar: "التقارير المالية", aliases: ["financial statements", "ifrs", "gaap", "القوائم المالية"] },
+  { id: "auditing", en: "Auditing", ar: "المراجعة والتدقيق", aliases: ["audit", "internal audit", "external audit", "تدقيق", "مراجعة داخلية"] },
+  { id: "taxation", en: "Tax and zakat", ar: "الضرائب والزكاة", aliases: ["tax", "vat", "zakat", "taxation", "ضريبة القيمة المضافة", "زكاة"] },
+  { id: "budgeting", en: "Budgeting and forecasting", ar: "الموازنات والتنبؤ", aliases: ["budgeting", "budget", "forecasting", "financial planning", "fp&a", "الموازنة"] },
+  { id: "financial_analysis", en: "Financial analysis", ar: "التحليل المالي", aliases: ["financial modeling", "financial modelling", "valuation", "investment analysis"] },
+  { id: "erp", en: "ERP systems", ar: "أنظمة تخطيط موارد المؤسسات", aliases: ["erp", "sap", "oracle erp", "oracle financials", "odoo", "microsoft dynamics", "quickbooks"] },
+  { id: "internal_control", en: "Internal control", ar: "الرقابة الداخلية", aliases: ["internal controls", "sox", "coso"] },
+
+  // Human resources and training
+  { id: "recruitment", en: "Recruitment", ar: "التوظيف", aliases: ["recruiting", "talent acquisition", "hiring", "sourcing candidates", "الاستقطاب"] },
+  { id: "employee_relations", en: "Employee relations", ar: "علاقات الموظفين", aliases: ["labor relations", "employee engagement"] },
+  { id: "payroll", en: "Payroll and compensation", ar: "الرواتب والتعويضات", aliases: ["payroll", "compensation", "compensation and benefits", "c&b", "الرواتب"] },
+  { id: "labor_law", en: "Labor law", ar: "نظام العمل", aliases: ["labour law", "employment law", "saudi labor law", "قانون العمل"] },
+  { id: "performance_management", en: "Performance management", ar: "إدارة الأداء", aliases: ["performance appraisal", "kpis", "kpi", "تقييم الأداء"] },
+  { id: "training_development", en: "Training and development", ar: "التدريب والتطوير", aliases: ["learning and development", "l&d", "training delivery", "تدريب"] },
+  { id: "instructional_design", en: "Instructional design", ar: "التصميم التعليمي", aliases: ["curriculum design", "course design", "addie", "e-learning development"] },
+  { id: "hris", en: "HR information systems", ar: "أنظمة الموارد البشرية", aliases: ["hris", "workday", "successfactors", "sap hr"] },
+
+  // Hospitality and customer service
+  { id: "customer_service", en: "Customer service", ar: "خدمة العملاء", aliases: ["customer support", "client service", "customer care", "call center", "خدمة عملاء"] },
+  { id: "guest_relations", en: "Guest relations", ar: "علاقات النزلاء", aliases: ["guest service", "guest services", "guest experience", "خدمة الضيوف"] },
+  { id: "front_office", en: "Front office operations", ar: "عمليات المكتب الأمامي", aliases: ["front desk", "reception", "reservations", "opera pms", "hotel reception", "الاستقبال"] },
+  { id: "housekeeping", en: "Housekeeping", ar: "التدبير الفندقي", aliases: ["room attendant", "laundry operations"] },
+  { id: "food_beverage", en: "Food and beverage service", ar: "خدمات الأغذية والمشروبات", aliases: ["food and beverage", "f&b", "restaurant service", "banquet", "catering"] },
+  { id: "culinary", en: "Culinary arts", ar: "فنون الطهي", aliases: ["cooking", "kitchen operations", "chef", "food preparation", "الطبخ"] },
+  { id: "sales", en: "Sales", ar: "المبيعات", aliases: ["selling", "business development", "b2b sales", "retail sales", "مبيعات"] },
+
+  // Supply chain
+  { id: "procurement", en: "Procurement", ar: "المشتريات", aliases: ["purchasing", "sourcing", "tendering", "strategic sourcing", "مشتريات"] },
+  { id: "inventory_management", en: "Inventory management", ar: "إدارة المخزون", aliases: ["inventory control", "stock control", "warehouse management", "warehousing", "المستودعات"] },
+  { id: "logistics", en: "Logistics", ar: "الخدمات اللوجستية", aliases: ["shipping", "transportation", "freight", "distribution", "لوجستيات"] },
+  { id: "supply_chain_management", en: "Supply chain management", ar: "إدارة سلاسل الإمداد", aliases: ["supply chain", "scm", "demand planning", "سلاسل الإمداد"] },
+  { id: "contract_management", en: "Contract management", ar: "إدارة العقود", aliases: ["contract negotiation", "vendor management", "supplier management", "إدارة الموردين"] },
+
+  // Health, safety and environment
+  { id: "occupational_safety", en: "Occupational health and safety", ar: "الصحة والسلامة المهنية", aliases: ["hse", "ehs", "health and safety", "osha", "nebosh", "iso 45001", "السلامة المهنية"] },
+  { id: "first_aid", en: "First aid", ar: "الإسعافات الأولية", aliases: ["cpr", "bls", "basic life support", "اسعافات اولية"] },
+  { id: "fire_safety", en: "Fire safety", ar: "السلامة من الحرائق", aliases: ["fire protection", "fire fighting", "emergency response", "evacuation"] },
+  { id: "environmental_management", en: "Environmental management", ar: "الإدارة البيئية", aliases: ["iso 14001", "waste management", "sustainability", "الاستدامة"] },
+  { id: "energy_management", en: "Energy management", ar: "إدارة الطاقة", aliases: ["energy audit", "energy efficiency", "measurement and verification", "m&v"] },
+
+  // Marketing and communication
+  { id: "digital_marketing", en: "Digital marketing", ar: "التسويق الرقمي", aliases: ["online marketing", "performance marketing", "google ads", "sem", "ppc"] },
+  { id: "seo", en: "SEO", ar: "تحسين محركات البحث", aliases: ["search engine optimization", "search engine optimisation"] },
+  { id: "social_media", en: "Social media marketing", ar: "التسويق عبر وسائل التواصل", aliases: ["social media", "social media management", "instagram", "التواصل الاجتماعي"] },
+  { id: "content_creation", en: "Content creation", ar: "صناعة المحتوى", aliases: ["content writing", "copywriting", "content marketing", "كتابة المحتوى"] },
+  { id: "market_research", en: "Market research", ar: "أبحاث السوق", aliases: ["market analysis", "consumer research", "competitive analysis"] },
+  { id: "graphic_design", en: "Graphic design", ar: "التصميم الجرافيكي", aliases: ["photoshop", "illustrator", "adobe creative suite", "canva", "indesign", "تصميم جرافيك"] },
+  { id: "autocad", en: "AutoCAD / CAD", ar: "أوتوكاد", aliases: ["autocad", "cad", "revit", "solidworks", "bim"] },
+
+  // Professional skills
+  { id: "leadership", en: "Leadership", ar: "القيادة", aliases: ["team leadership", "people management", "team management", "قيادة الفرق"] },
+  { id: "communication", en: "Communication", ar: "التواصل", aliases: ["communication skills", "verbal communication", "written communication", "مهارات التواصل", "الاتصال"] },
+  { id: "presentation", en: "Presentation skills", ar: "مهارات العرض", aliases: ["public speaking", "presentations", "facilitation", "الإلقاء"] },
+  { id: "problem_solving", en: "Problem solving", ar: "حل المشكلات", aliases: ["troubleshooting", "analytical thinking", "critical thinking", "التفكير النقدي"] },
+  { id: "negotiation", en: "Negotiation", ar: "التفاوض", aliases: ["negotiation skills"] },
+  { id: "time_management", en: "Time management", ar: "إدارة الوقت", aliases: ["prioritization", "organizational skills"] },
+  { id: "teamwork", en: "Teamwork", ar: "العمل الجماعي", aliases: ["collaboration", "team player", "العمل ضمن فريق"] },
+  { id: "ms_office", en: "Microsoft Office", ar: "مايكروسوفت أوفيس", aliases: ["ms office", "office 365", "microsoft 365", "ms word", "powerpoint", "ms outlook"] },
+  { id: "english", en: "English language", ar: "اللغة الإنجليزية", aliases: ["english", "business english", "الإنجليزية", "انجليزي"] },
+  { id: "arabic", en: "Arabic language", ar: "اللغة العربية", aliases: ["arabic", "العربية", "عربي"] },
+]);
+
+// ---------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------
+
+// Case/punctuation/Arabic-spelling insensitive key; keeps "+" and "#" (C++, C#)
+function skillKey(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[ً-ٰـ]/g, "")
+    .replace(/[آأإ]/g, "ا")
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه")
+    .replace(/(^|\s)(و?)ال(?=\S{3,})/g, "$1$2")
+    .replace(/[^a-z0-9+#ء-ي]+/g, " ")
+    .trim();
+}
+
+const skillById = new Map(SKILL_TAXONOMY.map((skill) => [skill.id, skill]));
+
+const skillLookup = new Map();
+SKILL_TAXONOMY.forEach((skill) => {
+  [skill.id, skill.en, skill.ar, ...skill.aliases].forEach((label) => {
+    const key = skillKey(label);
+    if (key && !skillLookup.has(key)) skillLookup.set(key, skill);
+  });
+});
+
+// Phrases searched for in free text, indexed by first token. Very short aliases
+// ("js", "ai", "pm") are only trusted as a whole skill entry, not inside prose.
+const textPhrases = new Map();
+skillLookup.forEach((skill, key) => {
+  if (key.length < 3 && !/[+#]/.test(key)) return;
+  const tokens = key.split(" ");
+  if (!textPhrases.has(tokens[0])) textPhrases.set(tokens[0], []);
+  textPhrases.get(tokens[0]).push({ tokens, skill });
+});
+
+export function getSkillById(skillId) {
+  return skillById.get(skillId) || null;
+}
+
+// Resolves one skill string ("JS", "جافاسكربت", "React.js") to its taxonomy record, or null
+export function resolveSkill(text) {
+  return skillLookup.get(skillKey(text)) || null;
+}
+
+// The label a canonical skill is shown with
+export function skillLabel(skill, language = "en") {
+  return language === "ar" ? skill.ar || skill.en : skill.en || skill.ar;
+}
+
+// Every taxonomy skill mentioned in free text (catalog descriptions, job descriptions)
+export function findSkillsInText(text) {
+  const tokens = skillKey(text).split(" ").filter(Boolean);
+  const found = new Set();
+  tokens.forEach((token, i) => {
+    (textPhrases.get(token) || []).forEach(({ tokens: phrase, skill }) => {
+      if (phrase.every((t, j) => tokens[i + j] === t)) found.add(skill.id);
+    });
+  });
+  return [...found];
+}
+
+// A skill string plus its canonical labels, so a query for "JS" also matches "JavaScript"
+export function expandSkillText(text) {
+  const skill = resolveSkill(text);
+  if (!skill) return text;
+  return [...new Set([text, skill.en, skill.ar].filter(Boolean))].join(" ");
+}
+
+/**
+ * Canonicalises a list of CV skills (strings or { title } objects).
+ * - Known skills get their canonical label (Arabic when the original was Arabic) and `skillId`.
+ * - Compound entries ("HTML/CSS, JavaScript") are split when every part is a known skill.
+ * - Duplicates (same skillId, or the same unknown text) are dropped; unknown skills are kept verbatim.
+ * Returns [{ title, skillId? }].
+ */
+export function normalizeSkills(skills) {
+  const result = [];
+  const seen = new Set();
+
+  const add = (raw) => {
+    const text = String(raw || "").trim();
+    if (!text) return;
+    const skill = resolveSkill(text);
+    const dedupeKey = skill ? `id:${skill.id}` : `text:${skillKey(text)}`;
+    if (seen.has(dedupeKey)) return;
+    seen.add(dedupeKey);
+    if (skill) {
+      const language = /[ء-ي]/.test(text) ? "ar" : "en";
+      result.push({ title: skillLabel(skill, language), skillId: skill.id });
+    } else {
+      result.push({ title: text });
+    }
+  };
+
+  (skills || []).forEach((item) => {
+    const text = typeof item === "string" ? item : item?.title || "";
+    if (!resolveSkill(text)) {
+      const parts = text.split(/\s*(?:[,،;/|]|\s&\s|\band\b|\sو\s)\s*/).filter(Boolean);
+      if (parts.length > 1 && parts.every((part) => resolveSkill(part))) {
+        parts.forEach(add);
+        return;
+      }
+    }
+    add(text);
+  });
+  return result;
+}
+
+// Autocomplete entries for the review modal: canonical labels in the page language first
+export function getSkillSuggestions(language = "en") {
+  const other = language === "ar" ? "en" : "ar";
+  return SKILL_TAXONOMY.map((skill) => ({
+    value: skillLabel(skill, language),
+    label: skillLabel(skill, other),
+  }));
+}
@@ -10,10 +10,17 @@ import {
   initializeCertificates,
   getFinalCertificateCatalog,
 } from "./constants.js";
+import { prepareCatalogEntries } from "./certificates-data.js";
+import { getCachedValue, setCachedValue, deleteCachedValue } from "./workspace-store.js";
+import { parseDateRange, mergedMonths, monthsToYears } from "./date-ranges.js";
 
 // Certificate catalog (loaded on init)
 export let certificateCatalog = [];
 
+// Imported catalog, read from IndexedDB on init (see loadImportedCatalog)
+const IMPORTED_CATALOG_CACHE_KEY = "skillMatchImportedCatalog";
+let importedCatalog = null;
+
 // Save chat history
 export function saveChatHistory(chatHistory) {
   try {
@@ -86,14 +93,23 @@ export function loadLastRecommendations() {
 }
 
 // Load certificate catalog (async - loads from JSON file)
+// A catalog imported from a spreadsheet (see catalog-import.js) takes precedence.
 export async function loadCertificateCatalog() {
   // Initialize certificates if not already loaded
   await initializeCertificates();
-  
+
+  importedCatalog = await readImportedCatalog();
+  if (importedCatalog) {
+    certificateCatalog = prepareCatalogEntries(importedCatalog.entries);
+    fieldIndex = null;
+    return certificateCatalog;
+  }
+
   // Get the loaded certificates
   certificateCatalog = getFinalCertificateCatalog();
+  fieldIndex = null;
   
-  // Persist to localStorage for faster future loads
+  // Persist to IndexedDB for faster future loads
   if (certificateCatalog && certificateCatalog.length > 0) {
     saveCertificateCatalog(certificateCatalog);
   }
@@ -101,26 +117,73 @@ export async function loadCertificateCatalog() {
   return certificateCatalog;
 }
 
-// Save catalog to storage
-export function saveCertificateCatalog(catalogArray) {
+function isImportedCatalog(value) {
+  return Boolean(value && Array.isArray(value.entries) && value.entries.length > 0);
+}
+
+// Imported catalog from the IndexedDB cache, or null
+async function readImportedCatalog() {
   try {
-    localStorage.setItem(CERT_CATALOG_KEY, JSON.stringify(catalogArray));
+    const cached = await getCachedValue(IMPORTED_CATALOG_CACHE_KEY);
+    return isImportedCatalog(cached) ? cached : null;
   } catch (err) {
-    console.error("Failed to save certificate catalog:", err);
+    console.error("Failed to read imported catalog:", err);
+    return null;
   }
 }
 
-// Catalog as prompt string
-export function getCatalogAsPromptString() {
-  const catalog =
-    certificateCatalog && certificateCatalog.length > 0
-      ? certificateCatalog
-      : getFinalCertificateCatalog();
+// Imported catalog: { fileName, importedAt, entries } or null (available after loadCertificateCatalog)
+export function loadImportedCatalog() {
+  return importedCatalog;
+}
+
+// Swap in an imported catalog (entries without ids) and persist it
+export function replaceCertificateCatalog(entries, fileName = "") {
+  certificateCatalog = prepareCatalogEntries(entries);
+  fieldIndex = null;
+  importedCatalog = { fileName, importedAt: new Date().toISOString(), entries };
+  setCachedValue(IMPORTED_CATALOG_CACHE_KEY, importedCatalog).catch((err) =>
+    console.error("Failed to save imported catalog:", err)
+  );
+  saveCertificateCatalog(certificateCatalog);
+  return certificateCatalog;
+}
+
+// Drop the imported catalog and go back to the bundled Certificates.json
+export function clearImportedCatalog() {
+  importedCatalog = null;
+  deleteCachedValue(IMPORTED_CATALOG_CACHE_KEY).catch((err) =>
+    console.error("Failed to remove imported catalog:", err)
+  );
+  certificateCatalog = getFinalCertificateCatalog();
+  fieldIndex = null;
+  saveCertificateCatalog(certificateCatalog);
+  return certificateCatalog;
+}
+
+// Save catalog to storage (IndexedDB; the catalog is too large for localStorage's quota)
+export function saveCertificateCatalog(catalogArray) {
+  localStorage.removeItem(CERT_CATALOG_KEY);
+  setCachedValue(CERT_CATALOG_KEY, catalogArray).catch((err) =>
+    console.error("Failed to save certificate catalog:", err)
+  );
+}
+
+// Loaded catalog, falling back to the raw database before init completes
+export function getActiveCatalog() {
+  return certificateCatalog && certificateCatalog.length > 0
+    ? certificateCatalog
+    : getFinalCertificateCatalog();
+}
+
+// Catalog as prompt string (pass a subset to serialise only those certificates)
+export function getCatalogAsPromptString(certificates = null) {
+  const catalog = certificates || getActiveCatalog();
 
   return catalog
     .map(
       (c) =>
-        `- **${c.name || c.Certificate_Name_EN || "Unknown Certificate"}** (${
+        `- ${c.id ? `[${c.id}] ` : ""}**${c.name || c.Certificate_Name_EN || "Unknown Certificate"}** (${
           c.level || c.Level || "N/A"
         }): ${c.description || c.Description || ""}${
           c.fieldEn || c.Certificate_Field_EN
@@ -135,6 +198,104 @@ export function getCatalogAsPromptString() {
     .join("\n");
 }
 
+// Lookup by stable certificate id
+export function getCertificateById(certId) {
+  if (!certId) return null;
+  return getActiveCatalog().find((c) => c.id === certId) || null;
+}
+
+// The catalog fields copied onto a recommendation (kept with saved results)
+export function toCatalogRef(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    nameAr: entry.nameAr,
+    level: entry.level,
+    levelAr: entry.levelAr,
+    levelId: entry.levelId,
+    entity: entry.entity,
+    entityAr: entry.entityAr,
+    entityId: entry.entityId,
+    fieldEn: entry.fieldEn,
+    fieldAr: entry.fieldAr,
+    fieldId: entry.fieldId,
+  };
+}
+
+// Catalog attributes of a recommendation (older saved results carry no catalog ref)
+export function getRecommendationCatalogRef(rec) {
+  if (rec.catalog) return rec.catalog;
+  const cert = getCertificateById(rec.certId);
+  return cert ? toCatalogRef(cert) : {};
+}
+
+function normalizeCertName(name) {
+  return (name || "").toLowerCase().replace(/[^a-z0-9\u0600-\u06FF]+/g, " ").trim();
+}
+
+// Resolve every AI recommendation against the catalog.
+// - Matched by certId first, then by exact (normalized) English/Arabic name.
+// - Matched recommendations get the canonical id/name and a `catalog` entry attached.
+// - Anything else is treated as invented: removed from `recommendations` and kept
+//   on the candidate as `rejectedRecommendations` so the UI can flag it.
+export function resolveRecommendationsAgainstCatalog(recs) {
+  if (!recs || !Array.isArray(recs.candidates)) return recs;
+  const catalog = getActiveCatalog();
+
+  const byName = new Map();
+  catalog.forEach((c) => {
+    [c.name, c.nameAr].forEach((n) => {
+      const key = normalizeCertName(n);
+      if (key && !byName.has(key)) byName.set(key, c);
+    });
+  });
+
+  return {
+    ...recs,
+    candidates: recs.candidates.map((candidate) => {
+      const resolved = [];
+      const rejected = [];
+      const seenIds = new Set();
+
+      (candidate.recommendations || []).forEach((rec) => {
+        let entry = getCertificateById(rec.certId);
+        let matchedBy = "id";
+        if (!entry) {
+          entry = byName.get(normalizeCertName(rec.certName)) || null;
+          matchedBy = "name";
+        }
+        if (!entry) {
+          rejected.push({ ...rec, rejectionReason: "Not found in the certificate catalog" });
+          return;
+        }
+        if (seenIds.has(entry.id)) return; // same certificate recommended twice
+        seenIds.add(entry.id);
+
+        resolved.push({
+          ...rec,
+          certId: entry.id,
+          certName: entry.name,
+          matchedBy,
+          catalog: toCatalogRef(entry),
+        });
+      });
+
+      if (rejected.length > 0) {
+        console.warn(
+          `Dropped ${rejected.length} recommendation(s) not in the catalog for ${candidate.candidateName}:`,
+          rejected.map((r) => `${r.certId || "?"} / ${r.certName}`)
+        );
+      }
+
+      return {
+        ...candidate,
+        recommendations: resolved,
+        rejectedRecommendations: rejected,
+      };
+    }),
+  };
+}
+
 // Basic in-memory search (case-insensitive) across common fields
 export function searchCertificates(query) {
   if (!query) return certificateCatalog;
@@ -144,10 +305,12 @@ export function searchCertificates(query) {
       c.name,
       c.nameAr,
       c.entity,
+      c.entityAr,
       c.fieldEn,
       c.fieldAr,
       c.description,
       c.level,
+      c.levelAr,
       c.Certificate_Name_EN,
       c.Certificate_Name_AR,
       c.Certificate_Entity,
@@ -199,6 +362,34 @@ export function summarizeRecommendationsForChat(recs) {
         }: ${rec.reason || "Reason not provided"}`
       );
     });
+    const steps = candidate.learningPath?.steps || [];
+    if (steps.length > 0) {
+      lines.push(
+        `Learning path: ${steps
+          .map((s) => `${s.certName}${s.held ? " (held)" : s.recommended ? "" : " (prerequisite)"}`)
+          .join(" → ")}`
+      );
+    }
+    const gap = candidate.skillGap;
+    if (gap && gap.role) {
+      lines.push(
+        `Skill gaps for target role ${gap.role.en}${
+          gap.inferred && gap.inferredFrom ? ` (inferred from "${gap.inferredFrom}")` : ""
+        }: covers ${gap.covered.length} of ${gap.covered.length + gap.missing.length} skills`
+      );
+      if (gap.covered.length > 0) {
+        lines.push(`- Covered: ${gap.covered.map((s) => s.en).join(", ")}`);
+      }
+      gap.missing.forEach((s) => {
+        lines.push(
+          `- Missing: ${s.en}${
+            s.certificates.length > 0
+              ? ` (closed by: ${s.certificates.map((c) => `${c.name} [${c.id}]`).join(", ")})`
+              : ""
+          }`
+        );
+      });
+    }
     lines.push("");
   });
 
@@ -211,27 +402,23 @@ export function extractYear(str) {
   return match ? parseInt(match[0], 10) : null;
 }
 
+// Years in one experience period ("Oct 2018 - present", "03/2015 – 09/2019", Arabic or Hijri dates)
 export function calculateYearsFromPeriod(period) {
-  if (!period || typeof period !== "string") return 0;
-  const currentYear = new Date().getFullYear();
-  const parts = period.split(/\s*[-–—to]+\s*/i);
-  if (parts.length < 2) return 0;
-  const startYear = extractYear(parts[0].trim());
-  const endYear =
-    parts[1].toLowerCase().includes("present") ||
-    parts[1].toLowerCase().includes("current")
-      ? currentYear
-      : extractYear(parts[1].trim());
-  if (!startYear || !endYear) return 0;
-  return Math.max(0, endYear - startYear);
+  const range = parseDateRange(period);
+  return range ? monthsToYears(range.end - range.start) : 0;
 }
 
+// Total years of experience; time covered by overlapping jobs is counted once
 export function calculateTotalExperience(experienceArray) {
   if (!Array.isArray(experienceArray)) return 0;
-  let totalYears = 0;
-  experienceArray.forEach((exp) => {
-    const period = exp.period || exp.years || "";
-    totalYears += calculateYearsFromPeriod(period);
-  });
-  return Math.round(totalYears * 10) / 10;
+  const ranges = experienceArray.map((exp) => parseDateRange(exp.period || exp.years || ""));
+  return monthsToYears(mergedMonths(ranges));
+}
+
+// Total years for rules that depend on experience: undefined (unknown, not zero)
+// when no entry has a readable date
+export function calculateKnownExperience(experienceArray) {
+  if (!Array.isArray(experienceArray)) return undefined;
+  const dated = experienceArray.some((exp) => parseDateRange(exp.period || exp.years || ""));
+  return dated ? calculateTotalExperience(experienceArray) : undefined;
 }
@@ -0,0 +1,303 @@
+// structured-output.js
+// Schema validation, tolerant JSON repair and bounded re-prompting for AI responses.
+
+import { STRUCTURED_OUTPUT_MAX_RETRIES } from "./constants.js";
+import { RULE_TYPES } from "./rule-engine.js";
+
+// ---------------------------------------------------------------------------
+// Schemas
+// A small JSON-schema subset: type (string or list of types), required,
+// properties, items, enum.
+// Unknown properties are allowed so the model can add harmless extras.
+// ---------------------------------------------------------------------------
+const stringArray = { type: "array", items: { type: "string" } };
+const optionalString = { type: ["string", "null"] };
+
+export const RECOMMENDATIONS_SCHEMA = {
+  type: "object",
+  required: ["candidates"],
+  properties: {
+    candidates: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["candidateName", "recommendations"],
+        properties: {
+          candidateName: { type: "string" },
+          recommendations: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["certName", "reason"],
+              properties: {
+                certId: { type: "string" },
+                certName: { type: "string" },
+                reason: { type: "string" },
+                rulesApplied: stringArray,
+                confidence: { type: ["number", "null"] },
+                evidence: stringArray,
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+export const CV_SECTIONS_SCHEMA = {
+  type: "object",
+  required: ["experience", "education", "skills"],
+  properties: {
+    experience: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          jobTitle: optionalString,
+          company: optionalString,
+          period: optionalString,
+          description: optionalString,
+        },
+      },
+    },
+    education: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          degree: optionalString,
+          major: optionalString,
+          institution: optionalString,
+        },
+      },
+    },
+    certifications: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: optionalString,
+          issuer: optionalString,
+        },
+      },
+    },
+    // Models occasionally return skills as {title} objects; the UI accepts both
+    skills: { type: "array", items: { type: ["string", "object"] } },
+    other: { type: ["object", "null"] },
+  },
+};
+
+export const JOB_DESCRIPTION_SCHEMA = {
+  type: "object",
+  required: ["requiredSkills"],
+  properties: {
+    title: optionalString,
+    requiredSkills: stringArray,
+    minYearsExperience: { type: ["number", "null"] },
+    preferredCertifications: stringArray,
+  },
+};
+
+export const RULES_SCHEMA = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["text", "type"],
+    properties: {
+      text: { type: "string" },
+      type: { type: "string", enum: RULE_TYPES },
+      params: { type: ["object", "null"] },
+    },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// Returns a list of human-readable errors ("$.candidates[0].reason: expected string, got null").
+export function validateAgainstSchema(value, schema, path = "$") {
+  const errors = [];
+  const actual = typeOf(value);
+
+  const allowedTypes = schema.type ? [].concat(schema.type) : null;
+  if (allowedTypes && !allowedTypes.includes(actual)) {
+    errors.push(`${path}: expected ${allowedTypes.join(" or ")}, got ${actual}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.join(", ")}, got ${JSON.stringify(value)}`);
+  }
+
+  if (actual === "object") {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key}: missing required field`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (key in value) {
+        errors.push(...validateAgainstSchema(value[key], propSchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+// ---------------------------------------------------------------------------
+// Extraction + repair
+// ---------------------------------------------------------------------------
+
+// Strips code fences and surrounding prose, keeping the outermost JSON value.
+export function extractJsonText(rawText) {
+  let text = (rawText || "").trim();
+  text = text.replace(/```(?:json)?\s*/gi, "").replace(/```/g, "").trim();
+
+  const start = text.search(/[{[]/);
+  if (start === -1) return text;
+  const closer = text[start] === "{" ? "}" : "]";
+  const end = text.lastIndexOf(closer);
+  // No closer at all usually means the response was truncated; keep the tail for repair.
+  return end > start ? text.slice(start, end + 1) : text.slice(start);
+}
+
+// Fixes the mistakes models commonly make: smart quotes, trailing commas,
+// raw newlines inside strings, and output cut off mid-array or mid-object.
+export function repairJson(text) {
+  const source = text.replace(/[“”„‟]/g, '"');
+  const stack = [];
+  let out = "";
+  let inString = false;
+  let escaped = false;
+
+  for (const ch of source) {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === "\\") {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+      } else if (ch === "\n") {
+        out += "\\n";
+        continue;
+      }
+      out += ch;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      stack.push(ch === "{" ? "}" : "]");
+    } else if (ch === "}" || ch === "]") {
+      out = out.replace(/,\s*$/, "");
+      stack.pop();
+    }
+    out += ch;
+  }
+
+  // Truncated output: close the open string, drop dangling keys/commas, close brackets.
+  if (inString) {
+    if (escaped) out = out.slice(0, -1);
+    out += '"';
+  }
+  while (stack.length) {
+    out = out.replace(/,\s*$/, "");
+    if (stack[stack.length - 1] === "}") {
+      out = out
+        .replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, "$1")
+        .replace(/,\s*$/, "");
+    }
+    out += stack.pop();
+  }
+
+  return out;
+}
+
+// Parses model output, falling back to repair. Returns { value } or { error }.
+export function parseJsonLoosely(rawText) {
+  const extracted = extractJsonText(rawText);
+  try {
+    return { value: JSON.parse(extracted) };
+  } catch (_) {
+    // fall through to repair
+  }
+  try {
+    return { value: JSON.parse(repairJson(extracted)), repaired: true };
+  } catch (err) {
+    return { error: `Response is not valid JSON (${err.message})` };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Generate + validate + re-prompt loop
+// ---------------------------------------------------------------------------
+function buildRepairPrompt(originalPrompt, errors) {
+  return `${originalPrompt}
+
+**Your previous response could not be used:**
+${errors.slice(0, 20).map((e) => `- ${e}`).join("\n")}
+
+Return the corrected response now. Respond with ONLY valid JSON that matches the required structure, with no commentary or code fences.`;
+}
+
+/**
+ * Calls the model and returns a value that satisfies `schema`.
+ * On invalid output the model is re-prompted with the validation errors,
+ * up to `maxRetries` extra attempts. Throws when every attempt fails; the
+ * error carries `validationErrors` and `rawResponse` from the last attempt.
+ *
+ * @param {object} options
+ * @param {string} options.prompt         Prompt sent on the first attempt.
+ * @param {object} options.schema         Schema the parsed JSON must satisfy.
+ * @param {(prompt: string) => Promise<string>} options.generate  LLM call.
+ * @param {string} [options.label]        Used in logs and the thrown error.
+ * @param {number} [options.maxRetries]
+ */
+export async function generateStructuredOutput({
+  prompt,
+  schema,
+  generate,
+  label = "AI response",
+  maxRetries = STRUCTURED_OUTPUT_MAX_RETRIES,
+}) {
+  let currentPrompt = prompt;
+  let lastErrors = [];
+  let lastRaw = "";
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    lastRaw = await generate(currentPrompt);
+    const parsed = parseJsonLoosely(lastRaw);
+
+    lastErrors = parsed.error
+      ? [parsed.error]
+      : validateAgainstSchema(parsed.value, schema);
+
+    if (lastErrors.length === 0) {
+      if (parsed.repaired) console.warn(`${label}: JSON was repaired locally.`);
+      return parsed.value;
+    }
+
+    console.warn(`${label}: attempt ${attempt + 1} failed validation`, lastErrors);
+    currentPrompt = buildRepairPrompt(prompt, lastErrors);
+  }
+
+  console.error(`${label}: raw response of last attempt:`, lastRaw);
+  const error = new Error(`${label} did not match the expected format: ${lastErrors[0]}`);
+  error.validationErrors = lastErrors;
+  error.rawResponse = lastRaw;
+  throw error;
+}
@@ -0,0 +1,72 @@
+// Formula guard of the sheet exports (report-export.js). Run with: node --test tests/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCsv, buildExportRows, exportRecommendationsXlsx } from "../report-export.js";
+
+// The data cell of a one-column CSV
+function csvCell(value) {
+  return buildCsv([{ text: value }]).split("\r\n")[1];
+}
+
+test("CSV prefixes cells that could run as formulas", () => {
+  assert.equal(csvCell('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+  assert.equal(csvCell("+1"), "'+1");
+  assert.equal(csvCell("-x"), "'-x");
+  assert.equal(csvCell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(csvCell("  =1+1"), "'  =1+1");
+  assert.equal(csvCell("\t=1"), "'\t=1");
+  assert.equal(csvCell("\tcmd"), "'\tcmd");
+  assert.equal(csvCell("\rcmd"), `"'\rcmd"`);
+});
+
+test("CSV leaves other cells as they are", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell("a - b"), "a - b");
+  assert.equal(csvCell(-5), "-5");
+});
+
+test("CSV guards text that comes from the candidates", () => {
+  const candidates = [
+    {
+      cvId: "cv_1",
+      cvName: "=cmd|' /C calc'!A0",
+      candidateName: "Dev",
+      learningPath: { steps: [] },
+      recommendations: [{ certId: "cert_1", certName: "Cert", reason: "-risky" }],
+    },
+  ];
+  const csv = buildCsv(buildExportRows(candidates, [], "en"));
+  assert.match(csv, /,'=cmd\|' \/C calc'!A0,/);
+  assert.doesNotMatch(csv, /,=cmd/);
+});
+
+test("XLSX writes the cell text unchanged", () => {
+  const candidates = [
+    {
+      cvId: "cv_1",
+      cvName: "=cmd|' /C calc'!A0",
+      candidateName: "Dev",
+      learningPath: { steps: [] },
+      recommendations: [{ certId: "cert_1", certName: "Cert", reason: "  @x" }],
+    },
+  ];
+  let sheetRows = null;
+  globalThis.XLSX = {
+    utils: {
+      json_to_sheet: (rows) => {
+        sheetRows = rows;
+        return {};
+      },
+      book_new: () => ({}),
+      book_append_sheet: () => {},
+    },
+    writeFile: () => {},
+  };
+  try {
+    exportRecommendationsXlsx(candidates, [], "en");
+  } finally {
+    delete globalThis.XLSX;
+  }
+  assert.deepEqual(sheetRows, buildExportRows(candidates, [], "en"));
+  assert.ok(Object.values(sheetRows[0]).includes("=cmd|' /C calc'!A0"));
+});
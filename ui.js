@@ -6,6 +6,7 @@ import {
   DEFAULT_RULES_EN,
   DEFAULT_RULES_AR,
   getDefaultRules,
+  WORKSPACE_SAVE_DELAY_MS,
 } from "./constants.js";
 
 import {
@@ -16,24 +17,99 @@ import {
   saveLastRecommendations,
   loadLastRecommendations,
   loadCertificateCatalog,
+  loadImportedCatalog,
+  getActiveCatalog,
+  toCatalogRef,
   calculateTotalExperience,
   calculateYearsFromPeriod,
 } from "./storage-catalog.js";
 
 import {
   addMessage,
+  createStreamingMessage,
   showTypingIndicator,
   hideTypingIndicator,
   buildChatSystemPrompt,
   buildChatContextMessage,
   extractTextFromFile,
+  extractCvText,
   parseCvIntoStructuredSections,
+  parseJobDescription,
   parseAndApplyRules,
   analyzeCvsWithAI,
   displayRecommendations,
-  callGeminiAPI,
+  streamGeminiAPI,
 } from "./ai.js";
 
+import {
+  listLlmProviders,
+  getActiveLlmSettings,
+  setActiveProvider,
+} from "./llm-providers.js";
+
+import {
+  previewCatalogImport,
+  validateBundledCatalog,
+  applyCatalogImport,
+  restoreBundledCatalog,
+} from "./catalog-import.js";
+
+import {
+  initializeCatalogBrowser,
+  refreshCatalogBrowser,
+} from "./catalog-browser.js";
+
+import {
+  loadProgressionEdges,
+  addProgressionEdge,
+  removeProgressionEdge,
+  resetProgressionEdges,
+  findHeldCertificates,
+  withLearningPath,
+} from "./certificate-progression.js";
+
+import {
+  analyzeSkillGap,
+  withTargetRole,
+} from "./skill-gap.js";
+
+import { normalizeSkills, getSkillSuggestions } from "./skill-taxonomy.js";
+
+import { detectCvFormat } from "./cv-formats.js";
+
+import { renderCohortDashboard } from "./cohort-dashboard.js";
+
+import { explainRecommendations, evidenceExcerpt } from "./match-evidence.js";
+
+import {
+  exportRecommendationsPdf,
+  exportRecommendationsXlsx,
+  exportRecommendationsCsv,
+  exportRecommendationsJson,
+} from "./report-export.js";
+
+import { createRun, renderRunHistory } from "./run-history.js";
+
+import { rankCandidatesForJob, renderJobMatches } from "./job-matching.js";
+
+import {
+  withRecommendationFeedback,
+  withoutCandidateFeedback,
+  withFeedback,
+  renderFeedbackSummary,
+} from "./recommendation-feedback.js";
+
+import {
+  openActiveWorkspace,
+  saveWorkspace,
+  listWorkspaces,
+  createWorkspace,
+  duplicateWorkspace,
+  deleteWorkspace,
+  setActiveWorkspaceId,
+  appendWorkspaceRun,
+} from "./workspace-store.js";
+
 // --- TRANSLATIONS FOR DYNAMIC UI ---
 const UI_TEXT = {
   en: {
@@ -51,7 +127,33 @@ const UI_TEXT = {
     skill: "Skill",
     add: "+ Add",
     submitSingle: "Submit CV",
-    submitAll: "Submit all CVs"
+    submitAll: "Submit all CVs",
+    catalogBuiltIn: "Built-in catalog",
+    catalogImportedFrom: "Imported from",
+    catalogCertificates: "certificates",
+    catalogRows: "rows",
+    catalogValid: "valid",
+    catalogErrors: "errors",
+    catalogWarnings: "warnings",
+    catalogRow: "Row",
+    catalogMissingColumns: "Missing columns",
+    catalogMoreIssues: "more issues (see the console)",
+    catalogApply: "Use this catalog",
+    catalogClose: "Close",
+    progressionLinks: "prerequisite links",
+    progressionRemove: "Remove link",
+    progressionNotInCatalog: "not in the current catalog",
+    workspaceDefaultName: "Workspace",
+    workspaceCopy: "copy",
+    workspaceCvs: "CVs",
+    workspaceConfirmDelete: "Delete this workspace and everything in it?",
+    evidenceSource: "In the CV text",
+    extractionOcr: "Read by OCR from a scan",
+    extractionConfidence: "confidence",
+    extractionPages: "pages",
+    extractionLowConfidence: "The scan was hard to read. Check every field against the original CV.",
+    extractionLittleText: "Very little text could be read from this file. Check the fields against the original CV.",
+    extractionOcrUnavailable: "Some pages are scans that could not be read (OCR unavailable). Fill in the missing details by hand."
   },
   ar: {
     experience: "الخبرة المهنية",
@@ -68,7 +170,33 @@ const UI_TEXT = {
     skill: "المهارة",
     add: "+ إضافة",
     submitSingle: "إرسال السيرة الذاتية",
-    submitAll: "إرسال جميع السير الذاتية"
+    submitAll: "إرسال جميع السير الذاتية",
+    catalogBuiltIn: "الكتالوج المدمج",
+    catalogImportedFrom: "مستورد من",
+    catalogCertificates: "شهادة",
+    catalogRows: "صف",
+    catalogValid: "صالح",
+    catalogErrors: "أخطاء",
+    catalogWarnings: "تحذيرات",
+    catalogRow: "الصف",
+    catalogMissingColumns: "أعمدة مفقودة",
+    catalogMoreIssues: "ملاحظات أخرى (راجع وحدة التحكم)",
+    catalogApply: "استخدام هذا الكتالوج",
+    catalogClose: "إغلاق",
+    progressionLinks: "روابط متطلبات سابقة",
+    progressionRemove: "حذف الرابط",
+    progressionNotInCatalog: "غير موجودة في الكتالوج الحالي",
+    workspaceDefaultName: "مساحة العمل",
+    workspaceCopy: "نسخة",
+    workspaceCvs: "سير ذاتية",
+    workspaceConfirmDelete: "هل تريد حذف مساحة العمل هذه بكل محتوياتها؟",
+    evidenceSource: "في نص السيرة الذاتية",
+    extractionOcr: "قُرئ النص من صورة ممسوحة ضوئياً",
+    extractionConfidence: "الدقة",
+    extractionPages: "الصفحات",
+    extractionLowConfidence: "كانت الصورة الممسوحة صعبة القراءة. راجع كل حقل مقابل السيرة الذاتية الأصلية.",
+    extractionLittleText: "لم يُقرأ إلا القليل من النص في هذا الملف. راجع الحقول مقابل السيرة الذاتية الأصلية.",
+    extractionOcrUnavailable: "بعض الصفحات صور ممسوحة تعذرت قراءتها (التعرف الضوئي غير متاح). أكمل البيانات الناقصة يدوياً."
   }
 };
 
@@ -78,25 +206,75 @@ const STATUS_MESSAGES = {
     analyzing: "Analyzing CVs with AI...",
     extracting: "Extracting text from CVs...",
     parsing: "Parsing CV into sections...",
+    ocrPage: "Reading scanned page",
+    unsupportedFiles: "Not a supported CV format (PDF, Word, RTF, ODT, text, HTML, LinkedIn export ZIP or PNG/JPG), skipped:",
     success: "Analysis complete! Review and submit.",
     error: "Failed to analyze CVs.",
     selectFile: "Please select at least one CV file.",
     generating: "Generating recommendations...",
     genSuccess: "Recommendations generated successfully!",
     rulesSaved: "Rules saved successfully.",
-    rulesCleared: "Rules cleared."
+    rulesCleared: "Rules cleared.",
+    providerChanged: "AI provider switched.",
+    partialFailure: "Recommendations generated, but these CVs could not be analyzed:",
+    baselineFallback: "AI analysis failed for these CVs; showing offline baseline recommendations:",
+    catalogChecking: "Checking catalog...",
+    catalogImported: "Catalog imported. New recommendations will use it.",
+    catalogRestored: "Built-in catalog restored.",
+    catalogImportFailed: "Could not read the catalog file:",
+    progressionAdded: "Link added. Learning paths updated.",
+    progressionRemoved: "Link removed. Learning paths updated.",
+    progressionReset: "Default learning paths restored.",
+    progressionPickCertificates: "Pick both certificates from the catalog list.",
+    exportDone: "Export ready.",
+    exportNothing: "There are no recommendations to export yet.",
+    exportFailed: "Export failed:",
+    workspaceRenamed: "Workspace renamed.",
+    workspaceUnavailable: "Workspaces are unavailable in this browser; this session will not be kept after a refresh.",
+    workspaceFailed: "Workspace action failed:",
+    jobReading: "Reading the job description...",
+    jobParsing: "Reading the requirements and ranking candidates...",
+    jobMatched: "Candidates ranked against the job description.",
+    jobEmpty: "Paste or upload a job description first.",
+    jobParseFailed: "Could not read the requirements from this job description.",
+    jobFileFailed: "Could not read the job description file:"
   },
   ar: {
     analyzing: "جاري تحليل السير الذاتية بالذكاء الاصطناعي...",
     extracting: "جاري استخراج النص من الملفات...",
     parsing: "جاري تقسيم السيرة الذاتية إلى أقسام...",
+    ocrPage: "جاري قراءة الصفحة الممسوحة",
+    unsupportedFiles: "صيغة غير مدعومة للسيرة الذاتية (PDF أو Word أو RTF أو ODT أو نص أو HTML أو ملف تصدير LinkedIn المضغوط أو PNG/JPG)، لن تُقرأ هذه الملفات:",
     success: "اكتمل التحليل! يرجى المراجعة والإرسال.",
     error: "فشل في تحليل السير الذاتية.",
     selectFile: "يرجى اختيار ملف سيرة ذاتية واحد على الأقل.",
     generating: "جاري إصدار التوصيات...",
     genSuccess: "تم إصدار التوصيات بنجاح!",
     rulesSaved: "تم حفظ القواعد بنجاح.",
-    rulesCleared: "تم مسح القواعد."
+    rulesCleared: "تم مسح القواعد.",
+    providerChanged: "تم تغيير مزود الذكاء الاصطناعي.",
+    partialFailure: "تم إصدار التوصيات، لكن تعذر تحليل السير الذاتية التالية:",
+    baselineFallback: "تعذر التحليل بالذكاء الاصطناعي لهذه السير الذاتية؛ تظهر توصيات أساسية محلية:",
+    catalogChecking: "جاري فحص الكتالوج...",
+    catalogImported: "تم استيراد الكتالوج. ستستخدمه التوصيات الجديدة.",
+    catalogRestored: "تمت استعادة الكتالوج المدمج.",
+    catalogImportFailed: "تعذرت قراءة ملف الكتالوج:",
+    progressionAdded: "تمت إضافة الرابط وتحديث المسارات التعليمية.",
+    progressionRemoved: "تم حذف الرابط وتحديث المسارات التعليمية.",
+    progressionReset: "تمت استعادة المسارات التعليمية الافتراضية.",
+    progressionPickCertificates: "اختر الشهادتين من قائمة الكتالوج.",
+    exportDone: "الملف جاهز.",
+    exportNothing: "لا توجد توصيات لتصديرها بعد.",
+    exportFailed: "فشل التصدير:",
+    workspaceRenamed: "تمت إعادة تسمية مساحة العمل.",
+    workspaceUnavailable: "مساحات العمل غير متاحة في هذا المتصفح؛ لن تُحفظ هذه الجلسة بعد تحديث الصفحة.",
+    workspaceFailed: "فشلت عملية مساحة العمل:",
+    jobReading: "جاري قراءة الوصف الوظيفي...",
+    jobParsing: "جاري استخراج المتطلبات وترتيب المرشحين...",
+    jobMatched: "تم ترتيب المرشحين حسب الوصف الوظيفي.",
+    jobEmpty: "الصق الوصف الوظيفي أو ارفعه أولاً.",
+    jobParseFailed: "تعذر استخراج المتطلبات من هذا الوصف الوظيفي.",
+    jobFileFailed: "تعذرت قراءة ملف الوصف الوظيفي:"
   }
 };
 
@@ -216,6 +394,510 @@ function hideLoading(element) {
   element.innerHTML = "";
 }
 
+function initializeProviderSelect(statusElement) {
+  const select = document.getElementById("llm-provider-select");
+  if (!select) return;
+
+  const activeId = getActiveLlmSettings().id;
+  select.innerHTML = "";
+  listLlmProviders().forEach((provider) => {
+    const option = document.createElement("option");
+    option.value = provider.id;
+    option.textContent = provider.label;
+    if (provider.id === activeId) option.selected = true;
+    select.appendChild(option);
+  });
+
+  select.addEventListener("change", () => {
+    setActiveProvider(select.value);
+    updateStatus(statusElement, "providerChanged");
+  });
+}
+
+// ===========================================================================
+// Catalog import (XLSX / CSV) with a validation report
+// ===========================================================================
+
+// Issues listed in the panel; the full list is logged to the console
+const CATALOG_REPORT_MAX_ISSUES = 50;
+
+function renderCatalogSource() {
+  const sourceEl = document.getElementById("catalog-source");
+  if (!sourceEl) return;
+  const imported = loadImportedCatalog();
+  const count = getActiveCatalog().length;
+  sourceEl.textContent = imported
+    ? `${getUiText("catalogImportedFrom")} ${imported.fileName || "file"} · ${count} ${getUiText("catalogCertificates")}`
+    : `${getUiText("catalogBuiltIn")} · ${count} ${getUiText("catalogCertificates")}`;
+  const resetBtn = document.getElementById("catalog-reset-btn");
+  if (resetBtn) resetBtn.classList.toggle("hidden", !imported);
+}
+
+// Shows a validation report; `onApply` (optional) adds the "use this catalog" button
+function renderCatalogReport(result, onApply) {
+  const reportEl = document.getElementById("catalog-report");
+  if (!reportEl) return;
+  const { report } = result;
+  console.info(`Catalog validation for ${result.fileName}:`, report.issues);
+
+  reportEl.innerHTML = "";
+  reportEl.classList.remove("hidden");
+
+  const summary = document.createElement("div");
+  summary.className = "catalog-report-summary";
+  summary.textContent = `${result.fileName}: ${report.totalRows} ${getUiText("catalogRows")} · ${
+    report.validRows
+  } ${getUiText("catalogValid")} · ${report.errorCount} ${getUiText("catalogErrors")} · ${
+    report.warningCount
+  } ${getUiText("catalogWarnings")}`;
+  reportEl.appendChild(summary);
+
+  if (report.missingColumns.length > 0) {
+    const missing = document.createElement("div");
+    missing.className = "catalog-report-missing";
+    missing.textContent = `${getUiText("catalogMissingColumns")}: ${report.missingColumns.join(", ")}`;
+    reportEl.appendChild(missing);
+  }
+
+  if (report.issues.length > 0) {
+    const list = document.createElement("ul");
+    list.className = "catalog-issue-list";
+    report.issues.slice(0, CATALOG_REPORT_MAX_ISSUES).forEach((issue) => {
+      const item = document.createElement("li");
+      item.className = `catalog-issue catalog-issue-${issue.severity}`;
+      item.textContent = `${getUiText("catalogRow")} ${issue.row} · ${issue.column}: ${issue.message}`;
+      if (issue.value) item.title = issue.value;
+      list.appendChild(item);
+    });
+    reportEl.appendChild(list);
+    if (report.issues.length > CATALOG_REPORT_MAX_ISSUES) {
+      const more = document.createElement("div");
+      more.className = "muted";
+      more.textContent = `+${report.issues.length - CATALOG_REPORT_MAX_ISSUES} ${getUiText("catalogMoreIssues")}`;
+      reportEl.appendChild(more);
+    }
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "catalog-report-actions";
+  if (onApply && report.validRows > 0) {
+    const applyBtn = document.createElement("button");
+    applyBtn.type = "button";
+    applyBtn.className = "primary";
+    applyBtn.textContent = getUiText("catalogApply");
+    applyBtn.addEventListener("click", onApply);
+    actions.appendChild(applyBtn);
+  }
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.className = "catalog-action-btn";
+  closeBtn.textContent = getUiText("catalogClose");
+  closeBtn.addEventListener("click", () => {
+    reportEl.classList.add("hidden");
+    reportEl.innerHTML = "";
+  });
+  actions.appendChild(closeBtn);
+  reportEl.appendChild(actions);
+}
+
+function initializeCatalogImport() {
+  const fileInput = document.getElementById("catalog-file-input");
+  const checkBtn = document.getElementById("catalog-check-btn");
+  const resetBtn = document.getElementById("catalog-reset-btn");
+  const statusEl = document.getElementById("catalog-status");
+  const reportEl = document.getElementById("catalog-report");
+  if (!fileInput) return;
+
+  renderCatalogSource();
+
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    showLoading(statusEl, "catalogChecking");
+    try {
+      const preview = await previewCatalogImport(file);
+      hideLoading(statusEl);
+      renderCatalogReport(preview, () => {
+        applyCatalogImport(preview);
+        renderCatalogSource();
+        refreshCatalogBrowser();
+        renderProgressionEditor();
+        reportEl.classList.add("hidden");
+        updateStatus(statusEl, "catalogImported");
+      });
+    } catch (err) {
+      console.error("Catalog import failed:", err);
+      hideLoading(statusEl);
+      updateStatus(statusEl, null, true, `${getStatusText("catalogImportFailed")} ${err.message}`);
+    }
+  });
+
+  if (checkBtn) {
+    checkBtn.addEventListener("click", async () => {
+      showLoading(statusEl, "catalogChecking");
+      try {
+        const result = await validateBundledCatalog();
+        hideLoading(statusEl);
+        renderCatalogReport(result);
+      } catch (err) {
+        console.error("Catalog check failed:", err);
+        hideLoading(statusEl);
+        updateStatus(statusEl, null, true, `${getStatusText("catalogImportFailed")} ${err.message}`);
+      }
+    });
+  }
+
+  if (resetBtn) {
+    resetBtn.addEventListener("click", () => {
+      restoreBundledCatalog();
+      renderCatalogSource();
+      refreshCatalogBrowser();
+      renderProgressionEditor();
+      updateStatus(statusEl, "catalogRestored");
+    });
+  }
+}
+
+// ===========================================================================
+// Learning paths: prerequisite / progression graph editor
+// ===========================================================================
+
+function certificateLabel(cert) {
+  return document.documentElement.lang === 'ar' && cert.nameAr ? cert.nameAr : cert.name;
+}
+
+// Resolves a typed or picked name (English or Arabic) or id to a catalog certificate
+function findCertificateByLabel(value) {
+  const wanted = (value || "").trim().toLowerCase();
+  if (!wanted) return null;
+  return (
+    getActiveCatalog().find(
+      (c) =>
+        c.id === wanted ||
+        (c.name || "").toLowerCase() === wanted ||
+        (c.nameAr || "").toLowerCase() === wanted
+    ) || null
+  );
+}
+
+function renderProgressionEditor() {
+  const listEl = document.getElementById("progression-list");
+  const countEl = document.getElementById("progression-count");
+  const optionsEl = document.getElementById("progression-cert-options");
+  if (!listEl) return;
+
+  if (optionsEl) {
+    optionsEl.innerHTML = "";
+    getActiveCatalog().forEach((cert) => {
+      const option = document.createElement("option");
+      option.value = certificateLabel(cert);
+      optionsEl.appendChild(option);
+    });
+  }
+
+  const edges = loadProgressionEdges();
+  const catalogById = new Map(getActiveCatalog().map((c) => [c.id, c]));
+  if (countEl) countEl.textContent = `${edges.length} ${getUiText("progressionLinks")}`;
+
+  listEl.innerHTML = "";
+  edges.forEach((edge) => {
+    const item = document.createElement("li");
+    item.className = "progression-link";
+
+    const describe = (certId) => {
+      const span = document.createElement("span");
+      const cert = catalogById.get(certId);
+      span.textContent = cert ? certificateLabel(cert) : certId;
+      if (!cert) {
+        span.className = "progression-missing";
+        span.title = getUiText("progressionNotInCatalog");
+      }
+      return span;
+    };
+    const arrow = document.createElement("span");
+    arrow.className = "progression-arrow";
+    arrow.textContent = " → ";
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "progression-remove";
+    removeBtn.setAttribute("aria-label", getUiText("progressionRemove"));
+    removeBtn.title = getUiText("progressionRemove");
+    removeBtn.innerHTML = "&times;";
+    removeBtn.dataset.from = edge.from;
+    removeBtn.dataset.to = edge.to;
+
+    item.appendChild(describe(edge.from));
+    item.appendChild(arrow);
+    item.appendChild(describe(edge.to));
+    item.appendChild(removeBtn);
+    listEl.appendChild(item);
+  });
+}
+
+// `onChange` runs after every edit so open learning paths can be rebuilt
+function initializeProgressionEditor({ onChange = () => {} } = {}) {
+  const listEl = document.getElementById("progression-list");
+  const fromInput = document.getElementById("progression-from");
+  const toInput = document.getElementById("progression-to");
+  const addBtn = document.getElementById("progression-add-btn");
+  const resetBtn = document.getElementById("progression-reset-btn");
+  const statusEl = document.getElementById("progression-status");
+  if (!listEl) return;
+
+  renderProgressionEditor();
+
+  if (addBtn) {
+    addBtn.addEventListener("click", () => {
+      const from = findCertificateByLabel(fromInput?.value);
+      const to = findCertificateByLabel(toInput?.value);
+      if (!from || !to) {
+        updateStatus(statusEl, "progressionPickCertificates", true);
+        return;
+      }
+      try {
+        addProgressionEdge(from.id, to.id);
+      } catch (err) {
+        updateStatus(statusEl, null, true, err.message);
+        return;
+      }
+      fromInput.value = "";
+      toInput.value = "";
+      renderProgressionEditor();
+      updateStatus(statusEl, "progressionAdded");
+      onChange();
+    });
+  }
+
+  listEl.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".progression-remove");
+    if (!removeBtn) return;
+    removeProgressionEdge(removeBtn.dataset.from, removeBtn.dataset.to);
+    renderProgressionEditor();
+    updateStatus(statusEl, "progressionRemoved");
+    onChange();
+  });
+
+  if (resetBtn) {
+    resetBtn.addEventListener("click", () => {
+      resetProgressionEdges();
+      renderProgressionEditor();
+      updateStatus(statusEl, "progressionReset");
+      onChange();
+    });
+  }
+}
+
+// ===========================================================================
+// Results export (PDF / XLSX / CSV / JSON)
+// ===========================================================================
+function initializeResultsExport({ getCandidates, getCvs }) {
+  const statusEl = document.getElementById("export-status");
+  const language = () => (document.documentElement.lang === 'ar' ? 'ar' : 'en');
+
+  const run = async (button, exporter, candidates) => {
+    if (candidates.length === 0) {
+      updateStatus(statusEl, "exportNothing", true);
+      return;
+    }
+    button.disabled = true;
+    try {
+      await exporter(candidates, getCvs(), language());
+      updateStatus(statusEl, "exportDone");
+    } catch (err) {
+      console.error("Export failed:", err);
+      updateStatus(statusEl, null, true, `${getStatusText("exportFailed")} ${err.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  [
+    ["export-pdf-btn", exportRecommendationsPdf],
+    ["export-xlsx-btn", exportRecommendationsXlsx],
+    ["export-csv-btn", exportRecommendationsCsv],
+    ["export-json-btn", (candidates, _cvs, lang) => exportRecommendationsJson(candidates, lang)],
+  ].forEach(([id, exporter]) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener("click", () => run(button, exporter, getCandidates()));
+  });
+
+  // Per-candidate PDF button on each candidate card
+  const container = document.getElementById("recommendations-container");
+  if (container) {
+    container.addEventListener("click", (e) => {
+      const button = e.target.closest(".candidate-export-pdf");
+      if (!button) return;
+      const candidate = getCandidates().find((c) => c.cvId === button.dataset.cvId);
+      if (candidate) run(button, exportRecommendationsPdf, [candidate]);
+    });
+  }
+}
+
+// ===========================================================================
+// Job-description matching (rank CVs against a posted role)
+// ===========================================================================
+// The description is pasted or read from a file with the CV extractor, parsed into
+// requirements, and the reviewed CVs are ranked against it. `onJobChange` receives
+// { text, parsed } (null when cleared) so the workspace keeps it.
+function initializeJobMatching({ getCvs, onJobChange }) {
+  const input = document.getElementById("job-description-input");
+  const fileInput = document.getElementById("job-description-file");
+  const matchBtn = document.getElementById("job-match-btn");
+  const clearBtn = document.getElementById("job-clear-btn");
+  const statusEl = document.getElementById("job-match-status");
+  if (!input || !matchBtn) return;
+
+  if (fileInput) {
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files[0];
+      fileInput.value = "";
+      if (!file) return;
+      showLoading(statusEl, "jobReading");
+      try {
+        input.value = (await extractTextFromFile(file)).trim();
+        hideLoading(statusEl);
+      } catch (err) {
+        console.error("Job description file failed:", err);
+        hideLoading(statusEl);
+        updateStatus(statusEl, null, true, `${getStatusText("jobFileFailed")} ${err.message}`);
+      }
+    });
+  }
+
+  matchBtn.addEventListener("click", async () => {
+    const text = input.value.trim();
+    if (!text) {
+      updateStatus(statusEl, "jobEmpty", true);
+      return;
+    }
+    matchBtn.disabled = true;
+    showLoading(statusEl, "jobParsing");
+    const parsed = await parseJobDescription(text);
+    hideLoading(statusEl);
+    matchBtn.disabled = false;
+    if (!parsed) {
+      updateStatus(statusEl, "jobParseFailed", true);
+      return;
+    }
+    renderJobMatches(parsed, rankCandidatesForJob(parsed, getCvs()));
+    updateStatus(statusEl, "jobMatched");
+    onJobChange({ text, parsed });
+  });
+
+  if (clearBtn) {
+    clearBtn.addEventListener("click", () => {
+      input.value = "";
+      renderJobMatches(null, []);
+      onJobChange(null);
+    });
+  }
+}
+
+// ===========================================================================
+// Workspace switcher (new / rename / duplicate / delete)
+// ===========================================================================
+async function renderWorkspaceSelect(activeId) {
+  const select = document.getElementById("workspace-select");
+  if (!select) return;
+  const workspaces = await listWorkspaces();
+  select.innerHTML = "";
+  workspaces.forEach((ws) => {
+    const option = document.createElement("option");
+    option.value = ws.id;
+    option.textContent = `${ws.name} (${ws.cvCount} ${getUiText("workspaceCvs")})`;
+    if (ws.id === activeId) option.selected = true;
+    select.appendChild(option);
+  });
+}
+
+// Opening another workspace reloads the page so every panel starts from its saved state.
+// `save` flushes the current workspace, `rename` renames and saves it, and `close`
+// stops further saves (the workspace is about to be deleted).
+function initializeWorkspaceSwitcher({ getWorkspace, save, rename, close }) {
+  const controls = document.getElementById("workspace-controls");
+  const statusEl = document.getElementById("workspace-status");
+  const select = document.getElementById("workspace-select");
+  const nameInput = document.getElementById("workspace-name");
+
+  if (!getWorkspace()) {
+    if (controls) controls.querySelectorAll("select, input, button").forEach((el) => { el.disabled = true; });
+    return;
+  }
+
+  if (nameInput) nameInput.value = getWorkspace().name;
+  renderWorkspaceSelect(getWorkspace().id).catch((err) => console.error("Failed to list workspaces:", err));
+
+  const openWorkspace = (id) => {
+    setActiveWorkspaceId(id);
+    window.location.reload();
+  };
+
+  const handle = (action) => async () => {
+    try {
+      await action();
+    } catch (err) {
+      console.error("Workspace action failed:", err);
+      updateStatus(statusEl, null, true, `${getStatusText("workspaceFailed")} ${err.message}`);
+    }
+  };
+
+  if (select) {
+    select.addEventListener("change", handle(async () => {
+      if (select.value === getWorkspace().id) return;
+      await save();
+      openWorkspace(select.value);
+    }));
+  }
+
+  if (nameInput) {
+    nameInput.addEventListener("change", handle(async () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        nameInput.value = getWorkspace().name;
+        return;
+      }
+      await rename(name);
+      await renderWorkspaceSelect(getWorkspace().id);
+      updateStatus(statusEl, "workspaceRenamed");
+    }));
+  }
+
+  const newBtn = document.getElementById("workspace-new-btn");
+  if (newBtn) {
+    newBtn.addEventListener("click", handle(async () => {
+      await save();
+      const count = (await listWorkspaces()).length;
+      const ws = await createWorkspace(`${getUiText("workspaceDefaultName")} ${count + 1}`);
+      openWorkspace(ws.id);
+    }));
+  }
+
+  const duplicateBtn = document.getElementById("workspace-duplicate-btn");
+  if (duplicateBtn) {
+    duplicateBtn.addEventListener("click", handle(async () => {
+      await save();
+      const current = getWorkspace();
+      const copy = await duplicateWorkspace(current.id, `${current.name} (${getUiText("workspaceCopy")})`);
+      openWorkspace(copy.id);
+    }));
+  }
+
+  const deleteBtn = document.getElementById("workspace-delete-btn");
+  if (deleteBtn) {
+    deleteBtn.addEventListener("click", handle(async () => {
+      const current = getWorkspace();
+      if (!window.confirm(getUiText("workspaceConfirmDelete"))) return;
+      close();
+      await deleteWorkspace(current.id);
+      // The most recent remaining workspace opens next; a fresh one is created if none is left
+      const [next] = await listWorkspaces();
+      openWorkspace(next ? next.id : null);
+    }));
+  }
+}
+
 function clearChatHistoryDom() {
   const chatMessages = document.getElementById("chat-messages");
   if (chatMessages) {
@@ -325,6 +1007,23 @@ function createItemRow(item, fields) {
   return row;
 }
 
+// Shared <datalist> that gives skill inputs autocomplete from the skill taxonomy
+const SKILL_OPTIONS_ID = "skill-taxonomy-options";
+
+function ensureSkillOptions() {
+  if (document.getElementById(SKILL_OPTIONS_ID)) return;
+  const lang = document.documentElement.lang === 'ar' ? 'ar' : 'en';
+  const datalist = document.createElement("datalist");
+  datalist.id = SKILL_OPTIONS_ID;
+  getSkillSuggestions(lang).forEach(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.label = label;
+    datalist.appendChild(option);
+  });
+  document.body.appendChild(datalist);
+}
+
 function createSkillBubble(item, fields) {
   const bubble = document.createElement("div");
   bubble.className = "skill-bubble";
@@ -340,6 +1039,7 @@ function createSkillBubble(item, fields) {
   const skillValue = item[primaryField] || item.title || "";
   input.value = skillValue;
   input.dataset.field = primaryField;
+  input.setAttribute("list", SKILL_OPTIONS_ID);
   const minWidth = 10;
   input.style.minWidth = `${minWidth}ch`;
   input.style.maxWidth = "20ch";
@@ -351,6 +1051,14 @@ function createSkillBubble(item, fields) {
     const newWidth = Math.max(minWidth, newLength + 1);
     input.style.width = `${newWidth}ch`;
   });
+  // A typed synonym ("js", "جافا سكربت") snaps to the canonical skill name
+  input.addEventListener("change", () => {
+    const [skill] = normalizeSkills([input.value]);
+    if (skill && skill.skillId && skill.title !== input.value) {
+      input.value = skill.title;
+      input.style.width = `${Math.max(minWidth, skill.title.length + 1)}ch`;
+    }
+  });
   bubble.appendChild(input);
   const deleteBtn = document.createElement("span");
   deleteBtn.className = "delete-item-btn";
@@ -373,6 +1081,10 @@ function renderCvDetails(cv) {
   container.innerHTML = "";
 
   const t = (k) => getUiText(k);
+  ensureSkillOptions();
+
+  const extractionNote = createExtractionNote(cv.extraction);
+  if (extractionNote) container.appendChild(extractionNote);
 
   const sections = [
     {
@@ -434,13 +1146,13 @@ function renderCvDetails(cv) {
     if (sec.key === "skills") {
       listDiv = document.createElement("div");
       listDiv.className = "skills-bubble-list";
-      listDiv.id = `${cv.name}_${sec.key}_list`;
+      listDiv.id = `${cv.id}_${sec.key}_list`;
       (cv[sec.key] || []).forEach((item) => {
         listDiv.appendChild(createSkillBubble(item, sec.fields));
       });
     } else {
       listDiv = document.createElement("div");
-      listDiv.id = `${cv.name}_${sec.key}_list`;
+      listDiv.id = `${cv.id}_${sec.key}_list`;
       (cv[sec.key] || []).forEach((item) => {
         listDiv.appendChild(createItemRow(item, sec.fields));
       });
@@ -467,17 +1179,51 @@ function renderCvDetails(cv) {
   });
 }
 
+// How the CV's text was extracted, when it needs the reviewer's attention:
+// OCR was used, or the extraction is doubtful (ocr.js assessExtraction)
+function createExtractionNote(extraction) {
+  if (!extraction || (extraction.method === "text" && !extraction.warning)) return null;
+  const note = document.createElement("div");
+  note.className = `cv-extraction-note${extraction.warning ? " cv-extraction-warning" : ""}`;
+  note.setAttribute("role", extraction.warning ? "alert" : "note");
+
+  if (extraction.ocrPages?.length > 0) {
+    const summary = document.createElement("div");
+    summary.className = "cv-extraction-summary";
+    summary.innerHTML = `<i class="fas fa-camera"></i> `;
+    const parts = [getUiText("extractionOcr")];
+    if (extraction.pageCount > 1) parts.push(`${getUiText("extractionPages")}: ${extraction.ocrPages.join(", ")}`);
+    if (extraction.confidence !== null) parts.push(`${getUiText("extractionConfidence")}: ${extraction.confidence}%`);
+    summary.appendChild(document.createTextNode(parts.join(" · ")));
+    note.appendChild(summary);
+  }
+  if (extraction.warning) {
+    const key = { ocrUnavailable: "extractionOcrUnavailable", lowConfidence: "extractionLowConfidence", littleText: "extractionLittleText" }[extraction.warning];
+    const warning = document.createElement("div");
+    warning.innerHTML = `<i class="fas fa-exclamation-triangle"></i> `;
+    warning.appendChild(document.createTextNode(getUiText(key)));
+    note.appendChild(warning);
+  }
+  return note;
+}
+
 // Modal state for CV review
 let modalCvData = [];
 let activeCvIndex = 0;
 
-function upsertByName(existing, incoming) {
+// Each uploaded CV gets its own id, so two files with the same name never share
+// recommendations, feedback or review state
+function createCvId() {
+  return `cv_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function upsertById(existing, incoming) {
   const map = new Map();
   existing.forEach((cv) => {
-    map.set(cv.name, cv);
+    map.set(cv.id, cv);
   });
   incoming.forEach((cv) => {
-    map.set(cv.name, cv);
+    map.set(cv.id, cv);
   });
   return Array.from(map.values());
 }
@@ -494,14 +1240,16 @@ function readCvFromDom(cv) {
   if (!cv) return cv;
   const updated = deepClone(cv);
   ["experience", "education", "certifications", "skills"].forEach((sec) => {
-    const list = document.getElementById(`${cv.name}_${sec}_list`);
+    const list = document.getElementById(`${cv.id}_${sec}_list`);
     if (!list) return;
     if (sec === "skills") {
-      updated.skills = [];
+      const values = [];
       list.querySelectorAll(".skill-bubble").forEach((bubble) => {
         const input = bubble.querySelector("input");
-        if (input) updated.skills.push({ title: input.value });
+        if (input) values.push(input.value);
       });
+      // Canonical names + skillId, duplicates and empty bubbles dropped
+      updated.skills = normalizeSkills(values);
     } else {
       updated[sec] = [];
       list.querySelectorAll(".item-row").forEach((row) => {
@@ -538,6 +1286,7 @@ function openCvModal(allCvResults, initialIndex = 0) {
   modal.removeAttribute("hidden");
   tabs.innerHTML = "";
   content.innerHTML = "";
+  hideCvEvidence();
 
   modalCvData.forEach((cv, index) => {
     const tab = document.createElement("div");
@@ -553,6 +1302,7 @@ function openCvModal(allCvResults, initialIndex = 0) {
         .forEach((t) => t.classList.remove("active"));
       tab.classList.add("active");
       activeCvIndex = index;
+      hideCvEvidence();
       renderCvDetails(modalCvData[index]);
     });
 
@@ -566,6 +1316,40 @@ function openCvModal(allCvResults, initialIndex = 0) {
   }
 }
 
+function hideCvEvidence() {
+  const panel = document.getElementById("cvEvidence");
+  if (panel) panel.hidden = true;
+}
+
+// Points the open review modal at one piece of recommendation evidence: the passage
+// of the raw CV text it was found in, and the reviewed item it belongs to.
+function showCvEvidence(cv, { section, index, start, end }, rawText) {
+  const panel = document.getElementById("cvEvidence");
+  if (panel) {
+    panel.innerHTML = "";
+    panel.hidden = start === null || !rawText;
+    if (!panel.hidden) {
+      const { before, match, after } = evidenceExcerpt(rawText, start, end);
+      const heading = document.createElement("div");
+      heading.className = "cv-evidence-heading";
+      heading.textContent = getUiText("evidenceSource");
+      const excerpt = document.createElement("p");
+      excerpt.className = "cv-evidence-excerpt";
+      const mark = document.createElement("mark");
+      mark.textContent = match;
+      excerpt.append(before, mark, after);
+      panel.append(heading, excerpt);
+    }
+  }
+
+  if (section === null) return;
+  const item = document.getElementById(`${cv.id}_${section}_list`)?.children[index];
+  if (item) {
+    item.classList.add("evidence-highlight");
+    item.scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Main bootstrap
 // ---------------------------------------------------------------------------
@@ -575,17 +1359,23 @@ document.addEventListener("DOMContentLoaded", async () => {
   let userRules = loadUserRules();
   let uploadedCvs = [];
   let lastRecommendations = loadLastRecommendations();
-  // Store recommendations per CV name
+  // Store recommendations per CV id
   let allRecommendationsMap = {};
   
   // Initialize map from saved recommendations if they exist
   if (lastRecommendations && lastRecommendations.candidates) {
     lastRecommendations.candidates.forEach((candidate) => {
-      if (candidate.candidateName) {
-        allRecommendationsMap[candidate.candidateName] = {
+      const cvName = candidate.cvName || candidate.candidateName;
+      const cvId = candidate.cvId || cvName;
+      if (cvId) {
+        allRecommendationsMap[cvId] = {
           candidateName: candidate.candidateName,
-          cvName: candidate.cvName || candidate.candidateName,
-          recommendations: candidate.recommendations || []
+          cvId,
+          cvName,
+          recommendations: candidate.recommendations || [],
+          rejectedRecommendations: candidate.rejectedRecommendations || [],
+          heldCertIds: candidate.heldCertIds || [],
+          ...(candidate.skillGap ? { skillGap: candidate.skillGap } : {})
         };
       }
     });
@@ -594,53 +1384,291 @@ document.addEventListener("DOMContentLoaded", async () => {
   let submittedCvData = [];
   let lastProcessedFileNames = [];
 
-  // Helper: merge recommendations into map and display
-  function applyRecommendationsToUi(recommendations, cvArray = uploadedCvs) {
-    // Only show recommendations for the current uploaded CVs
-    const currentCvNames = new Set((cvArray || []).map(cv => cv.name));
+  // ---------------------------------------------------------------------------
+  // Workspace persistence (IndexedDB); null when workspaces are unavailable
+  // ---------------------------------------------------------------------------
+  let activeWorkspace = null;
+  // Raw text of uploaded CVs: [{ cvId, name, text, uploadedAt }]
+  let cvFiles = [];
+  // Reviewer feedback per CV id (recommendation-feedback.js)
+  let recommendationFeedback = {};
+  // Target role per CV id, chosen in the skill-gap section (skill-gap.js)
+  let targetRoles = {};
+  // Recommendation runs with their inputs, oldest first (run-history.js)
+  let recommendationRuns = [];
+  // Job description the CVs are ranked against: { text, parsed } (job-matching.js)
+  let jobDescription = null;
+  let workspaceSaveTimer = null;
+
+  function rawCvText(cvId) {
+    return cvFiles.find((f) => f.cvId === cvId)?.text || "";
+  }
+
+  function rememberCvFile(cvId, name, text) {
+    cvFiles = [...cvFiles.filter((f) => f.cvId !== cvId), { cvId, name, text, uploadedAt: new Date().toISOString() }];
+  }
+
+  function snapshotWorkspace() {
+    return {
+      ...activeWorkspace,
+      // Files whose CV was removed are dropped with it
+      cvFiles: cvFiles.filter((f) => submittedCvData.some((cv) => cv.id === f.cvId)),
+      reviewedCvs: submittedCvData,
+      rules: getRulesFromUI(),
+      compiledRules: userRules,
+      chatHistory,
+      recommendations: { candidates: Object.values(allRecommendationsMap) },
+      feedback: recommendationFeedback,
+      targetRoles,
+      runs: recommendationRuns,
+      job: jobDescription,
+    };
+  }
+
+  async function flushWorkspaceSave() {
+    clearTimeout(workspaceSaveTimer);
+    if (!activeWorkspace) return;
+    try {
+      activeWorkspace = await saveWorkspace(snapshotWorkspace());
+    } catch (err) {
+      console.error("Failed to save workspace:", err);
+    }
+  }
+
+  // Changes come in bursts (typing rules, several CVs), so saves are debounced
+  function scheduleWorkspaceSave() {
+    if (!activeWorkspace) return;
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = setTimeout(flushWorkspaceSave, WORKSPACE_SAVE_DELAY_MS);
+  }
+
+  // Put a saved workspace (or, without one, the defaults) into the page
+  function restoreWorkspace(ws) {
+    const rules = Array.isArray(ws?.rules) ? ws.rules : getDefaultRules(currentLang);
+    initializeRulesUI(rules);
+    userRules = ws?.compiledRules || [...rules];
+    saveUserRules(userRules);
+
+    clearChatHistoryDom();
+    chatHistory = ws?.chatHistory || [];
+    chatHistory.forEach((message) => addMessage(message.text, message.isUser));
+    saveChatHistory(chatHistory);
+
+    if (!ws) return;
+    recommendationFeedback = ws.feedback || {};
+    renderFeedbackSummary(recommendationFeedback);
+    targetRoles = ws.targetRoles || {};
+    cvFiles = ws.cvFiles || [];
+    submittedCvData = ws.reviewedCvs || [];
+    renderSubmittedCvBubbles(submittedCvData);
+    if (generateBtn && submittedCvData.length > 0) generateBtn.disabled = false;
+
     allRecommendationsMap = {};
+    (ws.recommendations?.candidates || []).forEach((candidate) => {
+      if (candidate.cvId) allRecommendationsMap[candidate.cvId] = candidate;
+    });
+    if (Object.keys(allRecommendationsMap).length > 0) renderAllRecommendations();
 
-    if (recommendations && recommendations.candidates) {
-      recommendations.candidates.forEach((candidate, index) => {
-        // Prefer matching by index; fallback to name matching
-        const cvFromIndex = cvArray && cvArray[index] ? cvArray[index] : null;
-        const matchedByName = cvArray?.find(cv =>
-          cv.name === candidate.candidateName ||
-          candidate.candidateName === cv.name
-        );
-        const matchedCv = cvFromIndex || matchedByName;
-        const cvName = matchedCv?.name || candidate.candidateName;
+    recommendationRuns = ws.runs || [];
+    renderRunHistory(recommendationRuns);
 
-        if (!currentCvNames.has(cvName)) return; // skip stale CVs
+    jobDescription = ws.job || null;
+    const jobInput = document.getElementById("job-description-input");
+    if (jobInput && jobDescription) jobInput.value = jobDescription.text;
+    refreshJobMatches();
+  }
+
+  // Re-rank the CVs against the job description after CVs are added, edited or removed
+  function refreshJobMatches() {
+    if (!jobDescription) return;
+    renderJobMatches(jobDescription.parsed, rankCandidatesForJob(jobDescription.parsed, submittedCvData));
+  }
 
-        // Derive career title from structured data if available
-        const structured = matchedCv?.structured || matchedCv;
-        const inferredTitle =
-          (structured?.experience && structured.experience[0]?.jobTitle) ||
-          structured?.title ||
-          "Candidate";
+  // Helper: merge recommendations into map and display.
+  // Results are matched to CVs by cvId; a CV whose analysis failed keeps its
+  // previous recommendations (if any) and is flagged with the error.
+  function applyRecommendationsToUi(result, cvArray = uploadedCvs) {
+    const previousMap = allRecommendationsMap;
+    const candidatesByCv = new Map(
+      (result?.candidates || []).map((candidate) => [candidate.cvId, candidate])
+    );
+    const failuresByCv = new Map(
+      (result?.failures || []).map((failure) => [failure.cvId, failure])
+    );
+    allRecommendationsMap = {};
 
-        allRecommendationsMap[cvName] = {
+    // Only show recommendations for the current uploaded CVs, in upload order
+    (cvArray || []).forEach((cv) => {
+      const cvId = cv.id;
+      const cvName = cv.name;
+      const candidate = candidatesByCv.get(cvId);
+      const failure = failuresByCv.get(cvId);
+      if (!candidate && !failure) return;
+
+      // Derive career title from structured data if available
+      const structured = cv.structured || cv;
+      const inferredTitle =
+        (structured?.experience && structured.experience[0]?.jobTitle) ||
+        structured?.title ||
+        "Candidate";
+
+      if (candidate) {
+        // Certificates pinned from the catalog browser survive a new analysis
+        const freshIds = new Set((candidate.recommendations || []).map((r) => r.certId));
+        const pinned = (previousMap[cvId]?.recommendations || []).filter(
+          (r) => r.pinned && !freshIds.has(r.certId)
+        );
+        allRecommendationsMap[cvId] = {
           candidateName: inferredTitle,
+          cvId,
           cvName,
-          recommendations: candidate.recommendations || []
+          recommendations: [...(candidate.recommendations || []), ...pinned],
+          rejectedRecommendations: candidate.rejectedRecommendations || [],
+          removedByRules: candidate.removedByRules || [],
+          removedByFeedback: candidate.removedByFeedback || [],
+          heldCertIds: candidate.heldCertIds || [],
+          ...(candidate.source ? { source: candidate.source } : {}),
+          ...(candidate.analysisError ? { analysisError: candidate.analysisError } : {}),
+          ...(candidate.baselineCheck ? { baselineCheck: candidate.baselineCheck } : {})
         };
-      });
-    }
+      } else {
+        allRecommendationsMap[cvId] = {
+          ...(previousMap[cvId] || {
+            candidateName: inferredTitle,
+            cvId,
+            cvName,
+            recommendations: []
+          }),
+          analysisError: failure.error
+        };
+      }
+    });
 
-    const allRecommendations = {
-      candidates: Object.values(allRecommendationsMap)
+    renderAllRecommendations();
+
+    // Every generation is kept as a run so it can be compared with earlier ones
+    recommendationRuns = appendWorkspaceRun(
+      recommendationRuns,
+      createRun({
+        cvs: cvArray,
+        rules: getRulesFromUI(),
+        compiledRules: userRules,
+        language: currentLang,
+        candidates: lastRecommendations.candidates,
+      })
+    );
+    renderRunHistory(recommendationRuns);
+    scheduleWorkspaceSave();
+  }
+
+  // Rebuild every candidate's learning path (recommendations, pins or the
+  // progression graph may have changed), reviewer feedback and, from the
+  // reviewed CV, its skill gaps against the target role; then persist and render.
+  function renderAllRecommendations() {
+    Object.keys(allRecommendationsMap).forEach((cvId) => {
+      const candidate = withLearningPath(allRecommendationsMap[cvId]);
+      candidate.recommendations = withFeedback(candidate.recommendations, recommendationFeedback[cvId]);
+      const cv = submittedCvData.find((c) => c.id === cvId);
+      if (cv) {
+        candidate.skillGap = analyzeSkillGap(cv, targetRoles[cvId]);
+        candidate.recommendations = explainRecommendations(candidate.recommendations, cv, {
+          rawText: rawCvText(cvId),
+          roleId: targetRoles[cvId],
+        });
+      }
+      allRecommendationsMap[cvId] = candidate;
+    });
+    lastRecommendations = { candidates: Object.values(allRecommendationsMap) };
+    saveLastRecommendations(lastRecommendations);
+    displayRecommendations(lastRecommendations, recommendationsContainer, resultsSection, currentLang);
+    renderCohortDashboard(lastRecommendations.candidates, submittedCvData, recommendationsContainer);
+    scheduleWorkspaceSave();
+  }
+
+  // Pin a catalog certificate to a candidate (from the catalog browser).
+  // Returns false when the candidate already has it.
+  function pinCertificateToCandidate(cert, cvId) {
+    const cv = submittedCvData.find((c) => c.id === cvId);
+    const entry = allRecommendationsMap[cvId] || {
+      candidateName: (cv?.experience && cv.experience[0]?.jobTitle) || "Candidate",
+      cvId,
+      cvName: cv?.name || "",
+      recommendations: [],
+      heldCertIds: cv ? findHeldCertificates(cv) : []
+    };
+    if (entry.recommendations.some((r) => r.certId === cert.id)) return false;
+
+    const rec = {
+      certId: cert.id,
+      certName: cert.name,
+      reason: currentLang === 'ar' ? "تم تثبيتها يدوياً من الكتالوج." : "Pinned manually from the catalog.",
+      rulesApplied: [],
+      pinned: true,
+      catalog: toCatalogRef(cert)
     };
+    entry.recommendations = [...entry.recommendations, rec];
+    allRecommendationsMap[cvId] = entry;
+    recommendationFeedback = withRecommendationFeedback(recommendationFeedback, cvId, rec, "pinned");
 
-    lastRecommendations = allRecommendations;
-    saveLastRecommendations(allRecommendations);
+    renderAllRecommendations();
+    renderFeedbackSummary(recommendationFeedback);
+    return true;
+  }
 
-    displayRecommendations(
-      allRecommendations,
-      recommendationsContainer,
-      resultsSection,
-      currentLang
-    );
+  // Accept / reject / pin a candidate's recommendation (null clears the feedback).
+  // The next analysis leaves rejected certificates out and keeps pinned ones.
+  function setRecommendationFeedback(cvId, certId, status, reason = "") {
+    const rec = allRecommendationsMap[cvId]?.recommendations.find((r) => r.certId === certId);
+    if (!rec) return;
+    recommendationFeedback = withRecommendationFeedback(recommendationFeedback, cvId, rec, status, reason);
+    rec.pinned = status === "pinned";
+    renderAllRecommendations();
+    renderFeedbackSummary(recommendationFeedback);
+  }
+
+  // Mark a CV bubble with its analysis state (running / retrying / done / failed)
+  function setCvAnalysisStatus(cvId, status) {
+    document.querySelectorAll(".cv-summary-bubble").forEach((bubble) => {
+      if (bubble.dataset.cvId !== cvId) return;
+      bubble.classList.remove("analysis-running", "analysis-retrying", "analysis-done", "analysis-failed");
+      if (status) bubble.classList.add(`analysis-${status}`);
+    });
+  }
+
+  // Analyse CVs one request per CV, showing per-CV progress, then render the results
+  async function generateRecommendationsForCvs(cvArrayForRec) {
+    cvArrayForRec.forEach((cv) => setCvAnalysisStatus(cv.id, null));
+    showLoading(rulesStatus, null, `${getStatusText("generating")} (0/${cvArrayForRec.length})`);
+
+    let result;
+    try {
+      result = await analyzeCvsWithAI(cvArrayForRec, userRules, currentLang, {
+        feedback: recommendationFeedback,
+        onProgress: ({ cvId, status, completed, total }) => {
+          setCvAnalysisStatus(cvId, status);
+          showLoading(rulesStatus, null, `${getStatusText("generating")} (${completed}/${total})`);
+        },
+      });
+    } finally {
+      hideLoading(rulesStatus);
+    }
+
+    applyRecommendationsToUi(result, cvArrayForRec);
+
+    if (result.failures.length > 0) {
+      const usedFallback = result.failures.every((f) => f.fallback);
+      updateStatus(
+        rulesStatus,
+        null,
+        true,
+        `${getStatusText(usedFallback ? "baselineFallback" : "partialFailure")} ${result.failures
+          .map((f) => f.cvName)
+          .join(", ")}`
+      );
+    } else {
+      updateStatus(rulesStatus, "genSuccess");
+    }
+    return result;
   }
 
   // Helper: rebuild a text blob from structured CV (fallback when raw text not present)
@@ -664,6 +1692,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Helper: ensure CV objects include text and structured fields
   function normalizeCvArray(cvArray) {
     return (cvArray || []).map((cv) => ({
+      id: cv.id,
       name: cv.name,
       text: cv.text || buildTextFromStructured(cv),
       structured: cv.structured || cv,
@@ -674,6 +1703,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   const userInput = document.getElementById("user-input");
   const sendButton = document.getElementById("send-button");
+  const stopButton = document.getElementById("stop-button");
 
   const fileInput = document.getElementById("file-input");
   const cvUploadArea = document.getElementById("cv-upload-area");
@@ -692,6 +1722,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     allResults.forEach((cv, idx) => {
       const bubble = document.createElement("div");
       bubble.className = "cv-summary-bubble";
+      bubble.dataset.cvId = cv.id || "";
       bubble.title = "Click to re-open CV review";
 
       const nameEl = document.createElement("span");
@@ -714,9 +1745,15 @@ document.addEventListener("DOMContentLoaded", async () => {
         e.stopPropagation();
         const cvToRemove = submittedCvData[idx];
         submittedCvData = submittedCvData.filter((_, i) => i !== idx);
+        // Its feedback goes with it
+        if (cvToRemove && recommendationFeedback[cvToRemove.id]) {
+          recommendationFeedback = withoutCandidateFeedback(recommendationFeedback, cvToRemove.id);
+          renderFeedbackSummary(recommendationFeedback);
+        }
+        if (cvToRemove) targetRoles = withTargetRole(targetRoles, cvToRemove.id, null);
         // Remove recommendations for deleted CV
-        if (cvToRemove && cvToRemove.name && allRecommendationsMap[cvToRemove.name]) {
-          delete allRecommendationsMap[cvToRemove.name];
+        if (cvToRemove && allRecommendationsMap[cvToRemove.id]) {
+          delete allRecommendationsMap[cvToRemove.id];
           // Refresh recommendations display
           const allRecommendations = {
             candidates: Object.values(allRecommendationsMap)
@@ -728,6 +1765,7 @@ document.addEventListener("DOMContentLoaded", async () => {
               resultsSection,
               currentLang
             );
+            renderCohortDashboard(allRecommendations.candidates, submittedCvData, recommendationsContainer);
           }
         }
         renderSubmittedCvBubbles(submittedCvData);
@@ -743,28 +1781,149 @@ document.addEventListener("DOMContentLoaded", async () => {
 
       container.appendChild(bubble);
     });
+    refreshJobMatches();
+    scheduleWorkspaceSave();
   };
 
+  initializeProviderSelect(rulesStatus);
+  initializeCatalogImport();
+  initializeCatalogBrowser({
+    onAskChat: (cert, question) => {
+      if (!userInput) return;
+      userInput.value = question;
+      handleSendMessage();
+    },
+    onPin: pinCertificateToCandidate,
+    getCandidates: () => submittedCvData.map((cv) => ({ id: cv.id, name: cv.name })),
+  });
+  // Evidence on a recommendation card opens the CV review at the item it came from
+  if (recommendationsContainer) {
+    recommendationsContainer.addEventListener("click", (e) => {
+      const link = e.target.closest(".evidence-link");
+      if (!link) return;
+      const cvId = link.closest(".candidate-result")?.dataset.cvId;
+      const cvIndex = submittedCvData.findIndex((cv) => cv.id === cvId);
+      if (cvIndex === -1) return;
+      const toNumber = (value) => (value === "" ? null : Number(value));
+      openCvModal(submittedCvData, cvIndex);
+      showCvEvidence(
+        submittedCvData[cvIndex],
+        {
+          section: link.dataset.section || null,
+          index: toNumber(link.dataset.index),
+          start: toNumber(link.dataset.start),
+          end: toNumber(link.dataset.end),
+        },
+        rawCvText(cvId)
+      );
+    });
+  }
+
+  // Feedback buttons on recommendation cards; reject asks for a reason first
+  if (recommendationsContainer) {
+    const rejectFromForm = (form) => {
+      const card = form.closest(".recommendation-card");
+      const cvId = card.closest(".candidate-result")?.dataset.cvId;
+      setRecommendationFeedback(cvId, card.dataset.certId, "rejected", form.querySelector(".feedback-reject-reason").value);
+    };
+    recommendationsContainer.addEventListener("click", (e) => {
+      const card = e.target.closest(".recommendation-card");
+      const cvId = card?.closest(".candidate-result")?.dataset.cvId;
+      if (!card || !cvId) return;
+      const form = card.querySelector(".feedback-reject-form");
+      const btn = e.target.closest(".feedback-btn");
+      if (btn) {
+        const active = btn.getAttribute("aria-pressed") === "true";
+        if (btn.dataset.feedback === "rejected" && !active) {
+          form.hidden = false;
+          form.querySelector(".feedback-reject-reason").focus();
+          return;
+        }
+        setRecommendationFeedback(cvId, card.dataset.certId, active ? null : btn.dataset.feedback);
+      } else if (e.target.closest(".feedback-reject-confirm")) {
+        rejectFromForm(form);
+      } else if (e.target.closest(".feedback-reject-cancel")) {
+        form.hidden = true;
+      }
+    });
+    recommendationsContainer.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" || !e.target.classList.contains("feedback-reject-reason")) return;
+      e.preventDefault();
+      rejectFromForm(e.target.closest(".feedback-reject-form"));
+    });
+  }
+  renderFeedbackSummary(recommendationFeedback);
+
+  // Target role picker in each candidate's skill-gap section
+  if (recommendationsContainer) {
+    recommendationsContainer.addEventListener("change", (e) => {
+      const select = e.target.closest(".skill-gap-role-select");
+      if (!select) return;
+      targetRoles = withTargetRole(targetRoles, select.dataset.cvId, select.value);
+      renderAllRecommendations();
+    });
+  }
+
+  initializeProgressionEditor({
+    onChange: () => {
+      if (Object.keys(allRecommendationsMap).length > 0) renderAllRecommendations();
+    },
+  });
+  initializeResultsExport({
+    getCandidates: () => Object.values(allRecommendationsMap),
+    getCvs: () => submittedCvData,
+  });
+  initializeJobMatching({
+    getCvs: () => submittedCvData,
+    onJobChange: (job) => {
+      jobDescription = job;
+      scheduleWorkspaceSave();
+    },
+  });
+
   const addRuleBtn = document.getElementById("add-rule-btn");
   const generateBtn = document.getElementById("generate-recommendations-btn");
 
-  // ALWAYS use default rules on page load/refresh
-  const defaultRulesForLang = getDefaultRules(currentLang);
-  
-  // Initialize UI with default rules (ignore localStorage)
-  initializeRulesUI(defaultRulesForLang);
-  userRules = [...defaultRulesForLang];
-  
-  // Save default rules to localStorage
-  saveUserRules(userRules);
+  // Restore the active workspace; a new one starts from the default rules for the page language
+  let savedWorkspace = null;
+  try {
+    savedWorkspace = await openActiveWorkspace(`${getUiText("workspaceDefaultName")} 1`);
+  } catch (err) {
+    console.error("Workspaces unavailable:", err);
+    updateStatus(document.getElementById("workspace-status"), "workspaceUnavailable", true);
+  }
+  restoreWorkspace(savedWorkspace);
+  activeWorkspace = savedWorkspace;
+
+  initializeWorkspaceSwitcher({
+    getWorkspace: () => activeWorkspace,
+    save: flushWorkspaceSave,
+    rename: async (name) => {
+      activeWorkspace.name = name;
+      await flushWorkspaceSave();
+    },
+    close: () => {
+      clearTimeout(workspaceSaveTimer);
+      activeWorkspace = null;
+    },
+  });
 
-  clearChatHistoryDom();
-  saveChatHistory([]);
+  // Rule edits are saved as they are typed or deleted
+  const rulesContainer = document.getElementById("rules-container");
+  if (rulesContainer) {
+    rulesContainer.addEventListener("input", scheduleWorkspaceSave);
+    rulesContainer.addEventListener("click", (e) => {
+      if (e.target.closest(".delete-rule-btn")) scheduleWorkspaceSave();
+    });
+  }
+  window.addEventListener("pagehide", flushWorkspaceSave);
 
   // Chat handler
+  let activeChatController = null;
+
   async function handleSendMessage() {
     const message = (userInput.value || "").trim();
-    if (!message) return;
+    if (!message || activeChatController) return;
 
     addMessage(message, true);
     chatHistory.push({ text: message, isUser: true });
@@ -773,6 +1932,10 @@ document.addEventListener("DOMContentLoaded", async () => {
     userInput.value = "";
     sendButton.disabled = true;
 
+    activeChatController = new AbortController();
+    let streamingMessage = null;
+    if (stopButton) stopButton.classList.remove("hidden");
+
     showTypingIndicator();
 
     try {
@@ -780,7 +1943,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       const cvArrayForChat = submittedCvData.length > 0 ? submittedCvData : uploadedCvs;
       const normalizedCvsForChat = normalizeCvArray(cvArrayForChat);
       
-      const enhancedSystemPrompt = buildChatSystemPrompt(normalizedCvsForChat, currentLang);
+      const enhancedSystemPrompt = buildChatSystemPrompt(normalizedCvsForChat, currentLang, message);
 
       let enhancedMessage = message;
       if (
@@ -796,7 +1959,10 @@ document.addEventListener("DOMContentLoaded", async () => {
         const cvSummary = normalizedCvsForChat
           .map((cv) => {
             const structured = cv.structured || {};
-            const skills = (structured.skills || []).slice(0, 10).join(", ");
+            const skills = (structured.skills || [])
+              .slice(0, 10)
+              .map((skill) => (typeof skill === "string" ? skill : skill.title || ""))
+              .join(", ");
             const experience = structured.experience || [];
             const totalYears = calculateTotalExperience(experience);
             const recentRoles = experience
@@ -821,25 +1987,59 @@ document.addEventListener("DOMContentLoaded", async () => {
         lastRecommendations
       );
 
-      const reply = await callGeminiAPI(enhancedMessage, chatHistory, enhancedSystemPrompt);
+      await streamGeminiAPI(enhancedMessage, chatHistory, enhancedSystemPrompt, {
+        signal: activeChatController.signal,
+        onToken: (chunk) => {
+          if (!streamingMessage) {
+            hideTypingIndicator();
+            streamingMessage = createStreamingMessage();
+          }
+          streamingMessage.append(chunk);
+        },
+      });
 
       hideTypingIndicator();
-      addMessage(reply, false);
-      chatHistory.push({ text: reply, isUser: false });
+      if (!streamingMessage) streamingMessage = createStreamingMessage();
+      streamingMessage.finish();
+      chatHistory.push({ text: streamingMessage.getText(), isUser: false });
       saveChatHistory(chatHistory);
     } catch (err) {
-      console.error("Chat API Error:", err);
       hideTypingIndicator();
-      addMessage(
-        "Sorry, I'm having trouble connecting. Please verify the API key and network.",
-        false
-      );
+      const partialText = streamingMessage ? streamingMessage.getText() : "";
+      const wasStopped = err.name === "AbortError";
+
+      if (partialText) {
+        // Keep whatever arrived before the stop/failure
+        streamingMessage.finish({ stopped: true });
+        chatHistory.push({ text: partialText, isUser: false });
+        saveChatHistory(chatHistory);
+      } else if (streamingMessage) {
+        streamingMessage.remove();
+      }
+
+      if (!wasStopped) {
+        console.error("Chat API Error:", err);
+        if (!partialText) {
+          addMessage(
+            "Sorry, I'm having trouble connecting. Please verify the API key and network.",
+            false
+          );
+        }
+      }
     } finally {
+      activeChatController = null;
       sendButton.disabled = false;
+      if (stopButton) stopButton.classList.add("hidden");
+      scheduleWorkspaceSave();
     }
   }
 
   if (sendButton) sendButton.addEventListener("click", handleSendMessage);
+  if (stopButton) {
+    stopButton.addEventListener("click", () => {
+      if (activeChatController) activeChatController.abort();
+    });
+  }
   if (userInput) {
     userInput.addEventListener("keypress", (e) => {
       if (e.key === "Enter") {
@@ -848,6 +2048,26 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
+  // Status for a new file selection: files in formats that cannot be read are
+  // named instead of guessed at. Returns whether any selected file can be read.
+  function showSelectedFiles(files) {
+    const unsupported = files.filter((f) => !detectCvFormat(f));
+    if (unsupported.length > 0) {
+      updateStatus(
+        uploadStatus,
+        null,
+        true,
+        `${getStatusText("unsupportedFiles")} ${unsupported.map((f) => f.name).join(", ")}`
+      );
+    } else {
+      updateStatus(
+        uploadStatus,
+        `Selected ${files.length} file(s): ${files.map((f) => f.name).join(", ")}`
+      );
+    }
+    return unsupported.length < files.length;
+  }
+
   // File upload events
   if (cvUploadArea) {
     cvUploadArea.addEventListener("click", () => fileInput && fileInput.click());
@@ -864,12 +2084,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       if (!fileInput) return;
       fileInput.files = e.dataTransfer.files;
       const files = Array.from(e.dataTransfer.files || []);
-      if (files.length) {
-        updateStatus(
-          uploadStatus,
-          `Selected ${files.length} file(s): ${files.map((f) => f.name).join(", ")}`
-        );
-        
+      if (files.length && showSelectedFiles(files)) {
         // ENABLE BUTTON IMMEDIATELY ON DRAG & DROP
         const generateBtn = document.getElementById("generate-recommendations-btn");
         if (generateBtn) {
@@ -889,13 +2104,9 @@ document.addEventListener("DOMContentLoaded", async () => {
         if (newFileNames !== lastProcessedFileNames.sort().join(',')) {
           lastProcessedFileNames = [];
         }
-        updateStatus(
-          uploadStatus,
-          `Selected ${files.length} file(s): ${files.map((f) => f.name).join(", ")}`
-        );
-        // Enable button when files are selected (button will analyze on click)
+        // Enable button when readable files are selected (button will analyze on click)
         const generateBtn = document.getElementById("generate-recommendations-btn");
-        if (generateBtn) {
+        if (showSelectedFiles(files) && generateBtn) {
           generateBtn.disabled = false;
         }
       } else if (uploadStatus) {
@@ -930,7 +2141,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Shared CV rendering helper
   const upsertAndRenderSubmittedCvs = (cvResultsForModal) => {
     if (!cvResultsForModal || !cvResultsForModal.length) return;
-    submittedCvData = upsertByName(submittedCvData, cvResultsForModal);
+    submittedCvData = upsertById(submittedCvData, cvResultsForModal);
     renderSubmittedCvBubbles(submittedCvData);
   };
 
@@ -954,6 +2165,14 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  // Analysing the same selected file again (Generate after a review) updates its
+  // CV instead of adding a second one
+  const cvIdsByFile = new WeakMap();
+  function cvIdForFile(file) {
+    if (!cvIdsByFile.has(file)) cvIdsByFile.set(file, createCvId());
+    return cvIdsByFile.get(file);
+  }
+
   // Extract+parse helper reused by Generate button
   async function runCvAnalysis({ statusElement = uploadStatus, openModal = true, suppressStatus = false } = {}) {
     if (!fileInput || !fileInput.files || fileInput.files.length === 0 || !fileInput.value) {
@@ -966,7 +2185,21 @@ document.addEventListener("DOMContentLoaded", async () => {
       throw new Error("No files selected");
     }
 
-    const files = Array.from(fileInput.files);
+    // Files in formats that cannot be read are skipped and named, never guessed at
+    const files = Array.from(fileInput.files).filter((f) => detectCvFormat(f));
+    const skippedNote = Array.from(fileInput.files)
+      .filter((f) => !detectCvFormat(f))
+      .map((f) => f.name)
+      .join(", ");
+    if (skippedNote && (suppressStatus || files.length === 0)) {
+      updateStatus(statusElement, null, true, `${getStatusText("unsupportedFiles")} ${skippedNote}`);
+    }
+    if (files.length === 0) {
+      fileInput.value = "";
+      uploadedCvs = [];
+      updateGenerateButton(uploadedCvs);
+      throw new Error("No supported CV files selected");
+    }
 
     if (!suppressStatus && statusElement) {
       showLoading(statusElement, "extracting");
@@ -975,16 +2208,34 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     try {
       for (const file of files) {
-        const rawText = await extractTextFromFile(file);
-        if (!suppressStatus && statusElement) {
+        // OCR of scanned pages is slow, so its progress is shown even when other status is suppressed
+        let usedOcr = false;
+        const { text: rawText, extraction, sections, structured } = await extractCvText(file, {
+          onProgress: ({ page, pages, progress }) => {
+            usedOcr = true;
+            showLoading(
+              statusElement,
+              null,
+              `${getStatusText('ocrPage')} ${page}/${pages} (${file.name}) ${Math.round(progress * 100)}%`
+            );
+          },
+        });
+        if (usedOcr && suppressStatus) hideLoading(statusElement);
+        if (!suppressStatus && statusElement && !structured) {
           showLoading(statusElement, null, `${getStatusText('parsing')} (${file.name})`);
         }
-        const structuredSections = await parseCvIntoStructuredSections(rawText);
+        // A LinkedIn export is already structured and skips the AI parse
+        const structuredSections =
+          structured || (await parseCvIntoStructuredSections(rawText, { sectionHints: sections }));
+        const id = cvIdForFile(file);
+        rememberCvFile(id, file.name, rawText);
 
         uploadedCvs.push({
+          id,
           name: file.name,
           text: rawText,
           structured: structuredSections,
+          extraction,
         });
       }
 
@@ -994,7 +2245,9 @@ document.addEventListener("DOMContentLoaded", async () => {
         const s = cv.structured || {};
         const totalYearsExperience = calculateTotalExperience(s.experience || []);
         return {
+          id: cv.id,
           name: cv.name,
+          extraction: cv.extraction,
           totalYearsExperience,
           experience: (s.experience || []).map((exp) => {
             const period = exp.period || exp.years || "";
@@ -1020,9 +2273,7 @@ document.addEventListener("DOMContentLoaded", async () => {
               cert.issuer ? " - " + cert.issuer : ""
             }${cert.year ? " (" + cert.year + ")" : ""}`,
           })),
-          skills: (s.skills || []).map((skill) => ({
-            title: typeof skill === "string" ? skill : skill.title || "",
-          })),
+          skills: normalizeSkills(s.skills),
         };
       });
 
@@ -1035,13 +2286,19 @@ document.addEventListener("DOMContentLoaded", async () => {
       }
 
       if (!suppressStatus && statusElement) {
-        updateStatus(statusElement, "success");
+        updateStatus(
+          statusElement,
+          "success",
+          Boolean(skippedNote),
+          skippedNote ? `${getStatusText("success")} ${getStatusText("unsupportedFiles")} ${skippedNote}` : null
+        );
       }
       return { uploadedCvs, cvResultsForModal };
     } catch (err) {
       console.error("Analysis Error:", err);
       if (!suppressStatus && statusElement) {
-        updateStatus(statusElement, "error", true);
+        // Reader errors (e.g. a password-protected .doc) say what went wrong
+        updateStatus(statusElement, "error", true, `${getStatusText("error")} ${err.message}`);
       }
       if (fileInput) fileInput.value = "";
       uploadedCvs = [];
@@ -1071,7 +2328,7 @@ document.addEventListener("DOMContentLoaded", async () => {
             suppressStatus: true
           });
           if (analysisResult && analysisResult.cvResultsForModal) {
-            submittedCvData = upsertByName(submittedCvData, analysisResult.cvResultsForModal);
+            submittedCvData = upsertById(submittedCvData, analysisResult.cvResultsForModal);
             renderSubmittedCvBubbles(submittedCvData);
           }
         } catch (err) {
@@ -1086,7 +2343,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       try {
         // ALWAYS update userRules based on current UI state
         if (rules.length > 0) {
-          // If there are rules, parse them
+          // If there are rules, compile them into enforceable structured rules
           const rulesText = rules.join("\n");
           userRules = await parseAndApplyRules(rulesText);
           saveUserRules(userRules);
@@ -1110,10 +2367,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         }
 
         // Generate recommendations with current rules (empty array if no rules)
-        const recommendations = await analyzeCvsWithAI(cvArrayForRec, userRules, currentLang);
-
-        // Merge and display recommendations (matching by CV index)
-        applyRecommendationsToUi(recommendations, cvArrayForRec);
+        await generateRecommendationsForCvs(cvArrayForRec);
 
         setTimeout(() => {
           if (resultsSection) {
@@ -1158,8 +2412,8 @@ document.addEventListener("DOMContentLoaded", async () => {
       const allResults = deepClone(modalCvData);
 
       console.log("FINAL SUBMITTED CV DATA →", allResults);
-      // Upsert by CV name so previously submitted CVs keep their content
-      submittedCvData = upsertByName(submittedCvData, allResults);
+      // Upsert by CV id so previously submitted CVs keep their content
+      submittedCvData = upsertById(submittedCvData, allResults);
       renderSubmittedCvBubbles(submittedCvData);
 
       // Clear file input so user must select new files for next analysis
@@ -1212,12 +2466,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
           if (cvArrayForRec && cvArrayForRec.length > 0) {
             // Generate recommendations with updated CV data
-            const recommendations = await analyzeCvsWithAI(cvArrayForRec, userRules, currentLang);
-
-            // Merge and display recommendations (matching by CV index)
-            applyRecommendationsToUi(recommendations, cvArrayForRec);
-
-            updateStatus(rulesStatus, "genSuccess");
+            await generateRecommendationsForCvs(cvArrayForRec);
             
             // Scroll to results
             setTimeout(() => {
@@ -0,0 +1,192 @@
+// workspace-store.js
+// Named workspaces persisted in IndexedDB. A workspace holds everything a session
+// needs to survive a refresh: uploaded CV text, reviewed CVs, rules, the chat
+// transcript, the current recommendations, reviewer feedback on them, the history
+// of recommendation runs and the job description CVs are ranked against.
+// The same database also caches large values (the certificate catalog) that do
+// not fit comfortably in localStorage.
+
+import { ACTIVE_WORKSPACE_KEY, WORKSPACE_DB_NAME, WORKSPACE_MAX_RUNS } from "./constants.js";
+
+const DB_VERSION = 1;
+const WORKSPACE_STORE = "workspaces";
+const CACHE_STORE = "cache";
+
+// ---------------------------------------------------------------------------
+// IndexedDB plumbing
+// ---------------------------------------------------------------------------
+let dbPromise = null;
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const request = indexedDB.open(WORKSPACE_DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(WORKSPACE_STORE)) {
+        db.createObjectStore(WORKSPACE_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(CACHE_STORE)) {
+        db.createObjectStore(CACHE_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("The workspace database is blocked by another tab."));
+  });
+  // Allow a later retry (e.g. after the blocking tab closes)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+// Run one request in a transaction; resolves with its result once the transaction commits
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Workspace transaction aborted."));
+  });
+}
+
+// Structured-clone-safe copy (drops functions, DOM nodes, undefined)
+function plainCopy(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// ---------------------------------------------------------------------------
+// Cache (key/value)
+// ---------------------------------------------------------------------------
+export async function getCachedValue(key) {
+  const value = await runRequest(CACHE_STORE, "readonly", (store) => store.get(key));
+  return value === undefined ? null : value;
+}
+
+export function setCachedValue(key, value) {
+  return runRequest(CACHE_STORE, "readwrite", (store) => store.put(plainCopy(value), key));
+}
+
+export function deleteCachedValue(key) {
+  return runRequest(CACHE_STORE, "readwrite", (store) => store.delete(key));
+}
+
+// ---------------------------------------------------------------------------
+// Workspaces
+// ---------------------------------------------------------------------------
+function newWorkspaceId() {
+  return `ws_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * An empty workspace record. `rules: null` means "the default rules for the UI language".
+ */
+export function createEmptyWorkspace(name) {
+  const now = new Date().toISOString();
+  return {
+    id: newWorkspaceId(),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    cvFiles: [], // [{ cvId, name, text, uploadedAt }] raw text of uploaded CVs
+    reviewedCvs: [], // review-modal shape (ui.js submittedCvData)
+    rules: null, // rule texts as shown in the rules panel
+    compiledRules: null, // rules as applied (parseAndApplyRules output)
+    chatHistory: [],
+    recommendations: null, // { candidates }
+    feedback: {}, // reviewer feedback per CV id (recommendation-feedback.js)
+    targetRoles: {}, // target role id per CV id (skill-gap.js)
+    runs: [], // recommendation runs (run-history.js), oldest first
+    job: null, // { text, parsed } job description the CVs are ranked against
+  };
+}
+
+// Workspace summaries, most recently updated first: [{ id, name, createdAt, updatedAt, cvCount, runCount }]
+export async function listWorkspaces() {
+  const all = await runRequest(WORKSPACE_STORE, "readonly", (store) => store.getAll());
+  return (all || [])
+    .map((ws) => ({
+      id: ws.id,
+      name: ws.name,
+      createdAt: ws.createdAt,
+      updatedAt: ws.updatedAt,
+      cvCount: (ws.reviewedCvs || []).length,
+      runCount: (ws.runs || []).length,
+    }))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export async function loadWorkspace(id) {
+  if (!id) return null;
+  const ws = await runRequest(WORKSPACE_STORE, "readonly", (store) => store.get(id));
+  return ws ? { ...createEmptyWorkspace(ws.name), ...ws } : null;
+}
+
+// Persist a workspace (stamps updatedAt); resolves with the saved record
+export async function saveWorkspace(workspace) {
+  const record = plainCopy({ ...workspace, updatedAt: new Date().toISOString() });
+  await runRequest(WORKSPACE_STORE, "readwrite", (store) => store.put(record));
+  return record;
+}
+
+export function createWorkspace(name) {
+  return saveWorkspace(createEmptyWorkspace(name));
+}
+
+// Copy of a workspace under a new id and name
+export async function duplicateWorkspace(id, name) {
+  const ws = await loadWorkspace(id);
+  if (!ws) throw new Error("Workspace not found.");
+  const now = new Date().toISOString();
+  return saveWorkspace({ ...ws, id: newWorkspaceId(), name, createdAt: now });
+}
+
+export function deleteWorkspace(id) {
+  return runRequest(WORKSPACE_STORE, "readwrite", (store) => store.delete(id));
+}
+
+// ---------------------------------------------------------------------------
+// Active workspace (remembered per browser in localStorage)
+// ---------------------------------------------------------------------------
+export function getActiveWorkspaceId() {
+  return localStorage.getItem(ACTIVE_WORKSPACE_KEY) || null;
+}
+
+export function setActiveWorkspaceId(id) {
+  try {
+    if (id) localStorage.setItem(ACTIVE_WORKSPACE_KEY, id);
+    else localStorage.removeItem(ACTIVE_WORKSPACE_KEY);
+  } catch (err) {
+    console.error("Failed to save active workspace:", err);
+  }
+}
+
+/**
+ * The workspace to open on load: the remembered one, else the most recently
+ * updated, else a new workspace named `defaultName`.
+ */
+export async function openActiveWorkspace(defaultName) {
+  let ws = await loadWorkspace(getActiveWorkspaceId());
+  if (!ws) {
+    const [latest] = await listWorkspaces();
+    ws = latest ? await loadWorkspace(latest.id) : await createWorkspace(defaultName);
+  }
+  setActiveWorkspaceId(ws.id);
+  return ws;
+}
+
+// ---------------------------------------------------------------------------
+// Recommendation runs
+// ---------------------------------------------------------------------------
+
+// Runs with a new one (run-history.js createRun) appended, keeping the latest WORKSPACE_MAX_RUNS
+export function appendWorkspaceRun(runs, run) {
+  return [...(runs || []), run].slice(-WORKSPACE_MAX_RUNS);
+}